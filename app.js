@@ -1,530 +1,6113 @@
-// State management
-class FulfillmentStore {
-    constructor() {
-        this.fulfillments = this.loadFromStorage();
+// Collection PIN brute-force protection
+const PIN_LOCKOUT = {
+    maxAttempts: 5,      // Hard lock after this many failures; only Person A can clear it
+    freeAttempts: 2,     // Failures allowed before backoff delays start
+    baseDelayMs: 30000   // First backoff delay, doubled for every further failure
+};
+
+// Collection PINs. Length and character set can be changed in Settings and apply to
+// PINs issued afterwards; each fulfillment keeps the format of its current PIN. The
+// recovery code issued with it is longer and lets Person A reissue a lost PIN.
+const PIN_FORMAT = {
+    defaultLength: 6,
+    minLength: 4,
+    maxLength: 12,
+    defaultCharset: 'digits',
+    charsets: {
+        digits: { chars: '0123456789' },
+        // No 0/O or 1/I, which are easy to mix up when read out
+        alphanumeric: { chars: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' }
+    },
+    recoveryLength: 16,
+    recoveryGroupSize: 4
+};
+
+// Manual overrides need the admin PIN set in Settings on the device making them.
+// Only its hash is kept, and changing it needs the current one.
+const ADMIN_PIN = {
+    minLength: 6,
+    storageKey: 'adminPinHash'
+};
+
+// Signed drop-off QR payloads: PREFIX.base64url(payload).base64url(signature).
+// Every handoff to an intermediary has its own code; the payload names the hop.
+const QR_TOKEN = {
+    prefix: 'FULQR1',
+    role: 'drop-off',
+    returnRole: 'return', // Shown by the intermediary and scanned by the sender when the item goes back
+    ttlMs: 7 * 24 * 60 * 60 * 1000,
+    keyStorageKey: 'qrSigningKey',
+    trustedKeysStorageKey: 'qrTrustedKeys'
+};
+
+// Every status a fulfillment can be in. Open statuses follow from who holds the item
+// and still move along the route. The others are end states that only a manual
+// override leaves; `holder` says where the item is in that state. Their names are
+// the status.* messages.
+const FULFILLMENT_STATES = {
+    'pending': { open: true },
+    'in-transit': { open: true },
+    'partially-collected': { open: true },
+    'completed': { open: false },
+    'cancelled': { open: false, holder: 'sender' },
+    'returned': { open: false, holder: 'sender' },
+    'disputed': { open: false, holder: 'recipient' }
+};
+
+// Every stage an audit log entry can have
+const TIMELINE_STAGES = [
+    'created', 'dropped-off', 'collected', 'qr-regenerated', 'failed-attempt',
+    'lock-cleared', 'manual-override', 'route-changed', 'partial-collection',
+    'cancelled', 'return-requested', 'returned', 'disputed', 'overdue',
+    'deleted', 'restored', 'pin-reissued'
+];
+
+// Default time allowed for each kind of handoff when no deadline was set at
+// creation, counted from when the current holder received the item
+const SLA = {
+    dropOffMs: 24 * 60 * 60 * 1000,
+    collectionMs: 48 * 60 * 60 * 1000,
+    dueSoonMs: 4 * 60 * 60 * 1000,      // Deadlines closer than this get a "due soon" badge
+    checkIntervalMs: 60 * 1000
+};
+
+// Deleted fulfillments stay in the trash, restorable, for retentionDays (changeable
+// in Settings) before they are removed for good
+const TRASH = {
+    retentionDays: 30,
+    maxRetentionDays: 365,
+    undoMs: 8000,
+    purgeIntervalMs: 60 * 60 * 1000
+};
+
+// Proof-of-delivery files. They are too big for localStorage, so they live in
+// IndexedDB on the device that captured them and the log only keeps a reference.
+const ATTACHMENTS = {
+    dbName: 'item-fulfillment-attachments',
+    storeName: 'attachments',
+    maxBytes: 10 * 1024 * 1024,
+    kinds: ['signature', 'photo', 'condition']
+};
+
+// Domain events emitted by FulfillmentStore, keyed by type, and named by the event.*
+// messages. Most come from the audit log entry with the given stage;
+// 'fulfillment.purged' has no entry.
+const DOMAIN_EVENTS = {
+    'fulfillment.created': { stage: 'created' },
+    'fulfillment.dropped-off': { stage: 'dropped-off' },
+    'fulfillment.partially-collected': { stage: 'partial-collection' },
+    'fulfillment.collected': { stage: 'collected' },
+    'fulfillment.route-changed': { stage: 'route-changed' },
+    'fulfillment.qr-regenerated': { stage: 'qr-regenerated' },
+    'fulfillment.overdue': { stage: 'overdue' },
+    'fulfillment.cancelled': { stage: 'cancelled' },
+    'fulfillment.return-requested': { stage: 'return-requested' },
+    'fulfillment.returned': { stage: 'returned' },
+    'fulfillment.disputed': { stage: 'disputed' },
+    'fulfillment.overridden': { stage: 'manual-override' },
+    'fulfillment.deleted': { stage: 'deleted' },
+    'fulfillment.restored': { stage: 'restored' },
+    'fulfillment.purged': { stage: null },
+    'collection.pin-failed': { stage: 'failed-attempt' },
+    'collection.lock-cleared': { stage: 'lock-cleared' },
+    'collection.pin-reissued': { stage: 'pin-reissued' }
+};
+
+// Delivery of domain events to webhooks and an email relay. Failed deliveries are
+// retried with a doubling delay and kept as failed after maxAttempts.
+const OUTBOX = {
+    kinds: ['webhook', 'email'],
+    maxAttempts: 6,
+    retryBaseMs: 30 * 1000,
+    retryMaxMs: 60 * 60 * 1000,
+    timeoutMs: 10 * 1000,
+    logLimit: 200,           // Delivery log entries kept, newest first
+    lockName: 'notification-outbox'
+};
+
+// Fulfillment IDs as generateId makes them. Records from a backup or the sync
+// server with any other ID are refused.
+const FULFILLMENT_ID = /^FUL-[0-9A-Z]+-[0-9A-Z]+$/;
+
+// How often an unreachable sync server is tried again
+const SYNC_RETRY_MS = 30 * 1000;
+
+// prevHash of the first audit log entry
+const LOG_GENESIS_HASH = '0'.repeat(64);
+
+// IndexedDB layout. migrations[n] upgrades a version n database to version n + 1;
+// they run in order inside the upgrade transaction, so a failed step keeps the old version.
+const DB_SCHEMA = {
+    name: 'item-fulfillment',
+    store: 'fulfillments',
+    legacyKey: 'fulfillments', // localStorage key imported once when the database is created
+    migrations: [
+        // Records are { id, status, participants, fulfillment }; participants are lower-cased names
+        (db) => {
+            const fulfillments = db.createObjectStore('fulfillments', { keyPath: 'id' });
+            fulfillments.createIndex('status', 'status');
+            fulfillments.createIndex('participants', 'participants', { multiEntry: true });
+        }
+    ]
+};
+
+// Backup files: { format, version, exportedAt, fulfillments }
+const BACKUP_FORMAT = {
+    name: 'item-fulfillment-backup',
+    version: 1
+};
+
+// Dashboard sort orders and groupings, by their value in the URL
+const SORT_OPTIONS = ['created-desc', 'created-asc', 'updated', 'stage-time', 'deadline'];
+
+const GROUP_OPTIONS = ['', 'holder', 'sender', 'recipient'];
+
+// Analytics: how throughput is bucketed, the default date range and how many slow intermediaries to list
+const ANALYTICS = {
+    buckets: ['day', 'week'],
+    defaultDays: 30,
+    slowestCount: 5
+};
+
+// Paper sizes for printed labels and receipts
+const PRINT_SIZES = {
+    a6: { page: 'A6', margin: '6mm' },
+    a4: { page: 'A4', margin: '15mm' }
+};
+
+// Parties the current user can act as
+const ACTOR_ROLES = ['sender', 'intermediary', 'recipient', 'admin'];
+
+// Default roles a contact can have; they order the create form's suggestions
+const CONTACT_ROLES = ['sender', 'intermediary', 'recipient'];
+
+// The transitions of the state machine: the statuses each one leaves from, who may
+// perform it and what proof it needs. `when` names an extra condition checked by
+// FulfillmentStore.checkGuard. `onCard` also puts the action on the dashboard card.
+// Their texts are the transition.<action>.* messages.
+const TRANSITIONS = {
+    'drop-off': {
+        from: ['pending', 'in-transit'],
+        to: 'in-transit',
+        actors: ['intermediary'],
+        proof: 'qr',
+        when: 'next-qr-hop',
+        onCard: true
+    },
+    'collect': {
+        from: ['in-transit', 'partially-collected'],
+        to: 'completed', // Or partially-collected while line items are still outstanding
+        actors: ['recipient', 'intermediary'],
+        proof: 'pin',
+        when: 'final-hop',
+        onCard: true
+    },
+    'cancel': {
+        from: ['pending'],
+        to: 'cancelled',
+        actors: ['sender'],
+        proof: 'reason'
+    },
+    'request-return': {
+        from: ['in-transit'],
+        to: null, // Stays in transit until the sender scans the return QR code
+        actors: ['sender', 'intermediary'],
+        proof: 'reason',
+        when: 'no-return'
+    },
+    'return': {
+        from: ['in-transit'],
+        to: 'returned',
+        actors: ['sender'],
+        proof: 'return-qr',
+        when: 'return-requested',
+        onCard: true
+    },
+    'dispute': {
+        from: ['completed'],
+        to: 'disputed',
+        actors: ['recipient'],
+        proof: 'reason'
+    },
+    'override': {
+        from: Object.keys(FULFILLMENT_STATES),
+        to: null, // Follows from the custodian the admin hands the item to
+        actors: ['admin'],
+        proof: 'manual',
+        onCard: true
+    }
+};
+
+// Translations. Each catalog in locales/ adds itself to window.LOCALES as
+// { name, dir, messages }. A message is looked up in the current language and then
+// in English; `{name}` placeholders are filled from params, and messages with plural
+// forms ({ one, other, ... }) are picked by params.count. A param can itself be a
+// message, { key, params }, so stored timeline entries translate all the way down.
+class I18n {
+    constructor(locales = {}, fallback = 'en') {
+        this.locales = locales;
+        this.fallback = fallback;
         this.listeners = [];
+        this.locale = this.resolveLocale([localStorage.getItem('locale'), ...(navigator.languages || [navigator.language])]);
     }
 
-    loadFromStorage() {
-        const stored = localStorage.getItem('fulfillments');
-        return stored ? JSON.parse(stored) : [];
+    // The first of the preferred languages there is a catalog for, e.g. 'es' for 'es-MX'
+    resolveLocale(preferred) {
+        for (const tag of preferred.filter(Boolean)) {
+            if (this.locales[tag]) return tag;
+            const language = tag.split('-')[0];
+            if (this.locales[language]) return language;
+        }
+        return this.fallback;
+    }
+
+    getLanguages() {
+        return Object.entries(this.locales).map(([code, { name }]) => ({ code, name }));
     }
 
-    saveToStorage() {
-        localStorage.setItem('fulfillments', JSON.stringify(this.fulfillments));
+    getDirection() {
+        return (this.locales[this.locale] || {}).dir || 'ltr';
+    }
+
+    setLocale(locale) {
+        if (!this.locales[locale]) return;
+        this.locale = locale;
+        localStorage.setItem('locale', locale);
+        this.apply();
+        this.listeners.forEach(listener => listener(locale));
     }
 
     subscribe(listener) {
         this.listeners.push(listener);
     }
 
-    notify() {
-        this.listeners.forEach(listener => listener(this.fulfillments));
+    // Sets the page's language and direction and translates the static markup:
+    // data-i18n sets the text, data-i18n-html the markup (catalogs are trusted) and
+    // data-i18n-placeholder, -title and -aria-label those attributes
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.getDirection();
+        document.title = this.t('app.title');
+
+        root.querySelectorAll('[data-i18n]').forEach((el) => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach((el) => {
+            el.innerHTML = this.t(el.dataset.i18nHtml);
+        });
+        ['placeholder', 'title', 'aria-label'].forEach((attribute) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+                el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
     }
 
-    async hashPassword(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    has(key) {
+        return [this.locale, this.fallback].some(locale => this.locales[locale] && this.locales[locale].messages[key] !== undefined);
     }
 
-    generatePassword() {
-        // Generate 6-digit PIN
-        return Math.floor(100000 + Math.random() * 900000).toString();
+    t(key, params = {}, locale = this.locale) {
+        const source = [locale, this.fallback].find(l => this.locales[l] && this.locales[l].messages[key] !== undefined);
+        if (!source) return key;
+
+        let message = this.locales[source].messages[key];
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(source).select(params.count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] === undefined ? placeholder : this.formatParam(params[name], locale)
+        ));
     }
 
-    async createFulfillment(data) {
-        const password = this.generatePassword();
-        const passwordHash = await this.hashPassword(password);
+    formatParam(value, locale) {
+        if (value && typeof value === 'object' && value.key) {
+            return this.t(value.key, value.params, locale);
+        }
+        if (typeof value === 'number') {
+            return new Intl.NumberFormat(locale).format(value);
+        }
+        return String(value);
+    }
 
-        const fulfillment = {
-            id: this.generateId(),
-            itemName: data.itemName,
-            personA: data.personA,
-            personB: data.personB,
-            personC: data.personC,
-            status: 'pending',
-            qrCodeUsed: false,
-            passwordHash: passwordHash,
-            passwordUsed: false,
-            createdAt: new Date().toISOString(),
-            timeline: [
-                {
-                    stage: 'created',
-                    title: 'Fulfillment Created',
-                    description: `${data.personA} initiated the transfer`,
-                    timestamp: new Date().toISOString(),
-                    completed: true
-                },
-                {
-                    stage: 'dropped-off',
-                    title: 'Item Dropped Off',
-                    description: `${data.personA} drops off with ${data.personB}`,
-                    timestamp: null,
-                    completed: false
-                },
-                {
-                    stage: 'collected',
-                    title: 'Item Collected',
-                    description: `${data.personC} collects from ${data.personB}`,
-                    timestamp: null,
-                    completed: false
-                }
-            ]
-        };
+    formatDateTime(timestamp, options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(timestamp));
+    }
 
-        this.fulfillments.unshift(fulfillment);
-        this.saveToStorage();
-        this.notify();
-        return { fulfillment, password };
+    // "3 hours ago", "in 2 days", "yesterday"
+    formatRelativeTime(timestamp, now = new Date()) {
+        const seconds = Math.round((new Date(timestamp) - now) / 1000);
+        const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+        const [unit, size] = units.find(([, unitSize]) => Math.abs(seconds) >= unitSize) || ['second', 1];
+        const format = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' });
+        return unit === 'second' ? format.format(0, 'second') : format.format(Math.trunc(seconds / size), unit);
     }
 
-    updateStatusViaQR(id) {
-        const fulfillment = this.fulfillments.find(f => f.id === id);
-        if (!fulfillment) {
-            return { success: false, message: 'Fulfillment not found' };
-        }
+    formatNumber(value) {
+        return new Intl.NumberFormat(this.locale).format(value);
+    }
 
-        if (fulfillment.qrCodeUsed) {
-            return { success: false, message: 'QR code has already been used' };
-        }
+    // 0.25 -> "25%"
+    formatPercent(share) {
+        return new Intl.NumberFormat(this.locale, { style: 'percent', maximumFractionDigits: 0 }).format(share);
+    }
 
-        if (fulfillment.status !== 'pending') {
-            return { success: false, message: 'Fulfillment is not in pending status' };
-        }
+    // A length of time in one unit, e.g. "45 minutes" or "3 days"
+    formatUnit(value, unit) {
+        return new Intl.NumberFormat(this.locale, { style: 'unit', unit, unitDisplay: 'long' }).format(value);
+    }
 
-        fulfillment.status = 'in-transit';
-        fulfillment.qrCodeUsed = true;
-        const now = new Date().toISOString();
+    // "A, B and C", or "A, B or C" with type 'disjunction'
+    formatList(items, type = 'conjunction') {
+        return new Intl.ListFormat(this.locale, { type }).format(items);
+    }
+}
 
-        const dropOffStage = fulfillment.timeline.find(t => t.stage === 'dropped-off');
-        if (dropOffStage) {
-            dropOffStage.completed = true;
-            dropOffStage.timestamp = now;
-        }
+const i18n = new I18n(window.LOCALES);
 
-        this.saveToStorage();
-        this.notify();
-        return { success: true, message: 'Item receipt confirmed!', fulfillment };
+function t(key, params, locale) {
+    return i18n.t(key, params, locale);
+}
+
+// Thrown by storage adapters when a save is based on an outdated version.
+// `current` is the stored copy, or null if it was deleted.
+class StorageConflictError extends Error {
+    constructor(current) {
+        super('Fulfillment was changed elsewhere');
+        this.name = 'StorageConflictError';
+        this.current = current;
     }
+}
 
-    async validateAndCollect(id, password) {
-        const fulfillment = this.fulfillments.find(f => f.id === id);
-        if (!fulfillment) {
-            return { success: false, message: 'Fulfillment not found' };
-        }
+// Storage adapters share one interface:
+//   load()              -> Promise<fulfillment[]>
+//   save(fulfillment)   -> Promise<saved fulfillment>, version bumped by one
+//   remove(id, version) -> Promise
+//   subscribe(callback) -> unsubscribe function; callback receives [{ id, fulfillment }]
+//                          for changes made elsewhere (fulfillment is null when deleted)
+//   query(criteria)     -> optional, Promise<fulfillment[]> matching { status, participant }
+// save and remove reject with StorageConflictError when the version is stale.
 
-        if (fulfillment.passwordUsed) {
-            return { success: false, message: 'Password has already been used' };
-        }
+// Default adapter: everything in this browser's localStorage
+class LocalStorageAdapter {
+    constructor(key = 'fulfillments') {
+        this.key = key;
+        // Last known JSON of every fulfillment, used to tell which ones another tab changed
+        this.snapshot = new Map();
+    }
+
+    readAll() {
+        const stored = localStorage.getItem(this.key);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    writeAll(fulfillments) {
+        localStorage.setItem(this.key, JSON.stringify(fulfillments));
+    }
 
-        if (fulfillment.status !== 'in-transit') {
-            return { success: false, message: 'Item has not been dropped off yet' };
+    async load() {
+        const fulfillments = this.readAll();
+        this.snapshot = new Map(fulfillments.map(f => [f.id, JSON.stringify(f)]));
+        return fulfillments;
+    }
+
+    async save(fulfillment) {
+        const fulfillments = this.readAll();
+        const index = fulfillments.findIndex(f => f.id === fulfillment.id);
+        const current = index === -1 ? null : fulfillments[index];
+
+        if ((current ? current.version || 0 : 0) !== (fulfillment.version || 0)) {
+            throw new StorageConflictError(current);
         }
 
-        // Validate password
-        const providedHash = await this.hashPassword(password);
-        if (providedHash !== fulfillment.passwordHash) {
-            return { success: false, message: 'Incorrect password' };
+        const saved = { ...fulfillment, version: (fulfillment.version || 0) + 1 };
+        if (index === -1) {
+            fulfillments.unshift(saved);
+        } else {
+            fulfillments[index] = saved;
         }
+        this.writeAll(fulfillments);
+        this.snapshot.set(saved.id, JSON.stringify(saved));
+        return saved;
+    }
 
-        // Update to completed
-        fulfillment.status = 'completed';
-        fulfillment.passwordUsed = true;
-        const now = new Date().toISOString();
+    async remove(id, version) {
+        const fulfillments = this.readAll();
+        const current = fulfillments.find(f => f.id === id);
+        if (!current) return;
 
-        const collectStage = fulfillment.timeline.find(t => t.stage === 'collected');
-        if (collectStage) {
-            collectStage.completed = true;
-            collectStage.timestamp = now;
+        if ((current.version || 0) !== (version || 0)) {
+            throw new StorageConflictError(current);
         }
-
-        this.saveToStorage();
-        this.notify();
-        return { success: true, message: 'Item collected successfully!', fulfillment };
+        this.writeAll(fulfillments.filter(f => f.id !== id));
+        this.snapshot.delete(id);
     }
 
-    updateStatus(id, newStatus) {
-        const fulfillment = this.fulfillments.find(f => f.id === id);
-        if (!fulfillment) return;
+    // The storage event fires in every other tab of this origin after a write
+    subscribe(callback) {
+        const onStorage = (e) => {
+            if (e.storageArea !== localStorage) return;
+            // A null key means localStorage.clear()
+            if (e.key !== this.key && e.key !== null) return;
 
-        fulfillment.status = newStatus;
-        const now = new Date().toISOString();
+            const fulfillments = this.readAll();
+            const changes = [];
+            const seen = new Set();
 
-        if (newStatus === 'in-transit') {
-            const dropOffStage = fulfillment.timeline.find(t => t.stage === 'dropped-off');
-            if (dropOffStage) {
-                dropOffStage.completed = true;
-                dropOffStage.timestamp = now;
-            }
-        } else if (newStatus === 'completed') {
-            const collectStage = fulfillment.timeline.find(t => t.stage === 'collected');
-            if (collectStage) {
-                collectStage.completed = true;
-                collectStage.timestamp = now;
+            fulfillments.forEach(fulfillment => {
+                const json = JSON.stringify(fulfillment);
+                seen.add(fulfillment.id);
+                if (this.snapshot.get(fulfillment.id) !== json) {
+                    changes.push({ id: fulfillment.id, fulfillment });
+                    this.snapshot.set(fulfillment.id, json);
+                }
+            });
+            [...this.snapshot.keys()].filter(id => !seen.has(id)).forEach(id => {
+                changes.push({ id, fulfillment: null });
+                this.snapshot.delete(id);
+            });
+
+            if (changes.length > 0) {
+                callback(changes);
             }
-        }
+        };
 
-        this.saveToStorage();
-        this.notify();
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
     }
+}
 
-    deleteFulfillment(id) {
-        this.fulfillments = this.fulfillments.filter(f => f.id !== id);
-        this.saveToStorage();
-        this.notify();
+// Default adapter where the browser has IndexedDB. Other tabs hear about
+// changes through a BroadcastChannel, as IndexedDB has no change events.
+class IndexedDBAdapter {
+    constructor(schema = DB_SCHEMA) {
+        this.schema = schema;
+        this.dbPromise = null;
+        this.legacyImported = false;
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(schema.name) : null;
     }
 
-    getFulfillment(id) {
-        return this.fulfillments.find(f => f.id === id);
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.schema.name, this.schema.migrations.length);
+                request.onupgradeneeded = (e) => {
+                    const db = request.result;
+                    for (let version = e.oldVersion; version < e.newVersion; version++) {
+                        this.schema.migrations[version](db, request.transaction);
+                    }
+                    if (e.oldVersion === 0) {
+                        this.legacyImported = this.importLegacy(request.transaction.objectStore(this.schema.store));
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version of the app in another tab upgrade the database
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    if (this.legacyImported) {
+                        localStorage.removeItem(this.schema.legacyKey);
+                    }
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            });
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
     }
 
-    generateId() {
-        return 'FUL-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+    // Fulfillments saved by LocalStorageAdapter before IndexedDB was used. The key is
+    // removed once the upgrade has committed, so the import happens only once.
+    importLegacy(objectStore) {
+        const stored = localStorage.getItem(this.schema.legacyKey);
+        const fulfillments = stored ? JSON.parse(stored) : [];
+        fulfillments.forEach(fulfillment => objectStore.put(this.toRecord(fulfillment)));
+        return fulfillments.length > 0;
     }
-}
 
-// UI Controller
-class UIController {
-    constructor(store) {
-        this.store = store;
-        this.initElements();
-        this.attachEventListeners();
-        this.store.subscribe(() => this.render());
-        this.render();
+    toRecord(fulfillment) {
+        const names = fulfillment.custodians
+            ? fulfillment.custodians.map(c => c.name)
+            : [fulfillment.personA, fulfillment.personB, fulfillment.personC];
+        const participants = names.filter(name => typeof name === 'string').map(name => name.trim().toLowerCase());
+        return { id: fulfillment.id, status: fulfillment.status, participants: [...new Set(participants)], fulfillment };
     }
 
-    initElements() {
-        this.modal = document.getElementById('modal');
-        this.detailModal = document.getElementById('detail-modal');
-        this.qrModal = document.getElementById('qr-modal');
-        this.scannerModal = document.getElementById('scanner-modal');
-        this.passwordModal = document.getElementById('password-modal');
-        this.collectionModal = document.getElementById('collection-modal');
-        this.fulfillmentsList = document.getElementById('fulfillments-list');
-        this.emptyState = document.getElementById('empty-state');
-        this.form = document.getElementById('fulfillment-form');
-        this.scannerForm = document.getElementById('scanner-form');
-        this.collectionForm = document.getElementById('collection-form');
+    // Runs work(objectStore, transaction) in one transaction and resolves with
+    // what work returns, once the transaction has committed
+    async run(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.schema.store, mode);
+            const outcome = { value: undefined, error: null };
+            transaction.oncomplete = () => resolve(outcome.value);
+            transaction.onabort = () => reject(outcome.error || transaction.error);
+            work(transaction.objectStore(this.schema.store), outcome, transaction);
+        });
     }
 
-    attachEventListeners() {
-        // Open modal buttons
-        document.getElementById('new-fulfillment-btn').addEventListener('click', () => this.openModal());
-        document.getElementById('empty-new-btn').addEventListener('click', () => this.openModal());
-        document.getElementById('scan-qr-btn').addEventListener('click', () => this.openScannerModal());
-
-        // Close modal buttons
-        document.getElementById('close-modal-btn').addEventListener('click', () => this.closeModal());
-        document.getElementById('cancel-btn').addEventListener('click', () => this.closeModal());
-        document.getElementById('close-detail-btn').addEventListener('click', () => this.closeDetailModal());
-        document.getElementById('close-qr-btn').addEventListener('click', () => this.closeQRModal());
-        document.getElementById('close-scanner-btn').addEventListener('click', () => this.closeScannerModal());
-        document.getElementById('cancel-scanner-btn').addEventListener('click', () => this.closeScannerModal());
-        document.getElementById('close-password-btn').addEventListener('click', () => this.closePasswordModal());
-        document.getElementById('close-collection-btn').addEventListener('click', () => this.closeCollectionModal());
-        document.getElementById('cancel-collection-btn').addEventListener('click', () => this.closeCollectionModal());
+    // Every record, newest first like the other adapters
+    async load() {
+        const records = await this.run('readonly', (objectStore, outcome) => {
+            const request = objectStore.getAll();
+            request.onsuccess = () => { outcome.value = request.result; };
+        });
+        return records
+            .map(record => record.fulfillment)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
 
-        // Modal backdrop clicks
-        this.modal.querySelector('.modal-backdrop').addEventListener('click', () => this.closeModal());
-        this.detailModal.querySelector('.modal-backdrop').addEventListener('click', () => this.closeDetailModal());
-        this.qrModal.querySelector('.modal-backdrop').addEventListener('click', () => this.closeQRModal());
-        this.scannerModal.querySelector('.modal-backdrop').addEventListener('click', () => this.closeScannerModal());
-        this.passwordModal.querySelector('.modal-backdrop').addEventListener('click', () => this.closePasswordModal());
-        this.collectionModal.querySelector('.modal-backdrop').addEventListener('click', () => this.closeCollectionModal());
+    // Reading the current version and writing happen in one transaction, so two tabs cannot both win
+    async save(fulfillment) {
+        const saved = await this.run('readwrite', (objectStore, outcome, transaction) => {
+            const request = objectStore.get(fulfillment.id);
+            request.onsuccess = () => {
+                const current = request.result ? request.result.fulfillment : null;
+                if ((current ? current.version || 0 : 0) !== (fulfillment.version || 0)) {
+                    outcome.error = new StorageConflictError(current);
+                    transaction.abort();
+                    return;
+                }
+                outcome.value = { ...fulfillment, version: (fulfillment.version || 0) + 1 };
+                objectStore.put(this.toRecord(outcome.value));
+            };
+        });
+        this.broadcast(saved.id, saved);
+        return saved;
+    }
 
-        // Form submissions
-        this.form.addEventListener('submit', (e) => this.handleFormSubmit(e));
-        this.scannerForm.addEventListener('submit', (e) => this.handleScannerSubmit(e));
-        this.collectionForm.addEventListener('submit', (e) => this.handleCollectionSubmit(e));
+    async remove(id, version) {
+        const removed = await this.run('readwrite', (objectStore, outcome, transaction) => {
+            const request = objectStore.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const current = request.result.fulfillment;
+                if ((current.version || 0) !== (version || 0)) {
+                    outcome.error = new StorageConflictError(current);
+                    transaction.abort();
+                    return;
+                }
+                objectStore.delete(id);
+                outcome.value = true;
+            };
+        });
+        if (removed) {
+            this.broadcast(id, null);
+        }
+    }
 
-        // QR download
-        document.getElementById('download-qr-btn').addEventListener('click', () => this.downloadQRCode());
+    // Looks up fulfillments through the status and participant indexes
+    async query({ status, participant } = {}) {
+        const records = await this.run('readonly', (objectStore, outcome) => {
+            const request = participant
+                ? objectStore.index('participants').getAll(participant.trim().toLowerCase())
+                : status ? objectStore.index('status').getAll(status) : objectStore.getAll();
+            request.onsuccess = () => { outcome.value = request.result; };
+        });
+        return records
+            .filter(record => !status || record.status === status)
+            .map(record => record.fulfillment);
+    }
 
-        // Password copy
-        document.getElementById('copy-password-btn').addEventListener('click', () => this.copyPassword());
+    broadcast(id, fulfillment) {
+        if (this.channel) {
+            this.channel.postMessage({ id, fulfillment });
+        }
     }
 
-    openModal() {
-        this.modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+    subscribe(callback) {
+        if (!this.channel) {
+            return () => {};
+        }
+        const onMessage = (e) => callback([e.data]);
+        this.channel.addEventListener('message', onMessage);
+        return () => this.channel.removeEventListener('message', onMessage);
     }
+}
 
-    closeModal() {
-        this.modal.classList.remove('active');
-        document.body.style.overflow = '';
-        this.form.reset();
+// Syncs with the reference server in server/sync-server.js
+class RestSyncAdapter {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
     }
 
-    openDetailModal(id) {
-        const fulfillment = this.store.getFulfillment(id);
-        if (!fulfillment) return;
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' }
+        });
+        // A proxy or gateway in between may answer with an HTML error page
+        const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+        const body = response.status !== 204 && isJson ? await response.json().catch(() => null) : null;
 
-        document.getElementById('detail-title').textContent = fulfillment.itemName;
-        document.getElementById('detail-content').innerHTML = this.renderDetailContent(fulfillment);
+        if (response.status === 409 && body) {
+            throw new StorageConflictError(body.current);
+        }
+        if (!response.ok) {
+            const status = `${response.status} ${response.statusText}`.trim();
+            throw new Error((body && body.error) || t('sync.httpError', { status }));
+        }
+        if (response.status !== 204 && !body) {
+            throw new Error(t('sync.badResponse'));
+        }
+        return body;
+    }
 
-        // Attach action buttons
-        this.attachDetailActions(id);
+    async load() {
+        const body = await this.request('/fulfillments');
+        return body.fulfillments;
+    }
 
-        this.detailModal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+    async save(fulfillment) {
+        const body = await this.request(`/fulfillments/${encodeURIComponent(fulfillment.id)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ expectedVersion: fulfillment.version || 0, fulfillment })
+        });
+        return body.fulfillment;
     }
 
-    closeDetailModal() {
-        this.detailModal.classList.remove('active');
-        document.body.style.overflow = '';
+    async remove(id, version) {
+        await this.request(`/fulfillments/${encodeURIComponent(id)}?expectedVersion=${version || 0}`, {
+            method: 'DELETE'
+        });
     }
 
-    openQRModal(id) {
-        const fulfillment = this.store.getFulfillment(id);
-        if (!fulfillment) return;
+    subscribe(callback) {
+        // The server pushes every saved change as a server-sent event
+        const source = new EventSource(`${this.baseUrl}/events`);
+        source.addEventListener('change', (e) => {
+            const change = JSON.parse(e.data);
+            callback([{ id: change.id, fulfillment: change.fulfillment }]);
+        });
+        return () => source.close();
+    }
+}
 
-        document.getElementById('qr-person-a').textContent = fulfillment.personA;
-        document.getElementById('qr-person-b').textContent = fulfillment.personB;
+// The copy kept in this browser while the sync server cannot be reached. Changes
+// made to it would never reach the server, so they are refused instead of
+// letting the devices drift apart.
+class ReadOnlyAdapter {
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
 
-        // Clear previous QR code
-        const container = document.getElementById('qr-code-container');
-        container.innerHTML = '';
+    load() {
+        return this.adapter.load();
+    }
 
-        // Generate QR code
-        new QRCode(container, {
-            text: fulfillment.id,
-            width: 256,
-            height: 256,
-            colorDark: '#000000',
-            colorLight: '#ffffff',
-            correctLevel: QRCode.CorrectLevel.H
-        });
+    async save() {
+        throw new Error(t('sync.readOnly'));
+    }
 
-        this.currentQRId = id;
-        this.qrModal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+    async remove() {
+        throw new Error(t('sync.readOnly'));
     }
 
-    closeQRModal() {
-        this.qrModal.classList.remove('active');
-        document.body.style.overflow = '';
-        this.currentQRId = null;
+    subscribe(callback) {
+        return this.adapter.subscribe(callback);
     }
+}
 
-    openScannerModal() {
-        this.scannerModal.classList.add('active');
-        document.body.style.overflow = 'hidden';
-        document.getElementById('scanner-result').className = 'scanner-result';
-        document.getElementById('scanner-result').textContent = '';
-        document.getElementById('qr-code-input').value = '';
+// Without a sync server, data stays in this browser: IndexedDB if it has it, localStorage otherwise
+function createStorageAdapter(syncServerUrl) {
+    if (syncServerUrl) {
+        return new RestSyncAdapter(syncServerUrl);
     }
+    return typeof indexedDB !== 'undefined' ? new IndexedDBAdapter() : new LocalStorageAdapter();
+}
 
-    closeScannerModal() {
-        this.scannerModal.classList.remove('active');
-        document.body.style.overflow = '';
-        this.scannerForm.reset();
+// State management
+class FulfillmentStore {
+    constructor(adapter = new LocalStorageAdapter()) {
+        this.adapter = adapter;
+        this.fulfillments = [];
+        this.listeners = [];
+        this.eventHandlers = [];
+        this.unsubscribeRemote = null;
     }
 
-    downloadQRCode() {
-        const canvas = document.querySelector('#qr-code-container canvas');
-        if (!canvas) return;
+    async init() {
+        await this.useAdapter(this.adapter);
+    }
 
-        const url = canvas.toDataURL('image/png');
-        const link = document.createElement('a');
-        link.download = `QR-${this.currentQRId}.png`;
-        link.href = url;
-        link.click();
+    // Loads from the new adapter first, so a failure keeps the current one
+    async useAdapter(adapter) {
+        const fulfillments = (await adapter.load()).filter(f => this.isValidRemote(f.id, f));
+
+        if (this.unsubscribeRemote) {
+            this.unsubscribeRemote();
+        }
+        this.adapter = adapter;
+        this.fulfillments = fulfillments.map(f => this.upgradeRecord(f));
+        this.unsubscribeRemote = adapter.subscribe(changes => this.applyRemoteChanges(changes));
+        this.notify();
     }
 
-    openPasswordModal(fulfillment, password) {
-        document.getElementById('password-display').textContent = password;
-        document.getElementById('password-item-name').textContent = fulfillment.itemName;
-        document.getElementById('password-person-c').textContent = fulfillment.personC;
+    applyRemoteChanges(changes) {
+        let changed = false;
 
-        this.currentPassword = password;
-        this.currentPasswordFulfillmentId = fulfillment.id;
-        this.passwordModal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+        changes.forEach(({ id, fulfillment }) => {
+            if (!this.isValidRemote(id, fulfillment)) return;
+            const local = this.getFulfillment(id);
+            if (!fulfillment) {
+                if (local) {
+                    this.replaceFulfillment(id, null);
+                    changed = true;
+                }
+            } else if (!local || (fulfillment.version || 0) > (local.version || 0)) {
+                this.replaceFulfillment(id, this.upgradeRecord(fulfillment));
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.notify();
+        }
     }
 
-    closePasswordModal() {
-        this.passwordModal.classList.remove('active');
-        document.body.style.overflow = '';
+    // Another device or the server is not trusted to send well-formed IDs
+    isValidRemote(id, fulfillment) {
+        if (FULFILLMENT_ID.test(id) && (!fulfillment || fulfillment.id === id)) {
+            return true;
+        }
+        console.warn('Ignoring a fulfillment with an invalid ID:', id);
+        return false;
+    }
 
-        // Show QR code modal after password modal closes
-        if (this.currentPasswordFulfillmentId) {
-            setTimeout(() => this.openQRModal(this.currentPasswordFulfillmentId), 300);
-            this.currentPasswordFulfillmentId = null;
+    replaceFulfillment(id, fulfillment) {
+        const index = this.fulfillments.findIndex(f => f.id === id);
+        if (!fulfillment) {
+            if (index !== -1) this.fulfillments.splice(index, 1);
+        } else if (index === -1) {
+            this.fulfillments.unshift(fulfillment);
+        } else {
+            this.fulfillments[index] = fulfillment;
         }
     }
 
-    copyPassword() {
-        if (!this.currentPassword) return;
+    // Older records are converted on load and saved in the new shape with their next change
+    upgradeRecord(fulfillment) {
+        let record = fulfillment;
+        if (!record.custodians) {
+            record = this.upgradeToChain(record);
+        }
+        if (!record.items) {
+            // A single free-text item counts as one unit
+            record = {
+                ...record,
+                items: [{ name: record.itemName, quantity: 1, sku: '', collected: record.status === 'completed' ? 1 : 0 }]
+            };
+        }
+        if (!record.log) {
+            record = this.upgradeToLog(record);
+        }
+        if (!record.deadlines) {
+            record = { ...record, deadlines: { dropOff: null, collection: null } };
+        }
+        if (record.deletedAt === undefined) {
+            record = { ...record, deletedAt: null };
+        }
+        if (!record.pinFormat) {
+            // Older PINs were always six digits and came without a recovery code
+            record = { ...record, pinFormat: { length: 6, charset: 'digits' }, recoveryHash: null };
+        }
+        if (record.custodians.some(c => c.qr && (c.qr.token || c.qr.publicKey))) {
+            // Codes used to be stored whole, with the key to check them against
+            record = {
+                ...record,
+                custodians: record.custodians.map(({ qr, ...custodian }) => {
+                    if (!qr) return { ...custodian, qr };
+                    const { token, publicKey, ...terms } = qr;
+                    return { ...custodian, qr: terms };
+                })
+            };
+        }
+        return record;
+    }
+
+    // The old timeline mixed past events with upcoming stages; only what happened
+    // carries over. These entries are sealed into the hash chain with the next change.
+    upgradeToLog(fulfillment) {
+        const { timeline, ...rest } = fulfillment;
+        return {
+            ...rest,
+            log: timeline.filter(t => t.completed).map((t, seq) => ({
+                seq,
+                stage: t.stage,
+                timestamp: t.timestamp,
+                actor: null,
+                proof: null,
+                fromStatus: null,
+                toStatus: null,
+                title: t.title,
+                description: t.description,
+                ...(t.variant ? { variant: t.variant } : {}),
+                ...(t.hop ? { hop: t.hop } : {}),
+                migrated: true
+            }))
+        };
+    }
+
+    // Records from before multi-hop chains named exactly three parties
+    upgradeToChain(fulfillment) {
+        const { personA, personB, personC, qr, qrCodeUsed, ...rest } = fulfillment;
+        const holderIndex = { 'in-transit': 1, 'completed': 2 }[fulfillment.status] || 0;
+        const stageHops = { 'dropped-off': 1, 'collected': 2 };
+        const reachedAt = (stage) => {
+            const entry = fulfillment.timeline.find(t => t.stage === stage);
+            return entry && entry.completed ? entry.timestamp : null;
+        };
+
+        return {
+            ...rest,
+            custodians: [
+                { name: personA, qr: null, receivedAt: fulfillment.createdAt },
+                { name: personB, qr: qr || null, receivedAt: reachedAt('dropped-off') },
+                { name: personC, qr: null, receivedAt: reachedAt('collected') }
+            ],
+            holderIndex,
+            usedNonces: fulfillment.usedNonces || [],
+            revokedNonces: fulfillment.revokedNonces || [],
+            timeline: fulfillment.timeline.map(t => (stageHops[t.stage] ? { ...t, hop: stageHops[t.stage] } : t))
+        };
+    }
+
+    // Changes are made on a copy and only replace the stored record once the
+    // adapter accepts them, so a rejected save leaves nothing half-applied
+    draft(fulfillment) {
+        return JSON.parse(JSON.stringify(fulfillment));
+    }
+
+    async commit(fulfillment) {
+        const current = this.getFulfillment(fulfillment.id);
+        if (current && !this.extendsLog(current.log, fulfillment.log)) {
+            return { success: false, message: t('store.logAppendOnly') };
+        }
+
+        await this.sealLog(fulfillment);
+        fulfillment.updatedAt = new Date().toISOString();
+
+        try {
+            const saved = await this.adapter.save(fulfillment);
+            fulfillment.version = saved.version;
+        } catch (error) {
+            return this.handleStorageError(fulfillment.id, error);
+        }
+
+        this.replaceFulfillment(fulfillment.id, fulfillment);
+        this.notify();
+        fulfillment.log.slice(current ? current.log.length : 0).forEach(entry => {
+            const type = Object.keys(DOMAIN_EVENTS).find(t => DOMAIN_EVENTS[t].stage === entry.stage);
+            if (type) this.emit(type, fulfillment, entry);
+        });
+        return { success: true };
+    }
+
+    handleStorageError(id, error) {
+        if (error instanceof StorageConflictError) {
+            // Someone else won: take their copy and let the user retry
+            this.replaceFulfillment(id, error.current);
+            this.notify();
+            return { success: false, message: t('store.conflict') };
+        }
+        return { success: false, message: t('store.saveFailed', { error: error.message }) };
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.fulfillments));
+    }
+
+    // Domain events: `type` is a key of DOMAIN_EVENTS or '*' for all of them. Only
+    // changes made here are emitted; changes synced in from elsewhere were emitted
+    // on the device that made them. Returns a function that removes the handler.
+    on(type, handler) {
+        const subscription = { type, handler };
+        this.eventHandlers.push(subscription);
+        return () => {
+            this.eventHandlers = this.eventHandlers.filter(s => s !== subscription);
+        };
+    }
+
+    emit(type, fulfillment, entry = null) {
+        const event = {
+            id: 'EVT-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase(),
+            type,
+            occurredAt: entry ? entry.timestamp : new Date().toISOString(),
+            fulfillment: this.describeForEvent(fulfillment),
+            entry: entry && {
+                seq: entry.seq,
+                stage: entry.stage,
+                title: entry.title,
+                description: entry.description,
+                message: entry.message,
+                actor: entry.actor,
+                proof: entry.proof,
+                fromStatus: entry.fromStatus,
+                toStatus: entry.toStatus,
+                hash: entry.hash
+            }
+        };
+
+        // A failing handler must not undo or block the change it reports
+        this.eventHandlers
+            .filter(s => s.type === '*' || s.type === type)
+            .forEach(({ handler }) => {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(`Handler for ${type} failed:`, error);
+                }
+            });
+    }
+
+    // What an event tells the outside about a fulfillment. QR tokens and password
+    // hashes stay out, since events leave the device.
+    describeForEvent(fulfillment) {
+        return {
+            id: fulfillment.id,
+            itemName: fulfillment.itemName,
+            items: fulfillment.items.map(({ name, quantity, sku, collected }) => ({ name, quantity, sku, collected })),
+            status: fulfillment.status,
+            custodians: fulfillment.custodians.map(({ name, contactId, receivedAt }) => ({ name, contactId, receivedAt })),
+            holder: this.getHolder(fulfillment).name,
+            collectionLocked: fulfillment.collectionLocked,
+            deadlines: fulfillment.deadlines,
+            deletedAt: fulfillment.deletedAt
+        };
+    }
+
+    async hashPassword(password) {
+        return this.sha256(password);
+    }
+
+    // Accepts a string or the bytes of a file
+    async sha256(input) {
+        const data = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+        const hashArray = Array.from(new Uint8Array(hashBuffer));
+        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Every change appends to the fulfillment's log: who did what, when, with which
+    // proof, and the status before and after. Entries get their hash on commit.
+    // The text is kept as a message key and params, so it reads in the viewer's
+    // language, and in English alongside for exports and older copies of the app.
+    appendLog(fulfillment, { fromStatus, message, ...event }) {
+        fulfillment.log.push({
+            seq: fulfillment.log.length,
+            timestamp: new Date().toISOString(),
+            actor: null,
+            proof: null,
+            ...event,
+            title: t(`${message.key}.title`, message.params, 'en'),
+            description: t(`${message.key}.description`, message.params, 'en'),
+            message,
+            fromStatus: fromStatus || fulfillment.status,
+            toStatus: fulfillment.status
+        });
+    }
+
+    // Title and description of a log entry or upcoming stage in the current language.
+    // Entries from before translations only have the English text.
+    describeEntry(entry) {
+        if (!entry.message) {
+            return { title: entry.title, description: entry.description };
+        }
+        return {
+            title: t(`${entry.message.key}.title`, entry.message.params),
+            description: t(`${entry.message.key}.description`, entry.message.params)
+        };
+    }
+
+    extendsLog(previous, next) {
+        return next.length >= previous.length &&
+            previous.every((entry, index) => JSON.stringify(entry) === JSON.stringify(next[index]));
+    }
+
+    // Each entry's hash covers its content and the previous entry's hash
+    async sealLog(fulfillment) {
+        for (const [index, entry] of fulfillment.log.entries()) {
+            if (entry.hash) continue;
+            entry.prevHash = index === 0 ? LOG_GENESIS_HASH : fulfillment.log[index - 1].hash;
+            entry.hash = await this.hashLogEntry(entry);
+        }
+    }
+
+    hashLogEntry(entry) {
+        const { hash, ...content } = entry;
+        return this.sha256(this.canonicalJson(content));
+    }
+
+    // JSON with the keys sorted at every level, so attachment references are hashed too
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const fields = Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`);
+            return `{${fields.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    // Recomputes the chain. An edited, removed or reordered entry breaks a link.
+    async verifyLog(fulfillment) {
+        const problems = [];
+        let prevHash = LOG_GENESIS_HASH;
+
+        for (const [index, entry] of fulfillment.log.entries()) {
+            if (!entry.hash) {
+                problems.push({ index, message: t(entry.migrated ? 'verify.migrated' : 'verify.unsealed') });
+                prevHash = null;
+                continue;
+            }
+            if (entry.seq !== index) {
+                problems.push({ index, message: t('verify.sequence') });
+            }
+            if (entry.prevHash !== prevHash) {
+                problems.push({ index, message: t('verify.brokenLink') });
+            }
+            if (await this.hashLogEntry(entry) !== entry.hash) {
+                problems.push({ index, message: t('verify.changed') });
+            }
+            prevHash = entry.hash;
+        }
+
+        const last = fulfillment.log[fulfillment.log.length - 1];
+        if (last && last.toStatus && last.toStatus !== fulfillment.status) {
+            problems.push({ index: null, message: t('verify.statusMismatch', { status: { key: `status.${fulfillment.status}` } }) });
+        }
+
+        return { valid: problems.length === 0, checked: fulfillment.log.length, problems };
+    }
+
+    // What the detail view shows: everything logged, then the handoffs still to come
+    getTimeline(fulfillment) {
+        const upcoming = [];
+        if (fulfillment.returnRequest) {
+            upcoming.push({ ...this.returnStage(fulfillment), timestamp: null, completed: false });
+        } else if (FULFILLMENT_STATES[fulfillment.status].open) {
+            for (let hop = fulfillment.holderIndex + 1; hop < fulfillment.custodians.length; hop++) {
+                upcoming.push({ ...this.handoffStage(fulfillment.custodians, hop), timestamp: null, completed: false });
+            }
+        }
+        return [...fulfillment.log.map(entry => ({ ...entry, completed: true })), ...upcoming]
+            .map(item => ({ ...item, ...this.describeEntry(item) }));
+    }
+
+    // The ECDSA key pair is created once per browser and never leaves it. Codes are
+    // checked against this key and the public keys of devices trusted in the
+    // settings, never against anything stored in the fulfillment being checked.
+    getSigningKey() {
+        if (!this.signingKeyPromise) {
+            this.signingKeyPromise = this.loadSigningKey();
+        }
+        return this.signingKeyPromise;
+    }
+
+    async loadSigningKey() {
+        const algorithm = { name: 'ECDSA', namedCurve: 'P-256' };
+        const stored = localStorage.getItem(QR_TOKEN.keyStorageKey);
+
+        let privateJwk;
+        let publicJwk;
+        if (stored) {
+            ({ privateJwk, publicJwk } = JSON.parse(stored));
+        } else {
+            const keyPair = await crypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+            privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+            publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+            localStorage.setItem(QR_TOKEN.keyStorageKey, JSON.stringify({ privateJwk, publicJwk }));
+        }
+
+        const privateKey = await crypto.subtle.importKey('jwk', privateJwk, algorithm, false, ['sign']);
+        const publicKey = await crypto.subtle.importKey('jwk', publicJwk, algorithm, true, ['verify']);
+        const publicKeyText = this.encodeBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', publicKey)));
+        return { privateKey, publicKey, publicKeyText };
+    }
+
+    // This device's public key, as pasted into the trusted keys of another device
+    async getPublicKeyText() {
+        return (await this.getSigningKey()).publicKeyText;
+    }
+
+    getTrustedKeys() {
+        try {
+            const keys = JSON.parse(localStorage.getItem(QR_TOKEN.trustedKeysStorageKey));
+            return Array.isArray(keys) ? keys : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Replaces the public keys of the other devices whose codes this one accepts
+    async setTrustedKeys(keys) {
+        const unique = [...new Set(keys.map(key => key.trim()).filter(Boolean))];
+        for (const key of unique) {
+            if (!(await this.importPublicKey(key))) {
+                return { success: false, message: t('qr.badTrustedKey', { key: `${key.slice(0, 12)}…` }) };
+            }
+        }
+        localStorage.setItem(QR_TOKEN.trustedKeysStorageKey, JSON.stringify(unique));
+        return { success: true };
+    }
+
+    hasAdminPin() {
+        return !!localStorage.getItem(ADMIN_PIN.storageKey);
+    }
+
+    async setAdminPin(pin, currentPin) {
+        if (this.hasAdminPin()) {
+            const current = await this.checkAdminPin(currentPin);
+            if (!current.success) {
+                return current;
+            }
+        }
+        if (typeof pin !== 'string' || pin.trim().length < ADMIN_PIN.minLength) {
+            return { success: false, message: t('settings.badAdminPin', { min: ADMIN_PIN.minLength }) };
+        }
+        localStorage.setItem(ADMIN_PIN.storageKey, await this.hashPassword(pin.trim()));
+        return { success: true };
+    }
+
+    async checkAdminPin(pin) {
+        if (!this.hasAdminPin()) {
+            return { success: false, message: t('override.noAdminPin') };
+        }
+        if (!pin || !pin.trim()) {
+            return { success: false, message: t('override.adminPinRequired') };
+        }
+        if (await this.hashPassword(pin.trim()) !== localStorage.getItem(ADMIN_PIN.storageKey)) {
+            return { success: false, message: t('override.wrongAdminPin') };
+        }
+        return { success: true };
+    }
+
+    // Proves the caller is the sender: the recovery code is only shown to them.
+    // Fulfillments from before recovery codes existed do not have one to check.
+    async checkRecoveryCode(fulfillment, recoveryCode) {
+        if (!fulfillment.recoveryHash) {
+            return { success: true };
+        }
+        if (!recoveryCode || !recoveryCode.trim()) {
+            return { success: false, message: t('reissue.codeRequired') };
+        }
+        if (await this.hashPassword(this.normalizeCode(recoveryCode)) !== fulfillment.recoveryHash) {
+            return { success: false, message: t('reissue.wrongCode') };
+        }
+        return { success: true };
+    }
+
+    async importPublicKey(text) {
+        try {
+            return await crypto.subtle.importKey(
+                'raw',
+                this.decodeBase64Url(text),
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['verify']
+            );
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Issues the code the intermediary at custodians[hop] scans on receipt.
+    // A return code is issued for hop 0, the sender. Only the nonce and the
+    // terms of the code are stored, so reading a record does not reveal a code.
+    async issueQRToken(fulfillment, hop, role = QR_TOKEN.role) {
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + QR_TOKEN.ttlMs);
+
+        const custodian = fulfillment.custodians[hop];
+        custodian.qr = {
+            nonce: this.encodeBase64Url(crypto.getRandomValues(new Uint8Array(12))),
+            role,
+            hop,
+            issuedAt: issuedAt.toISOString(),
+            expiresAt: expiresAt.toISOString()
+        };
+        return { ...custodian.qr, token: await this.signQRToken(fulfillment.id, custodian.qr) };
+    }
+
+    // The code for an issued QR, signed afresh each time it is shown. Any of the
+    // signatures is valid until the nonce is used, revoked or expires.
+    async signQRToken(id, qr) {
+        const { privateKey } = await this.getSigningKey();
+
+        // Short keys keep the QR code small enough to scan reliably
+        const payload = {
+            i: id,
+            n: qr.nonce,
+            r: qr.role,
+            h: qr.hop,
+            e: Math.floor(new Date(qr.expiresAt).getTime() / 1000)
+        };
+        const signedPart = `${QR_TOKEN.prefix}.${this.encodeBase64Url(new TextEncoder().encode(JSON.stringify(payload)))}`;
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            privateKey,
+            new TextEncoder().encode(signedPart)
+        );
+        return `${signedPart}.${this.encodeBase64Url(new Uint8Array(signature))}`;
+    }
+
+    revokeQR(fulfillment, custodian) {
+        if (!custodian.qr) return;
+        fulfillment.revokedNonces = [...(fulfillment.revokedNonces || []), custodian.qr.nonce];
+        custodian.qr = null;
+    }
+
+    // Reads the payload without checking the signature, e.g. to route a scan
+    parseQRToken(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3 || parts[0] !== QR_TOKEN.prefix) return null;
+
+        try {
+            const payload = JSON.parse(new TextDecoder().decode(this.decodeBase64Url(parts[1])));
+            if (typeof payload.i !== 'string' || typeof payload.n !== 'string') return null;
+            return {
+                id: payload.i,
+                nonce: payload.n,
+                role: payload.r,
+                hop: payload.h === undefined ? 1 : payload.h, // Codes issued before multi-hop chains were always for the first hop
+                expiresAt: new Date(payload.e * 1000).toISOString()
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Accepts either a scanned QR payload or a typed fulfillment ID
+    resolveFulfillmentId(code) {
+        const payload = this.parseQRToken(code.trim());
+        return payload ? payload.id : code.trim().toUpperCase();
+    }
+
+    async verifyQRToken(token) {
+        const payload = this.parseQRToken(token);
+        if (!payload) {
+            if (this.getFulfillment(token.toUpperCase())) {
+                return { success: false, message: t('qr.idNotToken') };
+            }
+            return { success: false, message: t('qr.invalid') };
+        }
+
+        const fulfillment = this.getFulfillment(payload.id);
+        if (!fulfillment) {
+            return { success: false, message: t('store.notFound') };
+        }
+        const custodian = fulfillment.custodians[payload.hop];
+        const qr = custodian && custodian.qr;
+        if (!qr) {
+            return { success: false, message: t('qr.notIssued') };
+        }
+
+        if (!(await this.hasTrustedSignature(token))) {
+            return { success: false, message: t('qr.badSignature') };
+        }
+
+        if (payload.role !== qr.role) {
+            return { success: false, message: t('qr.roleMismatch') };
+        }
+        if ((fulfillment.usedNonces || []).includes(payload.nonce)) {
+            return { success: false, message: t('qr.used') };
+        }
+        if ((fulfillment.revokedNonces || []).includes(payload.nonce) || payload.nonce !== qr.nonce) {
+            return { success: false, message: t('qr.revoked') };
+        }
+        if (new Date(payload.expiresAt) < new Date()) {
+            return { success: false, message: t('qr.expired') };
+        }
+
+        return { success: true, fulfillment, payload };
+    }
+
+    // Signed by this device or one of the trusted ones
+    async hasTrustedSignature(token) {
+        const [prefix, body, signature] = token.split('.');
+        const { publicKey } = await this.getSigningKey();
+        const trusted = await Promise.all(this.getTrustedKeys().map(key => this.importPublicKey(key)));
+
+        for (const key of [publicKey, ...trusted.filter(Boolean)]) {
+            try {
+                const valid = await crypto.subtle.verify(
+                    { name: 'ECDSA', hash: 'SHA-256' },
+                    key,
+                    this.decodeBase64Url(signature),
+                    new TextEncoder().encode(`${prefix}.${body}`)
+                );
+                if (valid) return true;
+            } catch (error) {
+                return false;
+            }
+        }
+        return false;
+    }
+
+    async ensureQRToken(id, hop) {
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current || current.deletedAt || !current.custodians[hop]) return null;
+        const issued = current.custodians[hop].qr;
+        if (issued) return { ...issued, token: await this.signQRToken(id, issued) };
+        if (!this.isQRHop(current, hop) || !FULFILLMENT_STATES[current.status].open) return null;
+
+        const fulfillment = this.draft(current);
+        const qr = await this.issueQRToken(fulfillment, hop);
+        const saved = await this.commit(fulfillment);
+        return saved.success ? qr : null;
+    }
+
+    async regenerateQR(id, hop, actor) {
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current) {
+            return { success: false, message: t('store.notFound') };
+        }
+        if (actor !== 'sender') {
+            return { success: false, message: t('qr.senderOnly', { role: { key: 'role.sender' } }) };
+        }
+        if (current.deletedAt) {
+            return { success: false, message: t('store.inTrash') };
+        }
+        if (!FULFILLMENT_STATES[current.status].open) {
+            return { success: false, message: t('store.isStatus', { status: { key: `statusInText.${current.status}` } }) };
+        }
+        if (!this.isQRHop(current, hop)) {
+            return { success: false, message: t('qr.notQRHop') };
+        }
+        if (hop <= current.holderIndex) {
+            return { success: false, message: t('qr.hopPassed') };
+        }
+
+        const fulfillment = this.draft(current);
+        const custodian = fulfillment.custodians[hop];
+        this.revokeQR(fulfillment, custodian);
+        const qr = await this.issueQRToken(fulfillment, hop);
+
+        this.appendLog(fulfillment, {
+            stage: 'qr-regenerated',
+            message: { key: 'log.qrRegenerated', params: { sender: this.getSender(fulfillment).name, holder: custodian.name } },
+            actor
+        });
+
+        const saved = await this.commit(fulfillment);
+        if (!saved.success) {
+            return saved;
+        }
+        return { success: true, message: t('qr.regenerated'), qr };
+    }
+
+    encodeBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decodeBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    // Falls back to the default for anything out of range, e.g. a stale setting
+    resolvePinFormat(format = {}) {
+        const length = Number.isInteger(format.length) && format.length >= PIN_FORMAT.minLength && format.length <= PIN_FORMAT.maxLength
+            ? format.length
+            : PIN_FORMAT.defaultLength;
+        const charset = PIN_FORMAT.charsets[format.charset] ? format.charset : PIN_FORMAT.defaultCharset;
+        return { length, charset };
+    }
+
+    generatePassword(format) {
+        const { length, charset } = this.resolvePinFormat(format);
+        return this.randomCode(length, PIN_FORMAT.charsets[charset].chars);
+    }
+
+    // Grouped as XXXX-XXXX-XXXX-XXXX so it can be written down
+    generateRecoveryCode() {
+        const code = this.randomCode(PIN_FORMAT.recoveryLength, PIN_FORMAT.charsets.alphanumeric.chars);
+        return code.match(new RegExp(`.{1,${PIN_FORMAT.recoveryGroupSize}}`, 'g')).join('-');
+    }
+
+    // Uniformly random: bytes that would favour the first characters are redrawn
+    randomCode(length, chars) {
+        const limit = 256 - (256 % chars.length);
+        let code = '';
+        while (code.length < length) {
+            for (const byte of crypto.getRandomValues(new Uint8Array(length))) {
+                if (byte < limit && code.length < length) {
+                    code += chars[byte % chars.length];
+                }
+            }
+        }
+        return code;
+    }
+
+    // PINs and recovery codes are compared without case, spaces or dashes
+    normalizeCode(code) {
+        return String(code).replace(/[\s-]/g, '').toUpperCase();
+    }
+
+    // custodians[0] is the sender and the last custodian the recipient; everyone
+    // in between is an intermediary. holderIndex points at whoever has the item.
+    getSender(fulfillment) {
+        return fulfillment.custodians[0];
+    }
+
+    getRecipient(fulfillment) {
+        return fulfillment.custodians[fulfillment.custodians.length - 1];
+    }
+
+    getHolder(fulfillment) {
+        return fulfillment.custodians[fulfillment.holderIndex];
+    }
+
+    // When the collection that completed the fulfillment was logged
+    getCompletedAt(fulfillment) {
+        const entry = [...fulfillment.log].reverse()
+            .find(e => e.toStatus === 'completed' && e.fromStatus !== 'completed');
+        return entry ? entry.timestamp : null;
+    }
+
+    // Local midnight of the day, or of the Monday starting the week, that contains date
+    getBucketStart(date, bucket) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (bucket === 'week') {
+            start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        }
+        return start;
+    }
+
+    // Nearest-rank percentile
+    percentile(values, p) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+
+    summarizeDurations(durations) {
+        return { count: durations.length, median: this.percentile(durations, 50), p90: this.percentile(durations, 90) };
+    }
+
+    // Trends for fulfillments created between from and to (both Dates, inclusive).
+    // Completions are counted when they happened within the range.
+    getAnalytics({ from, to, bucket = 'day' }) {
+        const inRange = (timestamp) => {
+            const time = new Date(timestamp);
+            return time >= from && time <= to;
+        };
+        const fulfillments = this.getFulfillments();
+        const created = fulfillments.filter(f => inRange(f.createdAt));
+
+        const buckets = [];
+        for (let start = this.getBucketStart(from, bucket); start <= to;) {
+            buckets.push({ start, created: 0, completed: 0 });
+            start = new Date(start);
+            start.setDate(start.getDate() + (bucket === 'week' ? 7 : 1));
+        }
+        const bucketFor = (timestamp) => {
+            const start = this.getBucketStart(new Date(timestamp), bucket).getTime();
+            return buckets.find(b => b.start.getTime() === start);
+        };
+        created.forEach(f => bucketFor(f.createdAt).created++);
+        fulfillments.forEach(f => {
+            const completedAt = this.getCompletedAt(f);
+            if (completedAt && inRange(completedAt)) {
+                bucketFor(completedAt).completed++;
+            }
+        });
+
+        // Creation to first drop-off, first drop-off to collection, and how long each
+        // intermediary held the item before handing it on
+        const toDropOff = [];
+        const toCollection = [];
+        const holds = new Map();
+        created.forEach(f => {
+            const last = f.custodians.length - 1;
+            const droppedOffAt = f.custodians[1].receivedAt;
+            if (droppedOffAt) {
+                toDropOff.push(new Date(droppedOffAt) - new Date(f.createdAt));
+                if (f.custodians[last].receivedAt) {
+                    toCollection.push(new Date(f.custodians[last].receivedAt) - new Date(droppedOffAt));
+                }
+            }
+            for (let hop = 1; hop < last; hop++) {
+                const custodian = f.custodians[hop];
+                const handedOnAt = f.custodians[hop + 1].receivedAt;
+                if (!custodian.receivedAt || !handedOnAt) continue;
+                const key = custodian.contactId || normalizeName(custodian.name);
+                if (!holds.has(key)) {
+                    holds.set(key, { name: custodian.name, durations: [] });
+                }
+                holds.get(key).durations.push(new Date(handedOnAt) - new Date(custodian.receivedAt));
+            }
+        });
+
+        const slowest = [...holds.values()]
+            .map(({ name, durations }) => ({ name, ...this.summarizeDurations(durations) }))
+            .sort((a, b) => b.median - a.median)
+            .slice(0, ANALYTICS.slowestCount);
+
+        const statuses = Object.keys(FULFILLMENT_STATES).map(status => {
+            const count = created.filter(f => f.status === status).length;
+            return { status, count, share: created.length ? count / created.length : 0 };
+        });
+
+        return {
+            total: created.length,
+            buckets,
+            durations: {
+                toDropOff: this.summarizeDurations(toDropOff),
+                toCollection: this.summarizeDurations(toCollection)
+            },
+            slowest,
+            statuses
+        };
+    }
+
+    // Custodians are linked to a contact by ID; older ones only have the name
+    isContact(custodian, contact) {
+        return custodian.contactId
+            ? custodian.contactId === contact.id
+            : normalizeName(custodian.name) === normalizeName(contact.name);
+    }
+
+    // What a contact has sent, is holding as an intermediary and is waiting to receive
+    getContactActivity(contact) {
+        const activity = { sent: [], holding: [], receiving: [] };
+        this.getFulfillments().forEach(fulfillment => {
+            const last = fulfillment.custodians.length - 1;
+            const open = FULFILLMENT_STATES[fulfillment.status].open;
+            const holder = fulfillment.holderIndex;
+            if (this.isContact(fulfillment.custodians[0], contact)) {
+                activity.sent.push(fulfillment);
+            }
+            if (open && holder > 0 && holder < last && this.isContact(fulfillment.custodians[holder], contact)) {
+                activity.holding.push(fulfillment);
+            }
+            if (open && this.isContact(fulfillment.custodians[last], contact)) {
+                activity.receiving.push(fulfillment);
+            }
+        });
+        return activity;
+    }
+
+    // Intermediaries that have not received the item yet
+    getUpcomingIntermediaries(fulfillment) {
+        return fulfillment.custodians.slice(fulfillment.holderIndex + 1, -1);
+    }
+
+    // Hop n hands the item from custodians[n - 1] to custodians[n]; null once collected
+    getNextHop(fulfillment) {
+        const hop = fulfillment.holderIndex + 1;
+        return hop < fulfillment.custodians.length ? hop : null;
+    }
+
+    isFinalHop(fulfillment, hop) {
+        return hop === fulfillment.custodians.length - 1;
+    }
+
+    // Handoffs to intermediaries use a QR code, the final one the PIN
+    isQRHop(fulfillment, hop) {
+        return Number.isInteger(hop) && hop > 0 && hop < fulfillment.custodians.length - 1;
+    }
+
+    statusForHolder(fulfillment, index) {
+        const last = fulfillment.custodians.length - 1;
+        if (index === 0) return 'pending';
+        if (index === last) return 'completed';
+        if (index === last - 1 && fulfillment.items.some(item => item.collected > 0)) return 'partially-collected';
+        return 'in-transit';
+    }
+
+    // End states pin the holder; every other status follows from the holder
+    holderMatchesStatus(fulfillment) {
+        const state = FULFILLMENT_STATES[fulfillment.status];
+        if (state.holder === 'sender') return fulfillment.holderIndex === 0;
+        if (state.holder === 'recipient') return fulfillment.holderIndex === fulfillment.custodians.length - 1;
+        return this.statusForHolder(fulfillment, fulfillment.holderIndex) === fulfillment.status;
+    }
+
+    // The hop the next handoff happens on: 0 while a return is under way, null once closed
+    getActiveHop(fulfillment) {
+        if (!FULFILLMENT_STATES[fulfillment.status].open) return null;
+        return fulfillment.returnRequest ? 0 : this.getNextHop(fulfillment);
+    }
+
+    // Conditions named by TRANSITIONS[action].when, on top of the status
+    checkGuard(fulfillment, guard) {
+        if (fulfillment.returnRequest && guard !== 'return-requested') {
+            return { success: false, message: t('transition.beingReturned', { sender: this.getSender(fulfillment).name }) };
+        }
+
+        const nextHop = this.getNextHop(fulfillment);
+        if (guard === 'next-qr-hop' && this.isFinalHop(fulfillment, nextHop)) {
+            return { success: false, message: t('transition.collectOnly', { recipient: this.getRecipient(fulfillment).name }) };
+        }
+        if (guard === 'final-hop' && !this.isFinalHop(fulfillment, nextHop)) {
+            return { success: false, message: t('transition.notAtLastHop') };
+        }
+        if (guard === 'return-requested' && !fulfillment.returnRequest) {
+            return { success: false, message: t('transition.noReturn') };
+        }
+        return { success: true };
+    }
+
+    // Actions the state machine offers this actor right now
+    getAvailableActions(fulfillment, actor) {
+        // Nothing happens to a fulfillment in the trash until it is restored
+        if (fulfillment.deletedAt) return [];
+        return Object.keys(TRANSITIONS).filter(action => {
+            const rule = TRANSITIONS[action];
+            return rule.from.includes(fulfillment.status) &&
+                rule.actors.includes(actor) &&
+                (!rule.when || this.checkGuard(fulfillment, rule.when).success);
+        });
+    }
+
+    getRemainingQuantity(item) {
+        return item.quantity - (item.collected || 0);
+    }
+
+    // One-line summary of the line items, e.g. "Laptop ×5, Charger ×5"
+    summarizeItems(items) {
+        return items.map(item => (item.quantity > 1 ? `${item.name} ×${item.quantity}` : item.name)).join(', ');
+    }
+
+    // When the fulfillment entered its current status
+    getStageEnteredAt(fulfillment) {
+        if (fulfillment.status === 'partially-collected') {
+            const partial = fulfillment.log.filter(t => t.stage === 'partial-collection').pop();
+            if (partial) return partial.timestamp;
+        }
+        if (FULFILLMENT_STATES[fulfillment.status].holder) {
+            const entered = fulfillment.log.filter(t => t.toStatus === fulfillment.status && t.fromStatus !== t.toStatus).pop();
+            if (entered) return entered.timestamp;
+        }
+        return this.getHolder(fulfillment).receivedAt || fulfillment.createdAt;
+    }
+
+    // Deadline for the handoff that comes next: the one set at creation, otherwise
+    // the default SLA. The drop-off deadline covers the first handoff only.
+    getDeadline(fulfillment) {
+        const hop = this.getActiveHop(fulfillment);
+        if (!hop) return null;
+
+        const final = this.isFinalHop(fulfillment, hop);
+        const deadlines = fulfillment.deadlines || {};
+        const set = final ? deadlines.collection : hop === 1 ? deadlines.dropOff : null;
+        const slaMs = final ? SLA.collectionMs : SLA.dropOffMs;
+        const receiver = fulfillment.custodians[hop].name;
+
+        return {
+            hop,
+            due: set || new Date(new Date(this.getStageEnteredAt(fulfillment)).getTime() + slaMs).toISOString(),
+            fromSla: !set,
+            message: { key: final ? 'deadline.collection' : 'deadline.dropOff', params: { name: receiver } },
+            label: t(final ? 'deadline.collection' : 'deadline.dropOff', { name: receiver })
+        };
+    }
+
+    // 'overdue', 'due-soon' or null
+    getDeadlineState(fulfillment, now = new Date()) {
+        const deadline = this.getDeadline(fulfillment);
+        if (!deadline) return null;
+
+        const remaining = new Date(deadline.due) - now;
+        if (remaining <= 0) return 'overdue';
+        return remaining <= SLA.dueSoonMs ? 'due-soon' : null;
+    }
+
+    // Logs each missed deadline once and returns the fulfillments that just became overdue
+    async checkDeadlines(now = new Date()) {
+        const overdue = [];
+        for (const current of this.getFulfillments()) {
+            const deadline = this.getDeadline(current);
+            if (!deadline || new Date(deadline.due) > now) continue;
+            if (current.log.some(t => t.stage === 'overdue' && t.hop === deadline.hop && t.due === deadline.due)) continue;
+
+            const fulfillment = this.draft(current);
+            this.appendLog(fulfillment, {
+                stage: 'overdue',
+                message: {
+                    key: 'log.overdue',
+                    params: { deadline: deadline.message, source: { key: deadline.fromSla ? 'deadline.fromSla' : 'deadline.fromCreation' } }
+                },
+                variant: 'warning',
+                hop: deadline.hop,
+                due: deadline.due
+            });
+
+            const saved = await this.commit(fulfillment);
+            if (saved.success) {
+                overdue.push({ fulfillment, deadline });
+            }
+        }
+        return overdue;
+    }
+
+    // e.g. "In Transit with Bob", as a message so it can go into the log
+    holderMessage(status, name) {
+        return { key: 'holder.state', params: { status: { key: `status.${status}` }, name } };
+    }
+
+    describeHolder(fulfillment, index) {
+        const message = this.holderMessage(this.statusForHolder(fulfillment, index), fulfillment.custodians[index].name);
+        return t(message.key, message.params);
+    }
+
+    moveHolder(fulfillment, index) {
+        const now = new Date().toISOString();
+        fulfillment.holderIndex = index;
+        fulfillment.status = this.statusForHolder(fulfillment, index);
+        fulfillment.custodians.forEach((custodian, i) => {
+            if (i > index) {
+                custodian.receivedAt = null;
+            } else if (!custodian.receivedAt) {
+                custodian.receivedAt = now;
+            }
+        });
+    }
+
+    handoffStage(custodians, hop) {
+        const from = custodians[hop - 1].name;
+        const to = custodians[hop].name;
+        const stage = hop === custodians.length - 1
+            ? { stage: 'collected', message: { key: 'log.collected', params: { from, to, confirmation: '' } } }
+            : { stage: 'dropped-off', message: { key: 'log.droppedOff', params: { from, to } } };
+
+        return { ...stage, hop };
+    }
+
+    returnStage(fulfillment) {
+        const holder = this.getHolder(fulfillment).name;
+        const sender = this.getSender(fulfillment).name;
+        return { stage: 'returned', message: { key: 'log.returnDue', params: { holder, sender } }, hop: 0 };
+    }
+
+    async createFulfillment(data) {
+        const items = (data.items || []).map(item => ({
+            name: (item.name || '').trim(),
+            quantity: Number(item.quantity),
+            sku: (item.sku || '').trim(),
+            collected: 0
+        }));
+        if (items.length === 0) {
+            return { success: false, message: t('create.noItems') };
+        }
+        if (items.some(item => !item.name || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+            return { success: false, message: t('create.badItem') };
+        }
+
+        const names = [data.sender, ...data.intermediaries, data.recipient].map(name => (name || '').trim());
+        if (data.intermediaries.length === 0) {
+            return { success: false, message: t('create.noIntermediary') };
+        }
+        if (names.some(name => !name)) {
+            return { success: false, message: t('create.unnamedCustodian') };
+        }
+
+        const deadlines = {
+            dropOff: data.dropOffDeadline ? new Date(data.dropOffDeadline) : null,
+            collection: data.collectionDeadline ? new Date(data.collectionDeadline) : null
+        };
+        const setDeadlines = Object.values(deadlines).filter(Boolean);
+        if (setDeadlines.some(due => isNaN(due.getTime()) || due <= new Date())) {
+            return { success: false, message: t('create.badDeadline') };
+        }
+        if (setDeadlines.length === 2 && deadlines.collection <= deadlines.dropOff) {
+            return { success: false, message: t('create.deadlineOrder') };
+        }
+
+        const pinFormat = this.resolvePinFormat(data.pinFormat);
+        const password = this.generatePassword(pinFormat);
+        const passwordHash = await this.hashPassword(password);
+        const recoveryCode = this.generateRecoveryCode();
+        const recoveryHash = await this.hashPassword(this.normalizeCode(recoveryCode));
+        const createdAt = new Date().toISOString();
+        const contactIds = data.contactIds || [];
+        const custodians = names.map((name, index) => ({
+            name,
+            contactId: contactIds[index] || null,
+            qr: null,
+            receivedAt: index === 0 ? createdAt : null
+        }));
+
+        const fulfillment = {
+            id: this.generateId(),
+            itemName: this.summarizeItems(items),
+            items,
+            custodians,
+            holderIndex: 0,
+            status: 'pending',
+            usedNonces: [],
+            revokedNonces: [],
+            passwordHash: passwordHash,
+            passwordUsed: false,
+            pinFormat,
+            recoveryHash,
+            failedAttempts: 0,
+            lockedUntil: null,
+            collectionLocked: false,
+            deadlines: {
+                dropOff: deadlines.dropOff && deadlines.dropOff.toISOString(),
+                collection: deadlines.collection && deadlines.collection.toISOString()
+            },
+            version: 0,
+            createdAt,
+            deletedAt: null,
+            log: []
+        };
+        this.appendLog(fulfillment, {
+            stage: 'created',
+            message: { key: 'log.created', params: { sender: names[0] } },
+            timestamp: createdAt,
+            actor: data.actor || 'sender'
+        });
+        for (let hop = 1; hop < custodians.length - 1; hop++) {
+            await this.issueQRToken(fulfillment, hop);
+        }
+
+        const saved = await this.commit(fulfillment);
+        if (!saved.success) {
+            return saved;
+        }
+        return { success: true, fulfillment, password, recoveryCode };
+    }
+
+    // Replaces the intermediaries that have not received the item yet. Handoffs
+    // that keep the same receiver at the same position keep their QR code.
+    // contactIds, if given, links each of the names to a contact
+    async updateRoute(id, names, actor, contactIds = []) {
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current) {
+            return { success: false, message: t('store.notFound') };
+        }
+        if (actor !== 'sender') {
+            return { success: false, message: t('route.senderOnly', { role: { key: 'role.sender' } }) };
+        }
+        if (current.deletedAt) {
+            return { success: false, message: t('store.inTrash') };
+        }
+        if (!FULFILLMENT_STATES[current.status].open) {
+            return { success: false, message: t('store.isStatus', { status: { key: `statusInText.${current.status}` } }) };
+        }
+
+        const upcomingNames = names.map(name => name.trim()).filter(Boolean);
+        const upcomingContacts = contactIds.filter((contactId, index) => names[index].trim());
+        if (current.holderIndex === 0 && upcomingNames.length === 0) {
+            return { success: false, message: t('route.needsIntermediary') };
+        }
+
+        const fulfillment = this.draft(current);
+        const kept = fulfillment.custodians.slice(0, fulfillment.holderIndex + 1);
+        const previous = this.getUpcomingIntermediaries(fulfillment);
+        if (previous.map(c => c.name).join('\n') === upcomingNames.join('\n')) {
+            return { success: true, message: t('route.unchanged') };
+        }
+
+        const upcoming = upcomingNames.map((name, offset) => {
+            const old = previous[offset];
+            const contactId = upcomingContacts[offset] || null;
+            if (old && old.name === name) {
+                old.contactId = contactId || old.contactId || null;
+                return old;
+            }
+            return { name, contactId, qr: null, receivedAt: null };
+        });
+        previous.filter(c => !upcoming.includes(c)).forEach(c => this.revokeQR(fulfillment, c));
+
+        fulfillment.custodians = [...kept, ...upcoming, this.getRecipient(fulfillment)];
+        for (let hop = kept.length; hop < fulfillment.custodians.length - 1; hop++) {
+            if (!fulfillment.custodians[hop].qr) {
+                await this.issueQRToken(fulfillment, hop);
+            }
+        }
+
+        this.appendLog(fulfillment, {
+            stage: 'route-changed',
+            message: {
+                key: 'log.routeChanged',
+                params: { sender: this.getSender(fulfillment).name, route: fulfillment.custodians.map(c => c.name).join(' → ') }
+            },
+            actor
+        });
+
+        const saved = await this.commit(fulfillment);
+        if (!saved.success) {
+            return saved;
+        }
+        return { success: true, message: t('route.updated') };
+    }
+
+    // Single entry point for every status change. Checks who is acting,
+    // the current status and the proof the transition requires.
+    async transition(id, action, { actor, proof = {}, attachments = [] } = {}) {
+        const rule = TRANSITIONS[action];
+        if (!rule) {
+            return { success: false, message: t('transition.unknown', { action }) };
+        }
+        if (!attachments.every(ref => this.isAttachmentRef(ref))) {
+            return { success: false, message: t('attachment.invalid') };
+        }
+
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current) {
+            return { success: false, message: t('store.notFound') };
+        }
+        if (current.deletedAt) {
+            return { success: false, message: t('store.inTrash') };
+        }
+
+        if (!rule.actors.includes(actor)) {
+            const allowed = i18n.formatList(rule.actors.map(role => t(`role.${role}`)), 'disjunction');
+            return { success: false, message: t('transition.notAllowed', { allowed, action: { key: `transition.${action}.description` } }) };
+        }
+
+        if (!rule.from.includes(current.status)) {
+            const state = FULFILLMENT_STATES[current.status];
+            return {
+                success: false,
+                message: state.open
+                    ? t(`transition.${action}.statusMessage`)
+                    : t('store.isStatus', { status: { key: `statusInText.${current.status}` } })
+            };
+        }
+        if (rule.when) {
+            const guard = this.checkGuard(current, rule.when);
+            if (!guard.success) {
+                return guard;
+            }
+        }
+
+        const fulfillment = this.draft(current);
+        const check = await this.verifyProof(fulfillment, rule.proof, proof, actor);
+        if (!check.success) {
+            return check;
+        }
+
+        const fromStatus = fulfillment.status;
+        const logLength = fulfillment.log.length;
+        const reason = proof.reason ? proof.reason.trim() : '';
+        switch (action) {
+            case 'drop-off':
+                fulfillment.usedNonces = [...(fulfillment.usedNonces || []), check.nonce];
+                this.moveHolder(fulfillment, check.hop);
+                this.appendLog(fulfillment, { ...this.handoffStage(fulfillment.custodians, check.hop), actor, proof: 'qr', fromStatus });
+                break;
+            case 'collect':
+                fulfillment.failedAttempts = 0;
+                fulfillment.lockedUntil = null;
+                this.applyCollection(fulfillment, check.quantities, actor);
+                break;
+            case 'cancel':
+                this.applyCancel(fulfillment, reason, actor);
+                break;
+            case 'request-return':
+                await this.applyReturnRequest(fulfillment, reason, actor);
+                break;
+            case 'return':
+                fulfillment.usedNonces = [...(fulfillment.usedNonces || []), check.nonce];
+                this.applyReturn(fulfillment, actor);
+                break;
+            case 'dispute':
+                this.applyDispute(fulfillment, reason, actor);
+                break;
+            case 'override':
+                await this.applyOverride(fulfillment, proof.holder, reason, actor);
+                break;
+        }
+
+        // Signatures and photos belong to the entry this transition logged, so the hash chain covers them
+        if (attachments.length > 0 && fulfillment.log.length > logLength) {
+            fulfillment.log[fulfillment.log.length - 1].attachments = attachments;
+        }
+
+        const saved = await this.commit(fulfillment);
+        if (!saved.success) {
+            return saved;
+        }
+        return { success: true, message: t(`transition.${action}.successMessage`), fulfillment };
+    }
+
+    // Reference to a file kept in the AttachmentStore; the hash ties the file to the log entry
+    async describeAttachment(id, kind, blob, name) {
+        const sha256 = await this.sha256(await blob.arrayBuffer());
+        return { id, kind, name: name || t(`attachment.${kind}`, {}, 'en'), type: blob.type, size: blob.size, sha256 };
+    }
+
+    isAttachmentRef(ref) {
+        return Boolean(ref) && typeof ref.id === 'string' && ATTACHMENTS.kinds.includes(ref.kind) &&
+            /^[0-9a-f]{64}$/.test(ref.sha256);
+    }
+
+    async verifyProof(fulfillment, type, proof, actor) {
+        if (type === 'qr') {
+            const nextHop = this.getNextHop(fulfillment);
+            if (proof.type !== 'qr' || !proof.token) {
+                return { success: false, message: t('transition.scanDropOff') };
+            }
+
+            const verification = await this.verifyQRToken(proof.token);
+            if (!verification.success) {
+                return verification;
+            }
+            if (verification.fulfillment.id !== fulfillment.id) {
+                return { success: false, message: t('qr.otherFulfillment') };
+            }
+            if (verification.payload.role !== QR_TOKEN.role) {
+                return { success: false, message: t('qr.isReturnCode') };
+            }
+            if (verification.payload.hop < nextHop) {
+                return { success: false, message: t('qr.used') };
+            }
+            if (verification.payload.hop > nextHop) {
+                const receiver = fulfillment.custodians[verification.payload.hop].name;
+                const expected = fulfillment.custodians[nextHop].name;
+                return { success: false, message: t('qr.tooEarly', { receiver, expected }) };
+            }
+            return { success: true, nonce: verification.payload.nonce, hop: nextHop };
+        }
+
+        if (type === 'return-qr') {
+            if (proof.type !== 'qr' || !proof.token) {
+                return { success: false, message: t('transition.scanReturn') };
+            }
+
+            const verification = await this.verifyQRToken(proof.token);
+            if (!verification.success) {
+                return verification;
+            }
+            if (verification.fulfillment.id !== fulfillment.id) {
+                return { success: false, message: t('qr.otherFulfillment') };
+            }
+            if (verification.payload.role !== QR_TOKEN.returnRole) {
+                return { success: false, message: t('qr.isDropOffCode') };
+            }
+            return { success: true, nonce: verification.payload.nonce };
+        }
+
+        if (type === 'pin') {
+            if (proof.type !== 'pin' || !proof.password) {
+                return { success: false, message: t('collect.passwordRequired') };
+            }
+
+            const quantities = this.resolveCollectedQuantities(fulfillment, proof.quantities);
+            if (!quantities) {
+                return { success: false, message: t('collect.badQuantities') };
+            }
+            if (fulfillment.passwordUsed) {
+                return { success: false, message: t('collect.passwordUsed') };
+            }
+
+            const lock = this.getCollectionLockState(fulfillment);
+            if (lock.locked) {
+                return { success: false, message: t('collect.locked'), lock };
+            }
+            if (lock.retryAt) {
+                return { success: false, message: t('collect.coolingDown'), lock };
+            }
+
+            const providedHash = await this.hashPassword(this.normalizeCode(proof.password));
+            if (providedHash !== fulfillment.passwordHash) {
+                this.recordFailedAttempt(fulfillment, actor);
+                const saved = await this.commit(fulfillment);
+                if (!saved.success) {
+                    return saved;
+                }
+                return { success: false, message: t('collect.wrongPassword'), lock: this.getCollectionLockState(fulfillment) };
+            }
+            return { success: true, quantities };
+        }
+
+        if (type === 'manual') {
+            if (proof.type !== 'manual' || !proof.reason || !proof.reason.trim()) {
+                return { success: false, message: t('override.reasonRequired') };
+            }
+            // Staying with the same holder only makes sense to reopen an end state
+            const unchanged = proof.holder === fulfillment.holderIndex &&
+                this.statusForHolder(fulfillment, proof.holder) === fulfillment.status;
+            if (!fulfillment.custodians[proof.holder] || unchanged) {
+                return { success: false, message: t('override.chooseHolder') };
+            }
+            // Anyone can pick Admin in the header; the PIN is what makes them one
+            return this.checkAdminPin(proof.adminPin);
+        }
+
+        if (type === 'reason') {
+            if (proof.type !== 'reason' || !proof.reason || !proof.reason.trim()) {
+                return { success: false, message: t('transition.reasonRequired') };
+            }
+            return { success: true };
+        }
+
+        return { success: false, message: t('transition.unsupportedProof') };
+    }
+
+    // Quantities handed over per line item; everything outstanding when not given.
+    // Returns null unless at least one unit is collected and none is over-collected.
+    resolveCollectedQuantities(fulfillment, quantities) {
+        const resolved = fulfillment.items.map((item, index) => (
+            quantities ? Number(quantities[index] || 0) : this.getRemainingQuantity(item)
+        ));
+        const valid = resolved.every((quantity, index) => (
+            Number.isInteger(quantity) && quantity >= 0 && quantity <= this.getRemainingQuantity(fulfillment.items[index])
+        ));
+        return valid && resolved.some(quantity => quantity > 0) ? resolved : null;
+    }
+
+    // Anything not handed over stays in transit with the last intermediary
+    applyCollection(fulfillment, quantities, actor) {
+        const confirmation = actor === 'intermediary' ? { key: 'log.confirmedBy', params: { name: this.getHolder(fulfillment).name } } : '';
+        const fromStatus = fulfillment.status;
+        fulfillment.items.forEach((item, index) => {
+            item.collected = (item.collected || 0) + quantities[index];
+        });
+
+        const complete = fulfillment.items.every(item => this.getRemainingQuantity(item) === 0);
+        fulfillment.passwordUsed = complete;
+        this.moveHolder(fulfillment, complete ? fulfillment.custodians.length - 1 : fulfillment.holderIndex);
+
+        const event = { actor, proof: 'pin', fromStatus };
+        if (complete && !fulfillment.log.some(t => t.stage === 'partial-collection')) {
+            const stage = this.handoffStage(fulfillment.custodians, fulfillment.holderIndex);
+            this.appendLog(fulfillment, { ...stage, ...event, message: { ...stage.message, params: { ...stage.message.params, confirmation } } });
+            return;
+        }
+
+        const describe = (list) => this.summarizeItems(list.filter(item => item.quantity > 0));
+        const handedOver = describe(fulfillment.items.map((item, index) => ({ name: item.name, quantity: quantities[index] })));
+        const outstanding = describe(fulfillment.items.map(item => ({ name: item.name, quantity: this.getRemainingQuantity(item) })));
+
+        const recipient = this.getRecipient(fulfillment).name;
+        this.appendLog(fulfillment, complete ? {
+            ...event,
+            ...this.handoffStage(fulfillment.custodians, fulfillment.holderIndex),
+            message: { key: 'log.remainingCollected', params: { recipient, items: handedOver, confirmation } }
+        } : {
+            ...event,
+            stage: 'partial-collection',
+            message: { key: 'log.partialCollection', params: { recipient, items: handedOver, outstanding, confirmation } },
+            variant: 'warning'
+        });
+    }
+
+    async applyOverride(fulfillment, holder, reason, actor) {
+        const from = this.holderMessage(fulfillment.status, this.getHolder(fulfillment).name);
+        const fromStatus = fulfillment.status;
+        // End states retired the codes for the rest of the route
+        const reopening = !FULFILLMENT_STATES[fulfillment.status].open;
+
+        for (let hop = 1; hop < fulfillment.custodians.length - 1; hop++) {
+            const custodian = fulfillment.custodians[hop];
+            if (hop <= holder && hop > fulfillment.holderIndex) {
+                // Skipped handoffs retire their outstanding QR codes
+                this.revokeQR(fulfillment, custodian);
+            } else if (hop > holder && (hop <= fulfillment.holderIndex || reopening)) {
+                // Handoffs that have to happen again get a fresh code
+                await this.issueQRToken(fulfillment, hop);
+            }
+        }
+        this.revokeQR(fulfillment, this.getSender(fulfillment));
+        fulfillment.returnRequest = null;
+        fulfillment.statusReason = null;
+        fulfillment.passwordUsed = this.isFinalHop(fulfillment, holder);
+        if (fulfillment.passwordUsed) {
+            fulfillment.items.forEach(item => { item.collected = item.quantity; });
+        } else if (fulfillment.items.every(item => this.getRemainingQuantity(item) === 0)) {
+            // Sending a collected item back along the route means the collection
+            // did not stand; partial collections that left something outstanding still count
+            fulfillment.items.forEach(item => { item.collected = 0; });
+        }
+        this.moveHolder(fulfillment, holder);
+
+        this.appendLog(fulfillment, {
+            stage: 'manual-override',
+            message: {
+                key: 'log.override',
+                params: { from, to: this.holderMessage(fulfillment.status, fulfillment.custodians[holder].name), reason }
+            },
+            variant: 'warning',
+            actor,
+            proof: 'manual',
+            fromStatus
+        });
+    }
+
+    applyCancel(fulfillment, reason, actor) {
+        const fromStatus = fulfillment.status;
+        fulfillment.custodians.forEach(custodian => this.revokeQR(fulfillment, custodian));
+        fulfillment.status = 'cancelled';
+        fulfillment.statusReason = reason;
+
+        this.appendLog(fulfillment, {
+            stage: 'cancelled',
+            message: { key: 'log.cancelled', params: { sender: this.getSender(fulfillment).name, reason } },
+            variant: 'warning',
+            actor,
+            proof: 'reason',
+            fromStatus
+        });
+    }
+
+    // The holder shows the return code; the sender scans it once the item is back
+    async applyReturnRequest(fulfillment, reason, actor) {
+        const sender = this.getSender(fulfillment);
+        const holder = this.getHolder(fulfillment);
+        this.revokeQR(fulfillment, sender);
+        await this.issueQRToken(fulfillment, 0, QR_TOKEN.returnRole);
+        fulfillment.returnRequest = { reason, requestedBy: actor, requestedAt: new Date().toISOString() };
+
+        const requester = actor === 'sender' ? sender.name : holder.name;
+        this.appendLog(fulfillment, {
+            stage: 'return-requested',
+            message: { key: 'log.returnRequested', params: { requester, holder: holder.name, sender: sender.name, reason } },
+            variant: 'warning',
+            actor,
+            proof: 'reason'
+        });
+    }
+
+    applyReturn(fulfillment, actor) {
+        const fromStatus = fulfillment.status;
+        const holder = this.getHolder(fulfillment).name;
+        // Codes for the rest of the route are of no use anymore
+        fulfillment.custodians.slice(1).forEach(custodian => this.revokeQR(fulfillment, custodian));
+        this.moveHolder(fulfillment, 0);
+        fulfillment.status = 'returned';
+        fulfillment.statusReason = fulfillment.returnRequest.reason;
+        fulfillment.returnRequest = null;
+
+        this.appendLog(fulfillment, {
+            ...this.returnStage(fulfillment),
+            message: { key: 'log.returned', params: { holder, sender: this.getSender(fulfillment).name } },
+            actor,
+            proof: 'qr',
+            fromStatus
+        });
+    }
+
+    applyDispute(fulfillment, reason, actor) {
+        const fromStatus = fulfillment.status;
+        fulfillment.status = 'disputed';
+        fulfillment.statusReason = reason;
+
+        this.appendLog(fulfillment, {
+            stage: 'disputed',
+            message: { key: 'log.disputed', params: { recipient: this.getRecipient(fulfillment).name, reason } },
+            variant: 'warning',
+            actor,
+            proof: 'reason',
+            fromStatus
+        });
+    }
+
+    recordFailedAttempt(fulfillment, actor) {
+        const attempts = (fulfillment.failedAttempts || 0) + 1;
+        fulfillment.failedAttempts = attempts;
+
+        let message = { key: 'log.failedAttempt', params: { attempt: attempts, max: PIN_LOCKOUT.maxAttempts } };
+        if (attempts >= PIN_LOCKOUT.maxAttempts) {
+            fulfillment.collectionLocked = true;
+            fulfillment.lockedUntil = null;
+            message = { key: 'log.failedAttemptLocked', params: { ...message.params, sender: this.getSender(fulfillment).name } };
+        } else if (attempts > PIN_LOCKOUT.freeAttempts) {
+            const delayMs = PIN_LOCKOUT.baseDelayMs * Math.pow(2, attempts - PIN_LOCKOUT.freeAttempts - 1);
+            fulfillment.lockedUntil = new Date(Date.now() + delayMs).toISOString();
+            message = { key: 'log.failedAttemptDelayed', params: { ...message.params, count: Math.round(delayMs / 1000) } };
+        }
+
+        this.appendLog(fulfillment, {
+            stage: 'failed-attempt',
+            message,
+            variant: 'warning',
+            actor,
+            proof: 'pin'
+        });
+    }
+
+    getCollectionLockState(fulfillment) {
+        const failedAttempts = fulfillment.failedAttempts || 0;
+        const lockedUntil = fulfillment.lockedUntil ? new Date(fulfillment.lockedUntil) : null;
+
+        return {
+            failedAttempts,
+            attemptsLeft: Math.max(0, PIN_LOCKOUT.maxAttempts - failedAttempts),
+            locked: !!fulfillment.collectionLocked,
+            retryAt: lockedUntil && lockedUntil > new Date() ? fulfillment.lockedUntil : null
+        };
+    }
+
+    // Needs the recovery code, so picking Sender in the header is not enough to
+    // give someone guessing the PIN more attempts
+    async clearCollectionLock(id, actor, recoveryCode) {
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current) {
+            return { success: false, message: t('store.notFound') };
+        }
+        if (actor !== 'sender') {
+            return { success: false, message: t('collect.clearLockSenderOnly', { role: { key: 'role.sender' } }) };
+        }
+        if (current.deletedAt) {
+            return { success: false, message: t('store.inTrash') };
+        }
+        const recovery = await this.checkRecoveryCode(current, recoveryCode);
+        if (!recovery.success) {
+            return recovery;
+        }
+
+        const fulfillment = this.draft(current);
+        fulfillment.failedAttempts = 0;
+        fulfillment.lockedUntil = null;
+        fulfillment.collectionLocked = false;
+
+        this.appendLog(fulfillment, {
+            stage: 'lock-cleared',
+            message: { key: 'log.lockCleared', params: { sender: this.getSender(fulfillment).name } },
+            actor,
+            proof: current.recoveryHash ? 'recovery-code' : null
+        });
+
+        const saved = await this.commit(fulfillment);
+        if (!saved.success) {
+            return saved;
+        }
+        return { success: true, message: t('collect.lockCleared') };
+    }
+
+    // Replaces a lost collection PIN. The old PIN and recovery code stop working and a
+    // new pair is returned, shown once like at creation. Fulfillments from before
+    // recovery codes existed can be reissued by the sender without one.
+    async reissuePin(id, actor, recoveryCode, format) {
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current) {
+            return { success: false, message: t('store.notFound') };
+        }
+        if (actor !== 'sender') {
+            return { success: false, message: t('reissue.senderOnly', { role: { key: 'role.sender' } }) };
+        }
+        if (current.deletedAt) {
+            return { success: false, message: t('store.inTrash') };
+        }
+        if (!FULFILLMENT_STATES[current.status].open) {
+            return { success: false, message: t('store.isStatus', { status: { key: `statusInText.${current.status}` } }) };
+        }
+        if (current.passwordUsed) {
+            return { success: false, message: t('reissue.alreadyCollected') };
+        }
+        const recovery = await this.checkRecoveryCode(current, recoveryCode);
+        if (!recovery.success) {
+            return recovery;
+        }
+
+        const fulfillment = this.draft(current);
+        fulfillment.pinFormat = this.resolvePinFormat(format || current.pinFormat);
+        const password = this.generatePassword(fulfillment.pinFormat);
+        const newRecoveryCode = this.generateRecoveryCode();
+        fulfillment.passwordHash = await this.hashPassword(password);
+        fulfillment.recoveryHash = await this.hashPassword(this.normalizeCode(newRecoveryCode));
+        // Failed attempts were against the old PIN
+        fulfillment.failedAttempts = 0;
+        fulfillment.lockedUntil = null;
+        fulfillment.collectionLocked = false;
+
+        this.appendLog(fulfillment, {
+            stage: 'pin-reissued',
+            message: { key: 'log.pinReissued', params: { sender: this.getSender(fulfillment).name } },
+            actor,
+            proof: current.recoveryHash ? 'recovery-code' : null
+        });
+
+        const saved = await this.commit(fulfillment);
+        if (!saved.success) {
+            return saved;
+        }
+        return { success: true, message: t('reissue.issued'), fulfillment, password, recoveryCode: newRecoveryCode };
+    }
+
+    // Deleting moves the fulfillment to the trash. Its status, PIN hash and log are
+    // kept, so it can be restored as it was until it is purged.
+    async deleteFulfillment(id, actor) {
+        if (actor !== 'sender' && actor !== 'admin') {
+            return { success: false, message: t('trash.deleteNotAllowed', { sender: { key: 'role.sender' }, admin: { key: 'role.admin' } }) };
+        }
+
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current) {
+            return { success: false, message: t('store.notFound') };
+        }
+        if (current.deletedAt) {
+            return { success: false, message: t('trash.alreadyInTrash') };
+        }
+
+        const fulfillment = this.draft(current);
+        fulfillment.deletedAt = new Date().toISOString();
+        this.appendLog(fulfillment, {
+            stage: 'deleted',
+            message: { key: 'log.deleted', params: { role: { key: `role.${actor}` } } },
+            variant: 'warning',
+            actor
+        });
+
+        const saved = await this.commit(fulfillment);
+        if (!saved.success) {
+            return saved;
+        }
+        return { success: true, message: t('trash.moved') };
+    }
+
+    async restoreFulfillment(id, actor) {
+        if (actor !== 'sender' && actor !== 'admin') {
+            return { success: false, message: t('trash.restoreNotAllowed', { sender: { key: 'role.sender' }, admin: { key: 'role.admin' } }) };
+        }
+
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current) {
+            return { success: false, message: t('store.notFound') };
+        }
+        if (!current.deletedAt) {
+            return { success: false, message: t('trash.notInTrash') };
+        }
+
+        const fulfillment = this.draft(current);
+        fulfillment.deletedAt = null;
+        this.appendLog(fulfillment, {
+            stage: 'restored',
+            message: { key: 'log.restored', params: { role: { key: `role.${actor}` } } },
+            actor
+        });
+
+        const saved = await this.commit(fulfillment);
+        if (!saved.success) {
+            return saved;
+        }
+        return { success: true, message: t('trash.restored') };
+    }
+
+    // Removes a fulfillment in the trash for good, with its PIN hash and log
+    async purgeFulfillment(id, actor) {
+        if (actor !== 'sender' && actor !== 'admin') {
+            return { success: false, message: t('trash.purgeNotAllowed', { sender: { key: 'role.sender' }, admin: { key: 'role.admin' } }) };
+        }
+
+        const current = this.fulfillments.find(f => f.id === id);
+        if (!current) {
+            return { success: false, message: t('store.notFound') };
+        }
+        if (!current.deletedAt) {
+            return { success: false, message: t('trash.onlyTrashed') };
+        }
+
+        try {
+            await this.adapter.remove(id, current.version);
+        } catch (error) {
+            return this.handleStorageError(id, error);
+        }
+
+        this.replaceFulfillment(id, null);
+        this.notify();
+        this.emit('fulfillment.purged', current);
+        return { success: true, message: t('trash.purged') };
+    }
+
+    // Purges everything deleted more than retentionDays ago and returns the purged IDs
+    async purgeExpired(retentionDays, now = new Date()) {
+        const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+        const purged = [];
+        for (const fulfillment of this.getFulfillments({ deleted: true })) {
+            if (new Date(fulfillment.deletedAt).getTime() > cutoff) continue;
+            const result = await this.purgeFulfillment(fulfillment.id, 'admin');
+            if (result.success) {
+                purged.push(fulfillment.id);
+            }
+        }
+        return purged;
+    }
+
+    getFulfillment(id) {
+        return this.fulfillments.find(f => f.id === id);
+    }
+
+    // The dashboard list, or with deleted: true the trash, most recently deleted first
+    getFulfillments({ deleted = false } = {}) {
+        const found = this.fulfillments.filter(f => !!f.deletedAt === deleted);
+        return deleted ? found.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)) : found;
+    }
+
+    // Fulfillments with the given status and/or participant name. Adapters with
+    // indexes answer this themselves; otherwise the loaded list is scanned.
+    async query({ status, participant } = {}) {
+        if (this.adapter.query) {
+            const found = await this.adapter.query({ status, participant });
+            return found.map(f => this.getFulfillment(f.id)).filter(f => f && !f.deletedAt);
+        }
+        const name = participant ? participant.trim().toLowerCase() : null;
+        return this.getFulfillments().filter(f => (
+            (!status || f.status === status) &&
+            (!name || f.custodians.some(c => c.name.trim().toLowerCase() === name))
+        ));
+    }
+
+    // Password hashes are part of the backup. PINs are never stored in plaintext,
+    // and a stray `password` field is dropped so one can never end up in a file.
+    exportBackup() {
+        return {
+            format: BACKUP_FORMAT.name,
+            version: BACKUP_FORMAT.version,
+            exportedAt: new Date().toISOString(),
+            fulfillments: this.fulfillments.map(f => {
+                const { password, ...record } = this.draft(f);
+                return record;
+            })
+        };
+    }
+
+    // Splits a backup file into records that can be imported and per-record errors
+    parseBackup(text) {
+        const fail = (message) => ({ records: [], errors: [{ index: null, id: null, messages: [message] }], total: 0 });
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return fail(t('backup.notJson'));
+        }
+        if (!data || data.format !== BACKUP_FORMAT.name || !Array.isArray(data.fulfillments)) {
+            return fail(t('backup.wrongFormat'));
+        }
+        if (!Number.isInteger(data.version) || data.version > BACKUP_FORMAT.version) {
+            return fail(t('backup.unsupportedVersion', { version: String(data.version) }));
+        }
+
+        const records = [];
+        const errors = [];
+        const seen = new Set();
+        data.fulfillments.forEach((raw, index) => {
+            let record = raw;
+            let messages;
+            try {
+                record = raw && typeof raw === 'object' ? this.upgradeRecord(raw) : raw;
+                messages = this.validateRecord(record);
+            } catch (error) {
+                messages = [t('backup.unreadable')];
+            }
+            if (messages.length === 0 && seen.has(record.id)) {
+                messages = [t('backup.duplicateId')];
+            }
+
+            if (messages.length > 0) {
+                errors.push({ index, id: raw && typeof raw.id === 'string' ? raw.id : null, messages });
+            } else {
+                seen.add(record.id);
+                records.push(record);
+            }
+        });
+
+        return { records, errors, total: data.fulfillments.length };
+    }
+
+    validateRecord(record) {
+        if (!record || typeof record !== 'object') {
+            return [t('validate.notObject')];
+        }
+
+        const errors = [];
+        const isName = (value) => typeof value === 'string' && value.trim() !== '';
+
+        if (!isName(record.id)) {
+            errors.push(t('validate.missingId'));
+        } else if (!FULFILLMENT_ID.test(record.id)) {
+            errors.push(t('validate.badId', { id: record.id }));
+        }
+        if (!FULFILLMENT_STATES[record.status]) {
+            errors.push(t('validate.unknownStatus', { status: record.status }));
+        }
+        if (typeof record.passwordHash !== 'string' || !/^[0-9a-f]{64}$/.test(record.passwordHash)) {
+            errors.push(t('validate.passwordHash'));
+        }
+        if (record.recoveryHash && !/^[0-9a-f]{64}$/.test(record.recoveryHash)) {
+            errors.push(t('validate.recoveryHash'));
+        }
+        if (isNaN(Date.parse(record.createdAt))) {
+            errors.push(t('validate.createdAt'));
+        }
+        if (record.deletedAt && isNaN(Date.parse(record.deletedAt))) {
+            errors.push(t('validate.deletedAt'));
+        }
+        const deadlines = record.deadlines || {};
+        if ([deadlines.dropOff, deadlines.collection].some(due => due && isNaN(Date.parse(due)))) {
+            errors.push(t('validate.deadline'));
+        }
+
+        const itemsValid = Array.isArray(record.items) && record.items.length > 0 && record.items.every(item => (
+            item && isName(item.name) &&
+            Number.isInteger(item.quantity) && item.quantity >= 1 &&
+            Number.isInteger(item.collected || 0) && (item.collected || 0) >= 0 && (item.collected || 0) <= item.quantity
+        ));
+        if (!itemsValid) {
+            errors.push(t('validate.items'));
+        }
+
+        const custodiansValid = Array.isArray(record.custodians) && record.custodians.length >= 3 &&
+            record.custodians.every(c => c && isName(c.name));
+        if (!custodiansValid) {
+            errors.push(t('validate.route'));
+        } else if (!Number.isInteger(record.holderIndex) || !record.custodians[record.holderIndex]) {
+            errors.push(t('validate.holder'));
+        } else if (itemsValid && FULFILLMENT_STATES[record.status] && !this.holderMatchesStatus(record)) {
+            errors.push(t('validate.holderStatus', { status: record.status }));
+        }
+
+        if (!Array.isArray(record.log)) {
+            errors.push(t('validate.missingLog'));
+        } else {
+            record.log.forEach((entry, index) => {
+                if (!entry || !TIMELINE_STAGES.includes(entry.stage)) {
+                    errors.push(t('validate.entryStage', { entry: index + 1, stage: String(entry && entry.stage) }));
+                } else if (typeof entry.title !== 'string' || typeof entry.description !== 'string') {
+                    errors.push(t('validate.entryText', { entry: index + 1 }));
+                } else if (entry.message !== undefined &&
+                    !(entry.message && typeof entry.message.key === 'string' && typeof entry.message.params === 'object')) {
+                    errors.push(t('validate.entryMessage', { entry: index + 1 }));
+                } else if (entry.hash !== undefined && !/^[0-9a-f]{64}$/.test(entry.hash)) {
+                    errors.push(t('validate.entryHash', { entry: index + 1 }));
+                } else if (entry.attachments !== undefined &&
+                    !(Array.isArray(entry.attachments) && entry.attachments.every(ref => this.isAttachmentRef(ref)))) {
+                    errors.push(t('validate.entryAttachment', { entry: index + 1 }));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    // mode 'merge' adds and updates by ID; 'replace' also removes everything not in the backup.
+    // conflict decides between two copies with different statuses: 'newest', 'keep-local' or 'use-imported'.
+    // A record that would be saved but whose audit log does not verify, or does not
+    // continue the log kept here, is rejected and the copy here stays as it is.
+    async importFulfillments(records, { mode = 'merge', conflict = 'newest' } = {}) {
+        const summary = { added: 0, updated: 0, kept: 0, removed: 0, conflicts: 0, rejected: [], failed: [] };
+
+        for (const imported of records) {
+            const local = this.getFulfillment(imported.id);
+            if (local && local.status !== imported.status) {
+                summary.conflicts++;
+            }
+            if (local && mode === 'merge' && !this.preferImported(local, imported, conflict)) {
+                summary.kept++;
+                continue;
+            }
+            const problem = await this.checkImportedLog(imported, local);
+            if (problem) {
+                summary.rejected.push({ id: imported.id, message: problem });
+                continue;
+            }
+
+            try {
+                const saved = await this.adapter.save({ ...imported, version: local ? local.version || 0 : 0 });
+                this.replaceFulfillment(imported.id, { ...imported, version: saved.version });
+                summary[local ? 'updated' : 'added']++;
+            } catch (error) {
+                summary.failed.push({ id: imported.id, message: this.handleStorageError(imported.id, error).message });
+            }
+        }
+
+        if (mode === 'replace') {
+            const importedIds = new Set(records.map(r => r.id));
+            for (const local of this.fulfillments.filter(f => !importedIds.has(f.id))) {
+                try {
+                    await this.adapter.remove(local.id, local.version);
+                    this.replaceFulfillment(local.id, null);
+                    summary.removed++;
+                } catch (error) {
+                    summary.failed.push({ id: local.id, message: this.handleStorageError(local.id, error).message });
+                }
+            }
+        }
+
+        this.notify();
+        return summary;
+    }
+
+    // Entries carried over from the old timeline are unsealed by design; anything
+    // else that fails verification means the log was edited, reordered or cut short
+    async checkImportedLog(imported, local) {
+        const check = await this.verifyLog(imported);
+        const problem = check.problems.find(p => p.index === null || !imported.log[p.index].migrated || imported.log[p.index].hash);
+        if (problem) {
+            return t('backup.logInvalid', { problem: problem.index === null ? problem.message : `${t('verify.entry', { n: problem.index + 1 })}${problem.message}` });
+        }
+        if (local && !this.extendsLog(local.log, imported.log)) {
+            return t('backup.logDiverged', { count: local.log.length });
+        }
+        return null;
+    }
+
+    // Copies with the same status keep the later update; different statuses follow the chosen strategy
+    preferImported(local, imported, conflict) {
+        const newer = new Date(imported.updatedAt || imported.createdAt) > new Date(local.updatedAt || local.createdAt);
+        if (local.status === imported.status || conflict === 'newest') {
+            return newer;
+        }
+        return conflict === 'use-imported';
+    }
+
+    generateId() {
+        return 'FUL-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+    }
+}
+
+// Signatures and photos in IndexedDB, keyed by ID and indexed by fulfillment
+class AttachmentStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error(t('attachment.unsupported')));
+                    return;
+                }
+                const request = indexedDB.open(ATTACHMENTS.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const objectStore = request.result.createObjectStore(ATTACHMENTS.storeName, { keyPath: 'id' });
+                    objectStore.createIndex('fulfillmentId', 'fulfillmentId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs `work` against the object store and resolves with its request's result once the transaction commits
+    async run(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(ATTACHMENTS.storeName, mode);
+            const request = work(transaction.objectStore(ATTACHMENTS.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error(t('attachment.aborted')));
+        });
+    }
+
+    async add(fulfillmentId, kind, blob, name) {
+        const id = 'ATT-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+        await this.run('readwrite', objectStore => objectStore.add({
+            id, fulfillmentId, kind, name, blob, createdAt: new Date().toISOString()
+        }));
+        return id;
+    }
+
+    get(id) {
+        return this.run('readonly', objectStore => objectStore.get(id));
+    }
+
+    remove(ids) {
+        return this.run('readwrite', (objectStore) => {
+            ids.forEach(id => objectStore.delete(id));
+        });
+    }
+
+    removeFor(fulfillmentId) {
+        return this.run('readwrite', (objectStore) => {
+            const request = objectStore.index('fulfillmentId').openKeyCursor(IDBKeyRange.only(fulfillmentId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    objectStore.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+}
+
+// Names compare without regard to case or spacing
+function normalizeName(name) {
+    return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Saved people, kept in this browser's localStorage. Names are unique, so
+// "Bob" and "bob" are the same contact.
+class ContactStore {
+    constructor(key = 'contacts') {
+        this.key = key;
+        this.contacts = this.readAll();
+        this.listeners = [];
+
+        // Contacts changed in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.storageArea !== localStorage || (e.key !== this.key && e.key !== null)) return;
+            this.contacts = this.readAll();
+            this.notify();
+        });
+    }
+
+    readAll() {
+        const stored = localStorage.getItem(this.key);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    writeAll(contacts) {
+        localStorage.setItem(this.key, JSON.stringify(contacts));
+        this.contacts = contacts;
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    getContact(id) {
+        return this.contacts.find(c => c.id === id);
+    }
+
+    findByName(name) {
+        const key = normalizeName(name);
+        return key ? this.contacts.find(c => normalizeName(c.name) === key) : undefined;
+    }
+
+    // Alphabetical, with the contacts whose default role is `role` first
+    list(role) {
+        return [...this.contacts].sort((a, b) => (
+            (a.role === role ? 0 : 1) - (b.role === role ? 0 : 1) || a.name.localeCompare(b.name, i18n.locale)
+        ));
+    }
+
+    cleanFields(data) {
+        return {
+            name: (data.name || '').trim().replace(/\s+/g, ' '),
+            email: (data.email || '').trim(),
+            phone: (data.phone || '').trim(),
+            role: data.role
+        };
+    }
+
+    validate(fields, id = null) {
+        if (!fields.name) {
+            return t('contacts.nameRequired');
+        }
+        const existing = this.findByName(fields.name);
+        if (existing && existing.id !== id) {
+            return t('contacts.duplicate', { name: existing.name });
+        }
+        if (fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+            return t('contacts.badEmail');
+        }
+        if (fields.phone && !/^\+?[0-9 ()\-.]{5,}$/.test(fields.phone)) {
+            return t('contacts.badPhone');
+        }
+        if (!CONTACT_ROLES.includes(fields.role)) {
+            return t('contacts.roleRequired');
+        }
+        return null;
+    }
+
+    addContact(data) {
+        const fields = this.cleanFields(data);
+        const error = this.validate(fields);
+        if (error) {
+            return { success: false, message: error };
+        }
+
+        const now = new Date().toISOString();
+        const contact = { id: this.generateId(), ...fields, createdAt: now, updatedAt: now };
+        this.writeAll([...this.contacts, contact]);
+        return { success: true, message: t('contacts.added', { name: contact.name }), contact };
+    }
+
+    // Fulfillments keep the name they were created with; only the link follows the contact
+    updateContact(id, data) {
+        const current = this.getContact(id);
+        if (!current) {
+            return { success: false, message: t('contacts.notFound') };
+        }
+        const fields = this.cleanFields(data);
+        const error = this.validate(fields, id);
+        if (error) {
+            return { success: false, message: error };
+        }
+
+        const contact = { ...current, ...fields, updatedAt: new Date().toISOString() };
+        this.writeAll(this.contacts.map(c => (c.id === id ? contact : c)));
+        return { success: true, message: t('contacts.updated', { name: contact.name }), contact };
+    }
+
+    removeContact(id) {
+        this.writeAll(this.contacts.filter(c => c.id !== id));
+        return { success: true, message: t('contacts.deleted') };
+    }
+
+    // The contact with this name, saved as a new contact with the given default role if there is none
+    resolve(name, role) {
+        if (!normalizeName(name)) return null;
+        return this.findByName(name) || this.addContact({ name, role }).contact || null;
+    }
+
+    generateId() {
+        return 'CON-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+    }
+}
+
+// Outbox transports. send(endpoint, delivery) resolves once the receiver has
+// accepted the event and throws otherwise; errors with retryable === false are
+// not tried again. Any object with that method can be passed to NotificationOutbox.
+class HttpTransport {
+    async post(url, body, headers = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), OUTBOX.timeoutMs);
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? t('outbox.timeout', { count: OUTBOX.timeoutMs / 1000 }) : error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            // Other client errors will fail the same way every time
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw Object.assign(new Error(t('outbox.httpError', { status: String(response.status) })), { retryable });
+        }
+    }
+}
+
+// POSTs the event as JSON. X-Delivery-Id stays the same across retries so the
+// receiver can ignore a delivery it already has.
+class WebhookTransport extends HttpTransport {
+    send(endpoint, delivery) {
+        return this.post(endpoint.url, delivery.event, {
+            'X-Delivery-Id': delivery.id,
+            'X-Event-Type': delivery.event.type
+        });
+    }
+}
+
+// Browsers cannot send mail themselves, so the message goes to an HTTP relay
+// that does: { to, subject, text, event }. The text is in the app's language.
+class EmailRelayTransport extends HttpTransport {
+    send(endpoint, delivery) {
+        const { event } = delivery;
+        const { fulfillment, entry } = event;
+        const label = i18n.has(`event.${event.type}`) ? t(`event.${event.type}`) : event.type;
+        const title = entry && (entry.message ? t(`${entry.message.key}.title`, entry.message.params) : entry.title);
+        const description = entry && (entry.message ? t(`${entry.message.key}.description`, entry.message.params) : entry.description);
+        const lines = [
+            `${fulfillment.itemName} (${fulfillment.id})`,
+            entry ? `${title}: ${description}` : label,
+            t('email.status', { status: i18n.has(`status.${fulfillment.status}`) ? { key: `status.${fulfillment.status}` } : fulfillment.status }),
+            t('email.route', { route: fulfillment.custodians.map(c => c.name).join(` ${t('route.arrow')} `) }),
+            t('email.holder', { name: fulfillment.holder }),
+            // The reader may be in another time zone than this device
+            t('email.time', { time: i18n.formatDateTime(event.occurredAt, { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short' }) })
+        ];
+        return this.post(endpoint.url, {
+            to: endpoint.to,
+            subject: t('email.subject', { event: label, item: fulfillment.itemName }),
+            text: lines.join('\n'),
+            event
+        }, { 'X-Delivery-Id': delivery.id });
+    }
+}
+
+// Delivers the store's domain events to the configured endpoints. Endpoints, the
+// queue and the delivery log live in localStorage, so deliveries survive a reload
+// and are shared by every tab; a Web Lock keeps two tabs from sending the same one.
+class NotificationOutbox {
+    constructor(store, transports = { webhook: new WebhookTransport(), email: new EmailRelayTransport() }) {
+        this.transports = transports;
+        this.keys = { endpoints: 'notificationEndpoints', queue: 'notificationOutbox', log: 'deliveryLog' };
+        this.endpoints = this.read(this.keys.endpoints);
+        this.listeners = [];
+        this.timer = null;
+        this.delivering = false;
+
+        store.on('*', event => this.enqueue(event));
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('storage', (e) => {
+            if (e.storageArea !== localStorage || (!Object.values(this.keys).includes(e.key) && e.key !== null)) return;
+            this.endpoints = this.read(this.keys.endpoints);
+            this.notify();
+        });
+        // Pick up deliveries left waiting when the app was last closed
+        this.schedule();
+    }
+
+    read(key) {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    // Read, change and write in one go, so changes from other tabs are not lost
+    update(key, change) {
+        const value = change(this.read(key));
+        localStorage.setItem(key, JSON.stringify(value));
+        if (key === this.keys.endpoints) {
+            this.endpoints = value;
+        }
+        this.notify();
+        return value;
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    getEndpoint(id) {
+        return this.endpoints.find(e => e.id === id);
+    }
+
+    getQueue() {
+        return this.read(this.keys.queue);
+    }
+
+    getLog() {
+        return this.read(this.keys.log);
+    }
+
+    cleanFields(data) {
+        return {
+            kind: data.kind,
+            url: (data.url || '').trim(),
+            to: data.kind === 'email' ? (data.to || '').trim() : '',
+            events: (data.events || []).filter(type => DOMAIN_EVENTS[type])
+        };
+    }
+
+    validate(fields) {
+        if (!this.transports[fields.kind]) {
+            return t('outbox.kindRequired');
+        }
+        let url;
+        try {
+            url = new URL(fields.url);
+        } catch (error) {
+            return t('outbox.badUrl');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return t('outbox.badUrl');
+        }
+        if (fields.kind === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.to)) {
+            return t('outbox.badEmail');
+        }
+        return null;
+    }
+
+    // An empty events list means every event
+    addEndpoint(data) {
+        const fields = this.cleanFields(data);
+        const error = this.validate(fields);
+        if (error) {
+            return { success: false, message: error };
+        }
+
+        const endpoint = { id: this.generateId('END'), ...fields, createdAt: new Date().toISOString() };
+        this.update(this.keys.endpoints, endpoints => [...endpoints, endpoint]);
+        return { success: true, message: t('outbox.endpointAdded', { kind: { key: `outbox.kind.${endpoint.kind}` } }), endpoint };
+    }
+
+    // Deliveries still waiting for the endpoint go with it
+    removeEndpoint(id) {
+        this.update(this.keys.endpoints, endpoints => endpoints.filter(e => e.id !== id));
+        this.update(this.keys.queue, queue => queue.filter(d => d.endpointId !== id));
+        return { success: true, message: t('outbox.endpointRemoved') };
+    }
+
+    wants(endpoint, type) {
+        return endpoint.events.length === 0 || endpoint.events.includes(type);
+    }
+
+    enqueue(event, endpoints = this.endpoints.filter(e => this.wants(e, event.type))) {
+        if (endpoints.length === 0) return;
+
+        const now = new Date().toISOString();
+        const deliveries = endpoints.map(endpoint => ({
+            id: this.generateId('DLV'),
+            endpointId: endpoint.id,
+            event,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            createdAt: now
+        }));
+        this.update(this.keys.queue, queue => [...queue, ...deliveries]);
+        this.flush();
+    }
+
+    // A made-up event, so a new endpoint can be checked without changing a fulfillment
+    sendTest(id) {
+        const endpoint = this.getEndpoint(id);
+        if (!endpoint) {
+            return { success: false, message: t('outbox.endpointNotFound') };
+        }
+        this.enqueue({
+            id: this.generateId('EVT'),
+            type: 'test',
+            occurredAt: new Date().toISOString(),
+            fulfillment: {
+                id: 'FUL-TEST',
+                itemName: 'Test item',
+                items: [{ name: 'Test item', quantity: 1, sku: '', collected: 0 }],
+                status: 'pending',
+                custodians: [{ name: 'Sender' }, { name: 'Intermediary' }, { name: 'Recipient' }],
+                holder: 'Sender'
+            },
+            entry: null
+        }, [endpoint]);
+        return { success: true, message: t('outbox.testQueued') };
+    }
+
+    retry(id) {
+        this.update(this.keys.queue, queue => queue.map(d => (d.id === id
+            ? { ...d, status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() }
+            : d)));
+        this.flush();
+    }
+
+    discard(id) {
+        this.update(this.keys.queue, queue => queue.filter(d => d.id !== id));
+    }
+
+    getRetryDelay(attempts) {
+        return Math.min(OUTBOX.retryBaseMs * Math.pow(2, attempts - 1), OUTBOX.retryMaxMs);
+    }
+
+    async flush() {
+        let delivered;
+        if (navigator.locks) {
+            // Another tab holding the lock is already delivering
+            delivered = await navigator.locks.request(OUTBOX.lockName, { ifAvailable: true }, lock => !!lock && this.deliverDue());
+        } else {
+            delivered = await this.deliverDue();
+        }
+        // A run already going in this tab schedules the next one when it ends;
+        // one in another tab is checked on again after a retry delay
+        if (delivered) {
+            this.schedule();
+        } else if (!this.delivering) {
+            this.schedule(OUTBOX.retryBaseMs);
+        }
+    }
+
+    // false when a run is already going in this tab
+    async deliverDue() {
+        if (this.delivering) return false;
+        this.delivering = true;
+        try {
+            let delivery;
+            while ((delivery = this.nextDue())) {
+                await this.deliver(delivery);
+            }
+        } finally {
+            this.delivering = false;
+        }
+        return true;
+    }
+
+    nextDue() {
+        const now = Date.now();
+        return this.getQueue().find(d => d.status === 'pending' && new Date(d.nextAttemptAt).getTime() <= now);
+    }
+
+    async deliver(delivery) {
+        const endpoint = this.getEndpoint(delivery.endpointId);
+        if (!endpoint) {
+            this.discard(delivery.id);
+            return;
+        }
+
+        const attempts = delivery.attempts + 1;
+        // Not due again while it is being sent; if this tab closes mid-send it is
+        // picked up once the request would have timed out
+        this.update(this.keys.queue, queue => queue.map(d => (d.id === delivery.id ? {
+            ...d,
+            nextAttemptAt: new Date(Date.now() + OUTBOX.timeoutMs).toISOString()
+        } : d)));
+        let error = null;
+        try {
+            await this.transports[endpoint.kind].send(endpoint, delivery);
+        } catch (sendError) {
+            error = sendError;
+        }
+
+        const outcome = !error ? 'delivered' : error.retryable === false || attempts >= OUTBOX.maxAttempts ? 'failed' : 'retrying';
+        this.update(this.keys.queue, queue => {
+            if (outcome === 'delivered') {
+                return queue.filter(d => d.id !== delivery.id);
+            }
+            return queue.map(d => (d.id === delivery.id ? {
+                ...d,
+                status: outcome === 'failed' ? 'failed' : 'pending',
+                attempts,
+                nextAttemptAt: new Date(Date.now() + this.getRetryDelay(attempts)).toISOString(),
+                lastError: error.message
+            } : d));
+        });
+        this.update(this.keys.log, log => [{
+            deliveryId: delivery.id,
+            endpointId: endpoint.id,
+            target: endpoint.kind === 'email' ? endpoint.to : endpoint.url,
+            eventType: delivery.event.type,
+            fulfillmentId: delivery.event.fulfillment.id,
+            attempt: attempts,
+            outcome,
+            error: error ? error.message : null,
+            at: new Date().toISOString()
+        }, ...log].slice(0, OUTBOX.logLimit));
+    }
+
+    // Wakes up for the next retry that is due, no sooner than minDelay
+    schedule(minDelay = 0) {
+        clearTimeout(this.timer);
+        const next = this.getQueue()
+            .filter(d => d.status === 'pending')
+            .map(d => new Date(d.nextAttemptAt).getTime())
+            .sort((a, b) => a - b)[0];
+        if (next !== undefined) {
+            this.timer = setTimeout(() => this.flush(), Math.max(next - Date.now(), minDelay));
+        }
+    }
+
+    generateId(prefix) {
+        return `${prefix}-` + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+    }
+}
+
+// QR decoding from a live camera or an uploaded image
+class QRScanner {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.stream = null;
+        this.video = null;
+        this.frameRequest = null;
+        this.detector = null;
+    }
+
+    static isCameraSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    // onError gets whatever stops the scan loop once the camera is running; the
+    // camera is already off by then
+    async startCamera(video, onDecode, onError) {
+        this.stopCamera();
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+        } catch (error) {
+            if (error.name === 'NotAllowedError') {
+                throw new Error(t('scanner.cameraDenied'));
+            }
+            if (error.name === 'NotFoundError' || error.name === 'OverconstrainedError') {
+                throw new Error(t('scanner.noCamera'));
+            }
+            throw new Error(t('scanner.cameraFailed'));
+        }
+
+        this.video = video;
+        video.srcObject = this.stream;
+        video.classList.add('active');
+        await video.play();
+
+        const scanFrame = async () => {
+            if (!this.stream) return;
+
+            try {
+                if (video.readyState >= video.HAVE_ENOUGH_DATA) {
+                    const text = await this.decodeSource(video, video.videoWidth, video.videoHeight);
+                    if (text && this.stream) {
+                        this.stopCamera();
+                        onDecode(text);
+                        return;
+                    }
+                }
+            } catch (error) {
+                this.stopCamera();
+                onError(error);
+                return;
+            }
+            this.frameRequest = requestAnimationFrame(scanFrame);
+        };
+        this.frameRequest = requestAnimationFrame(scanFrame);
+    }
+
+    stopCamera() {
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.pause();
+            this.video.srcObject = null;
+            this.video.classList.remove('active');
+            this.video = null;
+        }
+    }
+
+    isCameraActive() {
+        return !!this.stream;
+    }
+
+    async decodeFile(file) {
+        if (!file) {
+            throw new Error(t('scanner.noImage'));
+        }
+        if (!['image/png', 'image/jpeg'].includes(file.type)) {
+            throw new Error(t('scanner.badImageType'));
+        }
+
+        const image = await this.loadImage(file);
+        const text = await this.decodeSource(image, image.naturalWidth, image.naturalHeight);
+        if (!text) {
+            throw new Error(t('scanner.unreadable'));
+        }
+        return text;
+    }
+
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(t('scanner.notAnImage')));
+            };
+            image.src = url;
+        });
+    }
+
+    async decodeSource(source, width, height) {
+        if (!width || !height) return null;
+
+        // Downscale large photos and add a white quiet zone, since the PNGs
+        // produced by qrcode.js have none and decoders rely on it
+        const scale = Math.min(1, 1024 / Math.max(width, height));
+        const drawWidth = Math.round(width * scale);
+        const drawHeight = Math.round(height * scale);
+        const margin = Math.round(Math.max(drawWidth, drawHeight) * 0.1);
+
+        this.canvas.width = drawWidth + margin * 2;
+        this.canvas.height = drawHeight + margin * 2;
+        const context = this.canvas.getContext('2d', { willReadFrequently: true });
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        context.drawImage(source, margin, margin, drawWidth, drawHeight);
+
+        if ('BarcodeDetector' in window) {
+            if (!this.detector) {
+                this.detector = new BarcodeDetector({ formats: ['qr_code'] });
+            }
+            const codes = await this.detector.detect(this.canvas);
+            return codes.length > 0 ? codes[0].rawValue : null;
+        }
+
+        if (typeof jsQR === 'function') {
+            const imageData = context.getImageData(0, 0, this.canvas.width, this.canvas.height);
+            const code = jsQR(imageData.data, imageData.width, imageData.height);
+            return code ? code.data : null;
+        }
+
+        throw new Error(t('scanner.noDecoder'));
+    }
+}
+
+// Hash routes such as '#/f/FUL-123', so every screen can be linked and the
+// back and forward buttons move between them. Patterns name their parameters
+// with a colon ('/f/:id'); values are URI-encoded in the hash.
+class Router {
+    constructor() {
+        this.routes = [];
+        this.fallback = null;
+        this.resolving = false;
+        window.addEventListener('hashchange', () => this.resolve());
+    }
+
+    // Runs for any hash no route matches
+    otherwise(handler) {
+        this.fallback = handler;
+    }
+
+    on(pattern, handler) {
+        const names = [];
+        const source = pattern.replace(/:(\w+)/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        this.routes.push({ regex: new RegExp(`^${source}$`), names, handler });
+    }
+
+    getPath() {
+        return window.location.hash.replace(/^#/, '') || '/';
+    }
+
+    // Runs the handler for the current hash. Screens opened or closed by the
+    // handler do not touch the URL, which already says where we are.
+    resolve() {
+        const path = this.getPath();
+        let route = this.routes.find(r => r.regex.test(path));
+        const params = {};
+        if (route) {
+            const match = path.match(route.regex);
+            try {
+                route.names.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+            } catch (error) {
+                // A mangled link like %E0%A4%A cannot be decoded, so it matches nothing
+                route = null;
+            }
+        }
+        const handler = route ? route.handler : this.fallback;
+        if (!handler) return;
+
+        this.resolving = true;
+        try {
+            handler(params);
+        } finally {
+            this.resolving = false;
+        }
+    }
+
+    // Opening a screen adds a history entry, without running its route again
+    push(path) {
+        if (this.resolving || this.getPath() === path) return;
+        history.pushState(null, '', `#${path}`);
+    }
+
+    // Closing one goes back to the dashboard in place
+    leave() {
+        if (this.resolving || this.getPath() === '/') return;
+        this.replace('/');
+    }
+
+    replace(path) {
+        history.replaceState(null, '', `#${path}`);
+    }
+
+    // Absolute link to a route, without the dashboard filters
+    toUrl(path) {
+        return `${window.location.origin}${window.location.pathname}#${path}`;
+    }
+}
+
+// Modals stack in the order they were opened. Only the top one can be reached:
+// everything under it is inert, Tab wraps around inside it and Escape or a
+// backdrop click runs its close method. Closing hands focus back to whatever
+// had it before the modal opened.
+class ModalManager {
+    constructor(background) {
+        this.background = background;
+        this.stack = [];
+        this.closers = new Map();
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    // close is the screen's own close method, which calls close(modal) in turn
+    register(modal, close) {
+        this.closers.set(modal, close);
+        modal.querySelector('.modal-backdrop').addEventListener('click', close);
+    }
+
+    isOpen(modal) {
+        return this.stack.some(entry => entry.modal === modal);
+    }
+
+    getTop() {
+        const top = this.stack[this.stack.length - 1];
+        return top ? top.modal : null;
+    }
+
+    // Opening one that is already open only re-renders it, so focus stays put
+    open(modal) {
+        if (this.isOpen(modal)) return;
+
+        this.stack.push({ modal, opener: document.activeElement });
+        modal.classList.add('active');
+        modal.style.zIndex = 1000 + this.stack.length;
+        this.update();
+        this.focusInitial(modal);
+    }
+
+    close(modal) {
+        modal.classList.remove('active');
+        modal.style.zIndex = '';
+        const index = this.stack.findIndex(entry => entry.modal === modal);
+        if (index === -1) return;
+
+        const [{ opener }] = this.stack.splice(index, 1);
+        this.update();
+        // A modal closed from under another one leaves focus where it is
+        if (index < this.stack.length) return;
+        if (opener && opener !== document.body && document.contains(opener)) {
+            opener.focus();
+        } else if (this.stack.length) {
+            this.focusInitial(this.getTop());
+        }
+    }
+
+    // Top first, so focus steps back down the stack as they close
+    closeAll(except = []) {
+        this.stack.slice().reverse().forEach(({ modal }) => {
+            if (!except.includes(modal)) this.closers.get(modal)();
+        });
+    }
+
+    update() {
+        const top = this.getTop();
+        this.background.forEach(element => element.toggleAttribute('inert', Boolean(top)));
+        this.stack.forEach(({ modal }) => modal.toggleAttribute('inert', modal !== top));
+        document.body.style.overflow = top ? 'hidden' : '';
+    }
+
+    // The first field of the modal's form, or else the dialog itself so its title
+    // is read out first
+    focusInitial(modal) {
+        const content = modal.querySelector('.modal-content');
+        const form = content.querySelector('form');
+        const field = form && this.getFocusable(form).find(el => el.matches('input:not([type="file"]), select, textarea'));
+        (field || content).focus();
+    }
+
+    getFocusable(container) {
+        return Array.from(container.querySelectorAll('a[href], button, input, select, textarea, [tabindex]'))
+            .filter(el => el.tabIndex >= 0 && !el.disabled && el.getClientRects().length > 0);
+    }
+
+    handleKeydown(e) {
+        const top = this.getTop();
+        if (!top) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closers.get(top)();
+        } else if (e.key === 'Tab') {
+            this.trapFocus(top, e);
+        }
+    }
+
+    // Wraps at either end, and pulls focus back in if a re-render dropped it
+    trapFocus(modal, e) {
+        const focusable = this.getFocusable(modal.querySelector('.modal-content'));
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const current = focusable.indexOf(document.activeElement);
+        if (e.shiftKey && current <= 0) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (current === -1 || current === focusable.length - 1)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// UI Controller
+class UIController {
+    constructor(store, attachments = new AttachmentStore(), contacts = new ContactStore(), outbox = new NotificationOutbox(store)) {
+        this.store = store;
+        this.attachments = attachments;
+        this.contacts = contacts;
+        this.outbox = outbox;
+        this.scanner = new QRScanner();
+        this.actor = localStorage.getItem('actingAs') || 'sender';
+        this.filters = this.readFilters();
+        // Latest "Verify integrity" result per fulfillment
+        this.integrityChecks = {};
+        // Loaded thumbnails by attachment ID: { url, state }
+        this.attachmentPreviews = {};
+        this.signatureDrawn = false;
+        this.router = new Router();
+        this.modals = new ModalManager([document.querySelector('.app-container')]);
+        this.initElements();
+        this.renderLanguageOptions();
+        this.renderActorOptions();
+        this.renderToolbar();
+        this.attachEventListeners();
+        this.initRoutes();
+        this.store.subscribe(() => {
+            this.render();
+            this.refreshOpenModals();
+        });
+        this.contacts.subscribe(() => {
+            this.renderContactOptions();
+            this.refreshOpenModals();
+        });
+        this.outbox.subscribe(() => this.refreshOpenModals());
+        // Static text is swapped by i18n.apply(); everything rendered here is redrawn
+        i18n.subscribe(() => {
+            this.renderLanguageOptions();
+            this.renderActorOptions();
+            this.renderToolbar();
+            this.renderContactOptions();
+            this.render();
+            this.refreshOpenModals();
+        });
+        this.renderContactOptions();
+        this.render();
+        this.startDeadlineChecks();
+    }
+
+    initElements() {
+        this.modal = document.getElementById('modal');
+        this.detailModal = document.getElementById('detail-modal');
+        this.qrModal = document.getElementById('qr-modal');
+        this.scannerModal = document.getElementById('scanner-modal');
+        this.passwordModal = document.getElementById('password-modal');
+        this.collectionModal = document.getElementById('collection-modal');
+        this.overrideModal = document.getElementById('override-modal');
+        this.reasonModal = document.getElementById('reason-modal');
+        this.reissueModal = document.getElementById('reissue-modal');
+        this.clearLockModal = document.getElementById('clear-lock-modal');
+        this.settingsModal = document.getElementById('settings-modal');
+        this.printModal = document.getElementById('print-modal');
+        this.analyticsModal = document.getElementById('analytics-modal');
+        this.contactsModal = document.getElementById('contacts-modal');
+        this.personModal = document.getElementById('person-modal');
+        this.trashModal = document.getElementById('trash-modal');
+        this.deliveriesModal = document.getElementById('deliveries-modal');
+        this.toast = document.getElementById('toast');
+        this.contactForm = document.getElementById('contact-form');
+        this.banner = document.getElementById('app-banner');
+        this.updateBanner = document.getElementById('update-banner');
+        this.actorSelect = document.getElementById('actor-select');
+        this.languageSelect = document.getElementById('language-select');
+        this.fulfillmentsList = document.getElementById('fulfillments-list');
+        this.emptyState = document.getElementById('empty-state');
+        this.toolbar = document.getElementById('dashboard-toolbar');
+        this.form = document.getElementById('fulfillment-form');
+        this.hopList = document.getElementById('hop-list');
+        this.itemList = document.getElementById('item-list');
+        this.scannerForm = document.getElementById('scanner-form');
+        this.collectionForm = document.getElementById('collection-form');
+        this.overrideForm = document.getElementById('override-form');
+        this.reasonForm = document.getElementById('reason-form');
+        this.reissueForm = document.getElementById('reissue-form');
+        this.clearLockForm = document.getElementById('clear-lock-form');
+        this.settingsForm = document.getElementById('settings-form');
+    }
+
+    // Each language is listed in its own name, so it can be found from any other
+    renderLanguageOptions() {
+        this.languageSelect.innerHTML = i18n.getLanguages()
+            .map(({ code, name }) => `<option value="${code}" lang="${code}">${this.escapeHtml(name)}</option>`)
+            .join('');
+        this.languageSelect.value = i18n.locale;
+    }
+
+    renderActorOptions() {
+        this.actorSelect.innerHTML = ACTOR_ROLES
+            .map(role => `<option value="${role}">${t(`role.${role}`)}</option>`)
+            .join('');
+        this.actorSelect.value = ACTOR_ROLES.includes(this.actor) ? this.actor : 'sender';
+        this.actor = this.actorSelect.value;
+    }
+
+    // Links switch to the party they were sent to for this visit only, without
+    // changing the role remembered for the next one
+    setActor(actor, { persist = true } = {}) {
+        this.actor = actor;
+        this.actorSelect.value = actor;
+        if (persist) {
+            localStorage.setItem('actingAs', actor);
+        }
+        this.render();
+        if (this.detailModal.classList.contains('active') && this.currentDetailId) {
+            this.openDetailModal(this.currentDetailId);
+        }
+    }
+
+    attachEventListeners() {
+        // Open modal buttons
+        document.getElementById('new-fulfillment-btn').addEventListener('click', () => this.openModal());
+        document.getElementById('empty-new-btn').addEventListener('click', () => this.openModal());
+        document.getElementById('scan-qr-btn').addEventListener('click', () => this.openScannerModal());
+        document.getElementById('settings-btn').addEventListener('click', () => this.openSettingsModal());
+        document.getElementById('contacts-btn').addEventListener('click', () => this.openContactsModal());
+        document.getElementById('analytics-btn').addEventListener('click', () => this.openAnalyticsModal());
+        document.getElementById('trash-btn').addEventListener('click', () => this.openTrashModal());
+
+        // Close modal buttons
+        document.getElementById('close-modal-btn').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancel-btn').addEventListener('click', () => this.closeModal());
+        document.getElementById('close-detail-btn').addEventListener('click', () => this.closeDetailModal());
+        document.getElementById('close-qr-btn').addEventListener('click', () => this.closeQRModal());
+        document.getElementById('close-scanner-btn').addEventListener('click', () => this.closeScannerModal());
+        document.getElementById('cancel-scanner-btn').addEventListener('click', () => this.closeScannerModal());
+        document.getElementById('close-password-btn').addEventListener('click', () => this.closePasswordModal());
+        document.getElementById('close-collection-btn').addEventListener('click', () => this.closeCollectionModal());
+        document.getElementById('cancel-collection-btn').addEventListener('click', () => this.closeCollectionModal());
+        document.getElementById('close-override-btn').addEventListener('click', () => this.closeOverrideModal());
+        document.getElementById('cancel-override-btn').addEventListener('click', () => this.closeOverrideModal());
+        document.getElementById('close-reason-btn').addEventListener('click', () => this.closeReasonModal());
+        document.getElementById('close-reissue-btn').addEventListener('click', () => this.closeReissueModal());
+        document.getElementById('cancel-reissue-btn').addEventListener('click', () => this.closeReissueModal());
+        document.getElementById('close-clear-lock-btn').addEventListener('click', () => this.closeClearLockModal());
+        document.getElementById('cancel-clear-lock-btn').addEventListener('click', () => this.closeClearLockModal());
+        document.getElementById('cancel-reason-btn').addEventListener('click', () => this.closeReasonModal());
+        document.getElementById('close-settings-btn').addEventListener('click', () => this.closeSettingsModal());
+        document.getElementById('cancel-settings-btn').addEventListener('click', () => this.closeSettingsModal());
+        document.getElementById('close-analytics-btn').addEventListener('click', () => this.closeAnalyticsModal());
+        document.getElementById('close-contacts-btn').addEventListener('click', () => this.closeContactsModal());
+        document.getElementById('close-person-btn').addEventListener('click', () => this.closePersonModal());
+        document.getElementById('close-trash-btn').addEventListener('click', () => this.closeTrashModal());
+        document.getElementById('close-deliveries-btn').addEventListener('click', () => this.closeDeliveriesModal());
+        document.getElementById('close-print-btn').addEventListener('click', () => this.closePrintModal());
+        document.getElementById('cancel-print-btn').addEventListener('click', () => this.closePrintModal());
+
+        // Escape, backdrop clicks and route changes close modals through these
+        [
+            [this.modal, () => this.closeModal()],
+            [this.detailModal, () => this.closeDetailModal()],
+            [this.qrModal, () => this.closeQRModal()],
+            [this.scannerModal, () => this.closeScannerModal()],
+            [this.passwordModal, () => this.closePasswordModal()],
+            [this.collectionModal, () => this.closeCollectionModal()],
+            [this.overrideModal, () => this.closeOverrideModal()],
+            [this.reasonModal, () => this.closeReasonModal()],
+            [this.reissueModal, () => this.closeReissueModal()],
+            [this.clearLockModal, () => this.closeClearLockModal()],
+            [this.settingsModal, () => this.closeSettingsModal()],
+            [this.analyticsModal, () => this.closeAnalyticsModal()],
+            [this.contactsModal, () => this.closeContactsModal()],
+            [this.trashModal, () => this.closeTrashModal()],
+            [this.deliveriesModal, () => this.closeDeliveriesModal()],
+            [this.personModal, () => this.closePersonModal()],
+            [this.printModal, () => this.closePrintModal()]
+        ].forEach(([modal, close]) => this.modals.register(modal, close));
+
+        // Acting party
+        this.actorSelect.addEventListener('change', () => this.setActor(this.actorSelect.value));
+        this.languageSelect.addEventListener('change', () => i18n.setLocale(this.languageSelect.value));
+
+        // Dashboard filters
+        this.toolbar.addEventListener('input', () => this.handleFilterChange());
+        this.toolbar.addEventListener('change', () => this.handleFilterChange());
+        document.getElementById('clear-filters-btn').addEventListener('click', () => {
+            this.filters = { q: '', statuses: [], from: '', to: '', sort: 'created-desc', group: '', overdue: false };
+            this.writeFilters();
+            this.renderToolbar();
+            this.render();
+        });
+
+        // Form submissions
+        this.form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        this.hopList.addEventListener('click', (e) => this.handleHopAction(e));
+        this.itemList.addEventListener('click', (e) => this.handleItemAction(e));
+        document.getElementById('add-item-btn').addEventListener('click', () => {
+            this.renderItemRows([...this.getItemRows(), { name: '', quantity: 1, sku: '' }]);
+            this.itemList.querySelector('.item-row:last-child .item-name-input').focus();
+        });
+        document.getElementById('add-hop-btn').addEventListener('click', () => {
+            this.renderHopRows([...this.getHopNames(), '']);
+            this.hopList.querySelector('.hop-row:last-child .hop-input').focus();
+        });
+        this.scannerForm.addEventListener('submit', (e) => this.handleScannerSubmit(e));
+        this.collectionForm.addEventListener('submit', (e) => this.handleCollectionSubmit(e));
+        this.initSignaturePad();
+        document.getElementById('clear-signature-btn').addEventListener('click', () => this.clearSignature());
+        this.overrideForm.addEventListener('submit', (e) => this.handleOverrideSubmit(e));
+        this.reasonForm.addEventListener('submit', (e) => this.handleReasonSubmit(e));
+        this.reissueForm.addEventListener('submit', (e) => this.handleReissueSubmit(e));
+        this.clearLockForm.addEventListener('submit', (e) => this.handleClearLockSubmit(e));
+        this.settingsForm.addEventListener('submit', (e) => this.handleSettingsSubmit(e));
+        this.contactForm.addEventListener('submit', (e) => this.handleContactSubmit(e));
+        document.getElementById('analytics-controls').addEventListener('change', () => this.renderAnalytics());
+        document.getElementById('reset-contact-btn').addEventListener('click', () => this.editContact(null));
+        document.getElementById('contacts-list').addEventListener('click', (e) => this.handleContactAction(e));
+        document.getElementById('trash-list').addEventListener('click', (e) => this.handleTrashAction(e));
+        document.getElementById('toast-undo-btn').addEventListener('click', () => this.undoToast());
+        document.getElementById('person-content').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-fulfillment-id]');
+            if (!row) return;
+            this.closePersonModal();
+            setTimeout(() => this.openDetailModal(row.dataset.fulfillmentId), 300);
+        });
+
+        // Backup and restore
+        document.getElementById('export-backup-btn').addEventListener('click', () => this.exportBackup());
+        document.getElementById('import-backup-btn').addEventListener('click', () => this.importBackup());
+
+        // Webhooks and email
+        document.getElementById('endpoint-kind').addEventListener('change', () => this.renderEndpointKind());
+        document.getElementById('add-endpoint-btn').addEventListener('click', () => this.addEndpoint());
+        document.getElementById('endpoints-list').addEventListener('click', (e) => this.handleEndpointAction(e));
+        document.getElementById('view-deliveries-btn').addEventListener('click', () => {
+            this.closeSettingsModal();
+            setTimeout(() => this.openDeliveriesModal(), 300);
+        });
+        document.getElementById('deliveries-content').addEventListener('click', (e) => this.handleDeliveryAction(e));
+
+        // Overdue notifications
+        document.getElementById('enable-notifications-btn').addEventListener('click', () => this.enableNotifications());
+
+        // QR signing keys
+        document.getElementById('copy-qr-key-btn').addEventListener('click', (e) => {
+            this.copyWithFeedback(document.getElementById('qr-public-key').value, e.currentTarget);
+        });
+
+        // QR download
+        document.getElementById('download-qr-btn').addEventListener('click', () => this.downloadQRCode());
+        document.getElementById('print-label-btn').addEventListener('click', () => {
+            const { currentQRId: id, currentQRHop: hop } = this;
+            this.closeQRModal();
+            setTimeout(() => this.openPrintModal('label', id, hop), 300);
+        });
+        document.getElementById('print-size').addEventListener('change', () => this.renderPrintJob());
+        document.getElementById('print-btn').addEventListener('click', () => this.printDocument());
+
+        // Password copy
+        document.getElementById('copy-password-btn').addEventListener('click', () => this.copyPassword());
+        document.getElementById('copy-recovery-btn').addEventListener('click', () => this.copyRecoveryCode());
+
+        // QR capture from camera or uploaded photo
+        document.getElementById('scanner-camera-btn').addEventListener('click', () => this.toggleCamera('scanner'));
+        document.getElementById('collection-camera-btn').addEventListener('click', () => this.toggleCamera('collection'));
+        document.getElementById('scanner-file-input').addEventListener('change', (e) => this.handleQRUpload(e, 'scanner'));
+        document.getElementById('collection-file-input').addEventListener('change', (e) => this.handleQRUpload(e, 'collection'));
+    }
+
+    // Dashboard filters live in the query string so a filtered view can be bookmarked
+    readFilters() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            q: params.get('q') || '',
+            statuses: (params.get('status') || '').split(',').filter(status => FULFILLMENT_STATES[status]),
+            from: params.get('from') || '',
+            to: params.get('to') || '',
+            sort: SORT_OPTIONS.includes(params.get('sort')) ? params.get('sort') : 'created-desc',
+            group: GROUP_OPTIONS.includes(params.get('group')) ? params.get('group') : '',
+            overdue: params.get('overdue') === '1'
+        };
+    }
+
+    writeFilters() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            q: this.filters.q,
+            status: this.filters.statuses.join(','),
+            from: this.filters.from,
+            to: this.filters.to,
+            sort: this.filters.sort === 'created-desc' ? '' : this.filters.sort,
+            group: this.filters.group,
+            overdue: this.filters.overdue ? '1' : ''
+        };
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    renderToolbar() {
+        document.getElementById('filter-search').value = this.filters.q;
+        document.getElementById('filter-from').value = this.filters.from;
+        document.getElementById('filter-to').value = this.filters.to;
+        document.getElementById('filter-overdue').checked = this.filters.overdue;
+        document.getElementById('status-filters').innerHTML = Object.keys(FULFILLMENT_STATES)
+            .map(status => `
+                <label class="status-chip">
+                    <input type="checkbox" value="${status}" ${this.filters.statuses.includes(status) ? 'checked' : ''}>
+                    <span>${t(`status.${status}`)}</span>
+                </label>
+            `).join('');
+
+        const options = (prefix, values, selected) => values
+            .map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${t(`${prefix}.${value || 'none'}`)}</option>`)
+            .join('');
+        document.getElementById('sort-select').innerHTML = options('sort', SORT_OPTIONS, this.filters.sort);
+        document.getElementById('group-select').innerHTML = options('group', GROUP_OPTIONS, this.filters.group);
+    }
+
+    handleFilterChange() {
+        this.filters = {
+            q: document.getElementById('filter-search').value.trim(),
+            statuses: Array.from(document.querySelectorAll('#status-filters input:checked')).map(input => input.value),
+            from: document.getElementById('filter-from').value,
+            to: document.getElementById('filter-to').value,
+            sort: document.getElementById('sort-select').value,
+            group: document.getElementById('group-select').value,
+            overdue: document.getElementById('filter-overdue').checked
+        };
+        this.writeFilters();
+        this.render();
+    }
+
+    filterFulfillments(fulfillments) {
+        const { q, statuses, from, to, overdue } = this.filters;
+        const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+        // Date inputs are local calendar days
+        const fromDate = from ? new Date(`${from}T00:00:00`) : null;
+        const toDate = to ? new Date(`${to}T23:59:59.999`) : null;
+
+        return fulfillments.filter(f => {
+            if (statuses.length > 0 && !statuses.includes(f.status)) return false;
+            if (overdue && this.store.getDeadlineState(f) !== 'overdue') return false;
+
+            const created = new Date(f.createdAt);
+            if (fromDate && created < fromDate) return false;
+            if (toDate && created > toDate) return false;
+
+            const text = [
+                f.id,
+                f.itemName,
+                ...f.items.map(item => `${item.name} ${item.sku}`),
+                ...f.custodians.map(c => c.name)
+            ].join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+    }
+
+    sortFulfillments(fulfillments) {
+        const time = (value) => new Date(value).getTime();
+        const compare = {
+            'created-desc': (a, b) => time(b.createdAt) - time(a.createdAt),
+            'created-asc': (a, b) => time(a.createdAt) - time(b.createdAt),
+            'updated': (a, b) => time(b.updatedAt || b.createdAt) - time(a.updatedAt || a.createdAt),
+            'stage-time': (a, b) => time(this.store.getStageEnteredAt(a)) - time(this.store.getStageEnteredAt(b)),
+            // Fulfillments without a deadline go last
+            'deadline': (a, b) => due(a) - due(b)
+        }[this.filters.sort];
+        const due = (f) => {
+            const deadline = this.store.getDeadline(f);
+            return deadline ? time(deadline.due) : Infinity;
+        };
+        return [...fulfillments].sort(compare);
+    }
+
+    // Groups keep the sort order and are listed by participant name
+    groupFulfillments(fulfillments) {
+        const participant = {
+            holder: f => this.store.getHolder(f).name,
+            sender: f => this.store.getSender(f).name,
+            recipient: f => this.store.getRecipient(f).name
+        }[this.filters.group];
+
+        const groups = new Map();
+        fulfillments.forEach(f => {
+            const name = participant(f);
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(f);
+        });
+        return Array.from(groups.entries()).sort(([a], [b]) => a.localeCompare(b, i18n.locale));
+    }
+
+    openModal() {
+        this.router.push('/new');
+        this.renderItemRows([{ name: '', quantity: 1, sku: '' }]);
+        this.renderHopRows(['']);
+        document.getElementById('deadline-hint').textContent = t('create.deadlineHint', {
+            dropOff: this.formatDuration(SLA.dropOffMs),
+            collection: this.formatDuration(SLA.collectionMs)
+        });
+        this.modals.open(this.modal);
+    }
+
+    closeModal() {
+        this.router.leave();
+        this.modals.close(this.modal);
+        this.form.reset();
+    }
+
+    openDetailModal(id) {
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) return;
+
+        this.router.push(`/f/${encodeURIComponent(id)}`);
+        this.renderDetail(fulfillment);
+
+        this.currentDetailId = id;
+        this.modals.open(this.detailModal);
+    }
+
+    closeDetailModal() {
+        this.router.leave();
+        this.modals.close(this.detailModal);
+        this.currentDetailId = null;
+    }
+
+    renderDetail(fulfillment) {
+        document.getElementById('detail-title').textContent = fulfillment.itemName;
+        document.getElementById('detail-content').innerHTML = this.renderDetailContent(fulfillment);
+
+        // Attach action buttons
+        this.attachDetailActions(fulfillment.id);
+        this.loadAttachmentPreviews();
+    }
+
+    // Thumbnails are rendered as placeholders and filled in from IndexedDB. Each file
+    // is checked against the hash in the log, so a swapped photo is flagged.
+    async loadAttachmentPreviews() {
+        for (const thumb of document.querySelectorAll('#detail-content [data-attachment-id]')) {
+            const { attachmentId, sha256 } = thumb.dataset;
+            if (!this.attachmentPreviews[attachmentId]) {
+                this.attachmentPreviews[attachmentId] = await this.loadAttachmentPreview(attachmentId, sha256);
+            }
+            this.renderAttachmentPreview(thumb, this.attachmentPreviews[attachmentId]);
+        }
+    }
+
+    async loadAttachmentPreview(id, sha256) {
+        try {
+            const record = await this.attachments.get(id);
+            if (!record) {
+                return { state: 'missing' };
+            }
+            const hash = await this.store.sha256(await record.blob.arrayBuffer());
+            return { state: hash === sha256 ? 'ok' : 'tampered', url: URL.createObjectURL(record.blob) };
+        } catch (error) {
+            return { state: 'missing' };
+        }
+    }
+
+    renderAttachmentPreview(thumb, preview) {
+        const label = thumb.getAttribute('aria-label');
+        thumb.classList.toggle('missing', preview.state === 'missing');
+        thumb.classList.toggle('tampered', preview.state === 'tampered');
+        if (preview.state === 'missing') {
+            thumb.textContent = t('attachment.missing');
+            thumb.title = t('attachment.otherDevice', { name: label });
+            return;
+        }
+        thumb.href = preview.url;
+        thumb.target = '_blank';
+        thumb.innerHTML = `<img src="${preview.url}" alt="${this.escapeHtml(label)}">`;
+        if (preview.state === 'tampered') {
+            thumb.title = t('attachment.tampered', { name: label });
+        }
+    }
+
+    // Missed deadlines are logged and notified while the app is open. Badges also
+    // change with time alone, so the dashboard is redrawn whenever one does.
+    startDeadlineChecks() {
+        const openedAt = new Date();
+        const check = async () => {
+            const overdue = await this.store.checkDeadlines();
+            overdue
+                .filter(({ deadline }) => new Date(deadline.due) >= openedAt)
+                .forEach(({ fulfillment, deadline }) => this.notifyOverdue(fulfillment, deadline));
+
+            const states = this.store.getFulfillments().map(f => `${f.id}:${this.store.getDeadlineState(f)}`).join();
+            if (states !== this.deadlineStates) {
+                this.deadlineStates = states;
+                this.render();
+            }
+        };
+
+        check();
+        setInterval(check, SLA.checkIntervalMs);
+    }
+
+    notifyOverdue(fulfillment, deadline) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        new Notification(t('notifications.overdueTitle', { item: fulfillment.itemName }), {
+            body: t('notifications.overdueBody', { deadline: deadline.label, due: this.formatDateTime(deadline.due) }),
+            tag: `${fulfillment.id}-overdue-${deadline.hop}`
+        });
+    }
+
+    async enableNotifications() {
+        if ('Notification' in window) {
+            await Notification.requestPermission();
+        }
+        this.renderNotificationStatus();
+    }
+
+    renderNotificationStatus() {
+        const button = document.getElementById('enable-notifications-btn');
+        const status = document.getElementById('notification-status');
+        if (!('Notification' in window)) {
+            button.disabled = true;
+            status.textContent = t('notifications.unsupported');
+            return;
+        }
+
+        button.disabled = Notification.permission !== 'default';
+        status.textContent = t(`notifications.${Notification.permission}`);
+    }
+
+    // Every screen has a route (see Router), so it can be linked to and the back
+    // button closes it. Links to data that is gone show a message on the dashboard.
+    initRoutes() {
+        const route = (pattern, open) => this.router.on(pattern, (params) => {
+            this.closeModals();
+            open(params);
+        });
+
+        route('/', () => {});
+        route('/new', () => this.openModal());
+        route('/scan', () => this.openScannerModal());
+        route('/f/:id', ({ id }) => this.withFulfillment(id, () => this.openDetailModal(id)));
+        route('/collect/:id', ({ id }) => this.withFulfillment(id, () => {
+            this.setActor('recipient', { persist: false });
+            this.openCollectionModal(id);
+        }));
+        route('/dropoff/:token', ({ token }) => this.openDropOffLink(token));
+        route('/trash', () => this.openTrashModal());
+        route('/contacts', () => this.openContactsModal());
+        route('/contacts/:id', ({ id }) => {
+            if (!this.contacts.getContact(id)) {
+                this.showRouteError(t('routes.contactGone'));
+                return;
+            }
+            this.openPersonModal(id);
+        });
+        route('/analytics', () => this.openAnalyticsModal());
+        route('/settings', () => this.openSettingsModal());
+        route('/deliveries', () => this.openDeliveriesModal());
+        this.router.otherwise(() => {
+            this.closeModals();
+            this.showRouteError(t('routes.unknown'));
+        });
+    }
+
+    withFulfillment(id, open) {
+        if (!this.store.getFulfillment(id)) {
+            this.showRouteError(t('routes.fulfillmentGone', { id }));
+            return;
+        }
+        open();
+    }
+
+    showRouteError(message) {
+        this.showBanner(message);
+        this.router.replace('/');
+    }
+
+    // A drop-off link carries the signed QR token, so following it is the same as
+    // scanning the code: the receiver only has to confirm
+    openDropOffLink(token) {
+        const payload = this.store.parseQRToken(token);
+        if (!payload || !this.store.getFulfillment(payload.id)) {
+            this.showRouteError(t('routes.badDropOffLink'));
+            return;
+        }
+        this.setActor(payload.role === QR_TOKEN.returnRole ? 'sender' : 'intermediary', { persist: false });
+        this.openScannerModal();
+        document.getElementById('qr-code-input').value = token;
+    }
+
+    // The link that opens just this custodian's step: the details for the sender, the
+    // drop-off confirmation for an intermediary and the collection form for the recipient
+    async getStepLink(fulfillment, hop) {
+        if (hop === 0) {
+            return this.router.toUrl(`/f/${encodeURIComponent(fulfillment.id)}`);
+        }
+        if (hop === fulfillment.custodians.length - 1) {
+            return this.router.toUrl(`/collect/${encodeURIComponent(fulfillment.id)}`);
+        }
+        const qr = await this.store.ensureQRToken(fulfillment.id, hop);
+        return qr ? this.router.toUrl(`/dropoff/${encodeURIComponent(qr.token)}`) : null;
+    }
+
+    // Drop-off links work like the QR code, so only the sender hands them out, and
+    // only for handoffs still to come
+    canShareStep(fulfillment, index) {
+        if (index === 0) return true;
+        if (fulfillment.deletedAt || !FULFILLMENT_STATES[fulfillment.status].open) return false;
+        if (index === fulfillment.custodians.length - 1) return !fulfillment.passwordUsed;
+        return this.canEditRoute(fulfillment) && index > fulfillment.holderIndex && this.store.isQRHop(fulfillment, index);
+    }
+
+    // On a route change everything closes except the one-time password display,
+    // which must not be lost to a stray back press
+    closeModals() {
+        this.modals.closeAll([this.passwordModal]);
+    }
+
+    // Changes can arrive from other tabs or devices while a modal is open
+    refreshOpenModals() {
+        if (this.currentDetailId && this.detailModal.classList.contains('active')) {
+            const fulfillment = this.store.getFulfillment(this.currentDetailId);
+            if (fulfillment) {
+                this.renderDetail(fulfillment);
+            } else {
+                this.closeDetailModal();
+            }
+        }
+
+        if (this.currentPersonId && this.personModal.classList.contains('active')) {
+            this.renderPerson();
+        }
+        if (this.contactsModal.classList.contains('active')) {
+            this.renderContactsList();
+        }
+        if (this.analyticsModal.classList.contains('active')) {
+            this.renderAnalytics();
+        }
+        if (this.trashModal.classList.contains('active')) {
+            this.renderTrash();
+        }
+        if (this.settingsModal.classList.contains('active')) {
+            this.renderEndpoints();
+        }
+        if (this.deliveriesModal.classList.contains('active')) {
+            this.renderDeliveries();
+        }
+
+        if (this.currentCollectionId && this.collectionModal.classList.contains('active')) {
+            const fulfillment = this.store.getFulfillment(this.currentCollectionId);
+            if (fulfillment) {
+                this.renderCollectionLock(fulfillment);
+            }
+        }
+    }
+
+    // Shows the code for the given hop, or for the next handoff
+    async openQRModal(id, hop) {
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) return;
+
+        if (hop === undefined || hop === null) {
+            hop = this.store.getNextHop(fulfillment);
+        }
+        const qr = await this.store.ensureQRToken(id, hop);
+        if (!qr) return;
+
+        // Hop 0 is the return code: the holder hands the item back to the sender
+        const isReturn = qr.role === QR_TOKEN.returnRole;
+        const from = isReturn ? this.store.getHolder(fulfillment) : fulfillment.custodians[hop - 1];
+        document.getElementById('qr-title').textContent = t(isReturn ? 'qrModal.returnTitle' : 'qrModal.dropOffTitle');
+        document.getElementById('qr-from-name').textContent = from.name;
+        document.getElementById('qr-to-name').textContent = fulfillment.custodians[hop].name;
+        document.getElementById('qr-hop').textContent = isReturn
+            ? t('qrModal.returnHop')
+            : t('qrModal.hop', { hop, total: fulfillment.custodians.length - 1 });
+        document.getElementById('qr-expiry').textContent = t('qrModal.expiry', { time: this.formatDateTime(qr.expiresAt) });
+
+        // Clear previous QR code
+        const container = document.getElementById('qr-code-container');
+        container.innerHTML = '';
+        container.setAttribute('aria-label', t('qrModal.alt', { to: fulfillment.custodians[hop].name, from: from.name }));
+
+        // Generate QR code from the signed payload, never the bare ID
+        new QRCode(container, {
+            text: qr.token,
+            width: 256,
+            height: 256,
+            colorDark: '#000000',
+            colorLight: '#ffffff',
+            correctLevel: QRCode.CorrectLevel.H
+        });
+
+        this.currentQRId = id;
+        this.currentQRHop = hop;
+        this.modals.open(this.qrModal);
+    }
+
+    closeQRModal() {
+        this.modals.close(this.qrModal);
+        this.currentQRId = null;
+    }
+
+    openScannerModal() {
+        this.router.push('/scan');
+        this.modals.open(this.scannerModal);
+        document.getElementById('scanner-result').className = 'scanner-result';
+        document.getElementById('scanner-result').textContent = '';
+        document.getElementById('qr-code-input').value = '';
+    }
+
+    closeScannerModal() {
+        this.router.leave();
+        this.stopCamera();
+        this.modals.close(this.scannerModal);
+        this.scannerForm.reset();
+    }
+
+    // Files are stored before the transition so it can log their hashes, and
+    // removed again if the transition does not go through
+    async transitionWithAttachments(id, action, options, files) {
+        if (files.length === 0) {
+            return this.store.transition(id, action, options);
+        }
+        const tooLarge = files.find(file => file.blob.size > ATTACHMENTS.maxBytes);
+        if (tooLarge) {
+            return { success: false, message: t('attachment.tooLarge', { name: tooLarge.name, size: i18n.formatUnit(ATTACHMENTS.maxBytes / (1024 * 1024), 'megabyte') }) };
+        }
+
+        const ids = [];
+        const refs = [];
+        try {
+            for (const { kind, blob, name } of files) {
+                ids.push(await this.attachments.add(id, kind, blob, name));
+                refs.push(await this.store.describeAttachment(ids[ids.length - 1], kind, blob, name));
+            }
+        } catch (error) {
+            this.attachments.remove(ids).catch(() => {});
+            return { success: false, message: t('attachment.saveFailed', { error: error.message }) };
+        }
+
+        const result = await this.store.transition(id, action, { ...options, attachments: refs });
+        if (!result.success) {
+            this.attachments.remove(ids).catch(() => {});
+        }
+        return result;
+    }
+
+    initSignaturePad() {
+        const canvas = document.getElementById('signature-pad');
+        let drawing = false;
+
+        // Pointer position in canvas pixels, whatever size the canvas is shown at
+        const point = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left) * (canvas.width / (rect.width || canvas.width)),
+                y: (e.clientY - rect.top) * (canvas.height / (rect.height || canvas.height))
+            };
+        };
+
+        canvas.addEventListener('pointerdown', (e) => {
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return;
+            drawing = true;
+            canvas.setPointerCapture(e.pointerId);
+            const { x, y } = point(e);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!drawing) return;
+            const ctx = canvas.getContext('2d');
+            const { x, y } = point(e);
+            ctx.lineWidth = 2.5;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.strokeStyle = '#111827';
+            ctx.lineTo(x, y);
+            ctx.stroke();
+            this.signatureDrawn = true;
+        });
+        ['pointerup', 'pointercancel'].forEach(type => canvas.addEventListener(type, () => {
+            drawing = false;
+        }));
+    }
+
+    // White background, so the saved PNG reads the same on the dark theme
+    clearSignature() {
+        const canvas = document.getElementById('signature-pad');
+        const ctx = canvas.getContext('2d');
+        if (ctx) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        this.signatureDrawn = false;
+    }
+
+    async getCollectionFiles() {
+        const files = [];
+        if (this.signatureDrawn) {
+            const canvas = document.getElementById('signature-pad');
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (blob) {
+                files.push({ kind: 'signature', blob, name: t('attachment.signature', {}, 'en') });
+            }
+        }
+        Array.from(document.getElementById('collection-photos').files).forEach(file => {
+            files.push({ kind: 'photo', blob: file, name: file.name });
+        });
+        return files;
+    }
+
+    getCaptureTarget(target) {
+        if (target === 'collection') {
+            return {
+                video: document.getElementById('collection-video'),
+                button: document.getElementById('collection-camera-btn'),
+                resultId: 'collection-result',
+                onDecode: (code) => this.handleCollectionCode(code)
+            };
+        }
+        return {
+            video: document.getElementById('scanner-video'),
+            button: document.getElementById('scanner-camera-btn'),
+            resultId: 'scanner-result',
+            onDecode: (code) => this.handleScannedCode(code)
+        };
+    }
+
+    async toggleCamera(target) {
+        if (this.scanner.isCameraActive()) {
+            this.stopCamera();
+            return;
+        }
+
+        const { video, button, resultId, onDecode } = this.getCaptureTarget(target);
+        this.clearResult(resultId);
+
+        if (!QRScanner.isCameraSupported()) {
+            this.showScanError(resultId, t('scanner.cameraUnsupported'));
+            return;
+        }
+
+        try {
+            await this.scanner.startCamera(video, (code) => {
+                this.stopCamera();
+                onDecode(code);
+            }, (error) => {
+                this.stopCamera();
+                this.showScanError(resultId, error.message);
+            });
+            button.querySelector('span').textContent = t('scanner.stopCamera');
+        } catch (error) {
+            this.stopCamera();
+            this.showScanError(resultId, error.message);
+        }
+    }
+
+    stopCamera() {
+        this.scanner.stopCamera();
+        document.querySelectorAll('#scanner-camera-btn span, #collection-camera-btn span').forEach(label => {
+            label.textContent = t('scanner.useCamera');
+        });
+    }
+
+    async handleQRUpload(e, target) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const { resultId, onDecode } = this.getCaptureTarget(target);
+        this.stopCamera();
+        this.clearResult(resultId);
+
+        try {
+            const code = await this.scanner.decodeFile(file);
+            onDecode(code);
+        } catch (error) {
+            this.showScanError(resultId, error.message);
+        }
+    }
+
+    handleScannedCode(code) {
+        document.getElementById('qr-code-input').value = code;
+        this.processScannerCode(code);
+    }
+
+    handleCollectionCode(code) {
+        document.getElementById('collection-fulfillment-id').value = code;
+        const resultDiv = document.getElementById('collection-result');
+        resultDiv.className = 'scanner-result success';
+        resultDiv.innerHTML = `<strong>✓ ${t('collect.codeRead')}</strong> ${t('collect.enterPassword')}`;
+        document.getElementById('collection-password').focus();
+    }
+
+    clearResult(resultId) {
+        const resultDiv = document.getElementById(resultId);
+        resultDiv.className = 'scanner-result';
+        resultDiv.textContent = '';
+    }
+
+    showScanError(resultId, message) {
+        const resultDiv = document.getElementById(resultId);
+        resultDiv.className = 'scanner-result error';
+        resultDiv.innerHTML = `<strong>✗ ${t('result.error')}</strong> ${this.escapeHtml(message)}`;
+    }
+
+    showScanSuccess(resultId, message) {
+        const resultDiv = document.getElementById(resultId);
+        resultDiv.className = 'scanner-result success';
+        resultDiv.textContent = message;
+    }
+
+    downloadQRCode() {
+        const canvas = document.querySelector('#qr-code-container canvas');
+        if (!canvas) return;
+
+        const url = canvas.toDataURL('image/png');
+        const link = document.createElement('a');
+        link.download = `QR-${this.currentQRId}.png`;
+        link.href = url;
+        link.click();
+    }
+
+    // type is 'label' (a drop-off or return QR code for the given hop) or 'receipt'
+    async openPrintModal(type, id, hop) {
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) return;
+
+        const qr = type === 'label' ? await this.store.ensureQRToken(id, hop) : null;
+        if (type === 'label' && !qr) return;
+
+        this.printJob = { type, id, hop, qr };
+        document.getElementById('print-title').textContent = t(type === 'label' ? 'print.labelTitle' : 'print.receiptTitle');
+        document.getElementById('print-size').innerHTML = Object.keys(PRINT_SIZES)
+            .map(value => `<option value="${value}">${t(`print.size.${value}`)}</option>`)
+            .join('');
+        document.getElementById('print-size').value = type === 'label' ? 'a6' : 'a4';
+        this.renderPrintJob();
+
+        this.modals.open(this.printModal);
+    }
+
+    closePrintModal() {
+        this.modals.close(this.printModal);
+        document.getElementById('print-preview').innerHTML = '';
+        document.getElementById('print-sheet').innerHTML = '';
+        this.printJob = null;
+    }
+
+    // The document goes into the preview and into #print-sheet, the only
+    // element the print stylesheet shows
+    renderPrintJob() {
+        const fulfillment = this.printJob && this.store.getFulfillment(this.printJob.id);
+        if (!fulfillment) return;
+
+        const size = document.getElementById('print-size').value;
+        const { type, hop, qr } = this.printJob;
+        ['print-preview', 'print-sheet'].forEach(containerId => {
+            const container = document.getElementById(containerId);
+            container.innerHTML = type === 'label'
+                ? this.renderLabel(fulfillment, hop, qr, size)
+                : this.renderReceipt(fulfillment, size);
+            if (type === 'label') {
+                new QRCode(container.querySelector('.print-qr'), {
+                    text: qr.token,
+                    width: 512,
+                    height: 512,
+                    colorDark: '#000000',
+                    colorLight: '#ffffff',
+                    correctLevel: QRCode.CorrectLevel.H
+                });
+            }
+        });
+    }
+
+    printDocument() {
+        const size = PRINT_SIZES[document.getElementById('print-size').value];
+        document.getElementById('print-page-style').textContent = `@page { size: ${size.page}; margin: ${size.margin}; }`;
+        window.print();
+    }
+
+    renderLabel(fulfillment, hop, qr, size) {
+        const isReturn = qr.role === QR_TOKEN.returnRole;
+        const sender = this.store.getSender(fulfillment);
+        const recipient = this.store.getRecipient(fulfillment);
+        const receiver = fulfillment.custodians[hop];
+        const giver = isReturn ? this.store.getHolder(fulfillment) : fulfillment.custodians[hop - 1];
+        const intermediaries = fulfillment.custodians.slice(1, -1)
+            .map((c, index) => (index + 1 === hop ? `<strong>${this.escapeHtml(c.name)}</strong>` : this.escapeHtml(c.name)))
+            .join(` ${t('route.arrow')} `);
+        const instructions = isReturn
+            ? t('print.returnInstructions', { sender: sender.name })
+            : t('print.dropOffInstructions', { receiver: receiver.name, from: giver.name });
+
+        return `
+            <div class="print-doc print-label size-${size}">
+                <div class="print-kicker">${isReturn ? t('qrModal.returnKicker') : t('qrModal.hopKicker', { hop, total: fulfillment.custodians.length - 1 })}</div>
+                <h1>${this.escapeHtml(fulfillment.itemName)}</h1>
+                <div class="print-qr" role="img" aria-label="${this.escapeHtml(t('qrModal.alt', { to: receiver.name, from: giver.name }))}"></div>
+                <div class="print-id">${this.escapeHtml(fulfillment.id)}</div>
+                <dl class="print-fields">
+                    <dt>${t('print.items')}</dt><dd>${this.escapeHtml(this.store.summarizeItems(fulfillment.items))}</dd>
+                    <dt>${t('print.sender')}</dt><dd>${this.escapeHtml(sender.name)}</dd>
+                    <dt>${t('print.intermediary')}</dt><dd>${intermediaries}</dd>
+                    <dt>${t('print.recipient')}</dt><dd>${this.escapeHtml(recipient.name)}</dd>
+                </dl>
+                <p class="print-instructions">
+                    ${this.escapeHtml(instructions)} ${t('print.validity', { time: this.formatDateTime(qr.expiresAt) })}
+                    ${isReturn ? '' : this.escapeHtml(t('print.pinHint', { recipient: recipient.name, format: this.describePinFormat(fulfillment.pinFormat) }))}
+                </p>
+            </div>
+        `;
+    }
+
+    // For Person A once the fulfillment has ended: what was handed over and the whole audit log
+    renderReceipt(fulfillment, size) {
+        const entries = this.store.getTimeline(fulfillment).filter(item => item.completed);
+        const lastHash = fulfillment.log.length ? fulfillment.log[fulfillment.log.length - 1].hash : null;
+
+        return `
+            <div class="print-doc print-receipt size-${size}">
+                <div class="print-kicker">${t(fulfillment.status === 'completed' ? 'print.completionReceipt' : 'print.receipt')}</div>
+                <h1>${this.escapeHtml(fulfillment.itemName)}</h1>
+                <dl class="print-fields">
+                    <dt>${t('print.fulfillmentId')}</dt><dd>${this.escapeHtml(fulfillment.id)}</dd>
+                    <dt>${t('print.status')}</dt><dd>${this.getStatusText(fulfillment.status)}</dd>
+                    <dt>${t('print.created')}</dt><dd>${this.formatDateTime(fulfillment.createdAt)}</dd>
+                    <dt>${t('print.route')}</dt><dd>${fulfillment.custodians.map(c => this.escapeHtml(c.name)).join(` ${t('route.arrow')} `)}</dd>
+                </dl>
+                <table class="print-table">
+                    <thead>
+                        <tr><th>${t('print.item')}</th><th>${t('print.sku')}</th><th>${t('print.quantity')}</th><th>${t('print.collected')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${fulfillment.items.map(item => `
+                            <tr>
+                                <td>${this.escapeHtml(item.name)}</td>
+                                <td>${item.sku ? this.escapeHtml(item.sku) : '—'}</td>
+                                <td>${item.quantity}</td>
+                                <td>${item.collected || 0}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <h2>${t('print.timeline')}</h2>
+                <table class="print-table">
+                    <thead>
+                        <tr><th>${t('print.time')}</th><th>${t('print.event')}</th><th>${t('print.by')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(item => `
+                            <tr>
+                                <td>${this.formatDateTime(item.timestamp)}</td>
+                                <td><strong>${this.escapeHtml(item.title)}</strong><br>${this.escapeHtml(item.description)}</td>
+                                <td>${this.escapeHtml([item.actor ? this.getRoleText(item.actor) : '', item.proof ? t(`proof.${item.proof}`) : ''].filter(Boolean).join(', ') || '—')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="print-footer">
+                    ${t(lastHash ? 'print.footerWithHash' : 'print.footer', { time: this.formatDateTime(new Date().toISOString()), count: fulfillment.log.length, hash: lastHash })}
+                </p>
+            </div>
+        `;
+    }
+
+    // After creation the drop-off QR code follows; a reissued PIN is shown on its own
+    openPasswordModal(fulfillment, password, recoveryCode, { reissued = false } = {}) {
+        document.getElementById('password-title').textContent = t(reissued ? 'password.reissuedTitle' : 'password.title');
+        document.getElementById('password-display').textContent = password;
+        document.getElementById('recovery-code-display').textContent = recoveryCode;
+        document.getElementById('password-item-name').textContent = fulfillment.itemName;
+        document.getElementById('password-person-c').textContent = this.store.getRecipient(fulfillment).name;
+
+        this.currentPassword = password;
+        this.currentRecoveryCode = recoveryCode;
+        this.currentPasswordFulfillmentId = reissued ? null : fulfillment.id;
+        this.modals.open(this.passwordModal);
+    }
+
+    closePasswordModal() {
+        this.modals.close(this.passwordModal);
+
+        // Show QR code modal after password modal closes
+        if (this.currentPasswordFulfillmentId) {
+            setTimeout(() => this.openQRModal(this.currentPasswordFulfillmentId), 300);
+            this.currentPasswordFulfillmentId = null;
+        }
+    }
+
+    copyPassword() {
+        this.copyWithFeedback(this.currentPassword, document.getElementById('copy-password-btn'));
+    }
+
+    copyRecoveryCode() {
+        this.copyWithFeedback(this.currentRecoveryCode, document.getElementById('copy-recovery-btn'));
+    }
+
+    copyWithFeedback(text, btn) {
+        if (!text) return;
+
+        navigator.clipboard.writeText(text).then(() => {
+            const originalText = btn.innerHTML;
+            btn.innerHTML = `
+                <svg class="btn-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M20 6L9 17L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                ${t('common.copied')}
+            `;
+            setTimeout(() => {
+                btn.innerHTML = originalText;
+            }, 2000);
+        });
+    }
+
+    openCollectionModal(id) {
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) return;
+
+        this.router.push(`/collect/${encodeURIComponent(id)}`);
+
+        // Show item info but don't pre-fill the ID - Person C must scan QR
+        document.getElementById('collection-item-display').textContent = fulfillment.itemName;
+        document.getElementById('collection-person-c-display').textContent = this.store.getRecipient(fulfillment).name;
+        document.getElementById('collection-fulfillment-id').value = '';
+        this.renderPasswordInput(fulfillment);
+        document.getElementById('collection-result').className = 'scanner-result';
+        document.getElementById('collection-result').textContent = '';
+        this.renderCollectionItems(fulfillment);
+        this.renderCollectionLock(fulfillment);
+        this.clearSignature();
+
+        this.currentCollectionId = id;
+        this.modals.open(this.collectionModal);
+    }
+
+    // The input follows the format of this fulfillment's current PIN
+    renderPasswordInput(fulfillment) {
+        const input = document.getElementById('collection-password');
+        const { length, charset } = fulfillment.pinFormat;
+        const digits = charset === 'digits';
+        input.value = '';
+        input.maxLength = length;
+        input.pattern = digits ? `[0-9]{${length}}` : `[A-Za-z0-9]{${length}}`;
+        input.inputMode = digits ? 'numeric' : 'text';
+        input.autocapitalize = digits ? 'off' : 'characters';
+        input.placeholder = t('collect.passwordPlaceholder', { format: this.describePinFormat(fulfillment.pinFormat) });
+    }
+
+    closeCollectionModal() {
+        this.router.leave();
+        this.stopCamera();
+        clearTimeout(this.collectionLockTimer);
+        this.modals.close(this.collectionModal);
+        this.collectionForm.reset();
+        this.currentCollectionId = null;
+    }
+
+    // Quantities default to everything still outstanding; lower them for a partial handover
+    renderCollectionItems(fulfillment) {
+        document.getElementById('collection-items').innerHTML = `<div class="collection-items-title">${t('collect.handedOver')}</div>` + fulfillment.items
+            .map((item, index) => ({ item, index, remaining: this.store.getRemainingQuantity(item) }))
+            .filter(({ remaining }) => remaining > 0)
+            .map(({ item, index, remaining }) => `
+                <div class="collection-item-row">
+                    <label for="collection-quantity-${index}">
+                        ${this.escapeHtml(item.name)}${item.sku ? ` <span class="item-sku">${this.escapeHtml(item.sku)}</span>` : ''}
+                        <small>${t('collect.outstanding', { remaining, quantity: item.quantity })}</small>
+                    </label>
+                    <input type="number" id="collection-quantity-${index}" data-item-index="${index}" min="0" max="${remaining}" step="1" value="${remaining}">
+                </div>
+            `).join('');
+    }
+
+    renderCollectionLock(fulfillment) {
+        const attemptsEl = document.getElementById('collection-attempts');
+        const submitBtn = this.collectionForm.querySelector('[type="submit"]');
+        const lock = this.store.getCollectionLockState(fulfillment);
+        clearTimeout(this.collectionLockTimer);
+
+        attemptsEl.className = 'collection-attempts';
+        submitBtn.disabled = false;
+
+        if (lock.locked) {
+            attemptsEl.classList.add('locked');
+            attemptsEl.innerHTML = t('collect.lockedNotice', {
+                count: lock.failedAttempts,
+                sender: `<strong>${this.escapeHtml(this.store.getSender(fulfillment).name)}</strong>`
+            });
+            submitBtn.disabled = true;
+        } else if (lock.retryAt) {
+            attemptsEl.classList.add('locked');
+            attemptsEl.textContent = t('collect.retryNotice', { time: this.formatDateTime(lock.retryAt), count: lock.attemptsLeft });
+            submitBtn.disabled = true;
+
+            // Re-enable the form once the backoff delay has passed
+            const delayMs = new Date(lock.retryAt) - new Date();
+            this.collectionLockTimer = setTimeout(() => {
+                this.renderCollectionLock(this.store.getFulfillment(fulfillment.id) || fulfillment);
+            }, delayMs + 100);
+        } else if (lock.failedAttempts > 0) {
+            attemptsEl.classList.add('warning');
+            attemptsEl.textContent = t('collect.attemptsLeft', { count: lock.attemptsLeft });
+        }
+    }
+
+    async handleCollectionSubmit(e) {
+        e.preventDefault();
+
+        const id = this.store.resolveFulfillmentId(document.getElementById('collection-fulfillment-id').value);
+        const password = document.getElementById('collection-password').value.trim();
+
+        // First check if fulfillment exists
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) {
+            const resultDiv = document.getElementById('collection-result');
+            resultDiv.className = 'scanner-result error';
+            resultDiv.innerHTML = `<strong>✗ ${t('result.error')}</strong> ${t('collect.scanFirst')}`;
+            return;
+        }
+
+        const quantities = fulfillment.items.map(() => 0);
+        document.querySelectorAll('#collection-items [data-item-index]').forEach(input => {
+            quantities[Number(input.dataset.itemIndex)] = Number(input.value);
+        });
+
+        // Now validate with password; the signature and photos are kept only if it succeeds
+        const result = await this.transitionWithAttachments(id, 'collect', {
+            actor: this.actor,
+            proof: { type: 'pin', password, quantities }
+        }, await this.getCollectionFiles());
+        const resultDiv = document.getElementById('collection-result');
+
+        if (result.success) {
+            const outstanding = result.fulfillment.items.reduce((sum, item) => sum + this.store.getRemainingQuantity(item), 0);
+            resultDiv.className = 'scanner-result success';
+            resultDiv.innerHTML = `
+                <strong>✓ ${t('collect.success')}</strong><br>
+                ${t('collect.verifiedFor', { item: this.escapeHtml(result.fulfillment.itemName) })}<br>
+                <small>${outstanding > 0 ? t('collect.partialRecorded', { count: outstanding }) : t('collect.confirmed')}</small>
+            `;
+
+            setTimeout(() => {
+                this.closeCollectionModal();
+            }, 2500);
+        } else {
+            resultDiv.className = 'scanner-result error';
+            resultDiv.innerHTML = `<strong>✗ ${t('collect.failed')}</strong> ${this.escapeHtml(result.message)}`;
+            if (result.lock) {
+                this.renderCollectionLock(this.store.getFulfillment(id) || fulfillment);
+            }
+        }
+    }
+
+    openOverrideModal(id) {
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) return;
+
+        document.getElementById('override-item-name').textContent = fulfillment.itemName;
+        document.getElementById('override-holder').innerHTML = fulfillment.custodians
+            .map((custodian, index) => ({ index, label: this.store.describeHolder(fulfillment, index) }))
+            .filter(({ index }) => index !== fulfillment.holderIndex || this.store.statusForHolder(fulfillment, index) !== fulfillment.status)
+            .map(({ index, label }) => `<option value="${index}">${this.escapeHtml(label)}</option>`)
+            .join('');
+        document.getElementById('override-reason').value = '';
+        document.getElementById('override-admin-pin').value = '';
+        this.clearResult('override-result');
+
+        this.currentOverrideId = id;
+        this.modals.open(this.overrideModal);
+    }
+
+    closeOverrideModal() {
+        this.modals.close(this.overrideModal);
+        this.overrideForm.reset();
+        this.currentOverrideId = null;
+    }
+
+    async handleOverrideSubmit(e) {
+        e.preventDefault();
+
+        const result = await this.store.transition(this.currentOverrideId, 'override', {
+            actor: this.actor,
+            proof: {
+                type: 'manual',
+                holder: Number(document.getElementById('override-holder').value),
+                reason: document.getElementById('override-reason').value,
+                adminPin: document.getElementById('override-admin-pin').value
+            }
+        });
+
+        if (result.success) {
+            this.closeOverrideModal();
+        } else {
+            this.showScanError('override-result', result.message);
+        }
+    }
+
+    // Cancellations, return requests and disputes all just need a reason
+    openReasonModal(id, action) {
+        const fulfillment = this.store.getFulfillment(id);
+        const rule = TRANSITIONS[action];
+        if (!fulfillment || !rule) return;
+
+        document.getElementById('reason-title').textContent = t(`transition.${action}.button`);
+        document.getElementById('reason-item-name').textContent = fulfillment.itemName;
+        document.getElementById('reason-hint').textContent = t(`transition.${action}.reasonHint`);
+        document.getElementById('reason-submit-btn').textContent = t(`transition.${action}.button`);
+        document.getElementById('reason-text').value = '';
+        this.clearResult('reason-result');
+
+        this.currentReason = { id, action };
+        this.modals.open(this.reasonModal);
+    }
+
+    closeReasonModal() {
+        this.modals.close(this.reasonModal);
+        this.reasonForm.reset();
+        this.currentReason = null;
+    }
+
+    async handleReasonSubmit(e) {
+        e.preventDefault();
+        if (!this.currentReason) return;
+
+        const { id, action } = this.currentReason;
+        const result = await this.store.transition(id, action, {
+            actor: this.actor,
+            proof: { type: 'reason', reason: document.getElementById('reason-text').value }
+        });
+
+        if (!result.success) {
+            this.showScanError('reason-result', result.message);
+            return;
+        }
+        this.closeReasonModal();
+        if (action === 'request-return' && this.actor === 'intermediary') {
+            // The intermediary is the one who shows the return code
+            setTimeout(() => this.openQRModal(id, 0), 300);
+        }
+    }
+
+    openReissueModal(id) {
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) return;
+
+        document.getElementById('reissue-item-name').textContent = fulfillment.itemName;
+        document.getElementById('reissue-person-c').textContent = this.store.getRecipient(fulfillment).name;
+        // Fulfillments from before recovery codes were issued do not ask for one
+        document.getElementById('reissue-code-group').style.display = fulfillment.recoveryHash ? '' : 'none';
+        document.getElementById('recovery-code-input').value = '';
+        this.clearResult('reissue-result');
+
+        this.currentReissueId = id;
+        this.modals.open(this.reissueModal);
+    }
+
+    closeReissueModal() {
+        this.modals.close(this.reissueModal);
+        this.reissueForm.reset();
+        this.currentReissueId = null;
+    }
+
+    async handleReissueSubmit(e) {
+        e.preventDefault();
+        if (!this.currentReissueId) return;
+
+        const result = await this.store.reissuePin(
+            this.currentReissueId,
+            this.actor,
+            document.getElementById('recovery-code-input').value,
+            this.getPinFormat()
+        );
+        if (!result.success) {
+            this.showScanError('reissue-result', result.message);
+            return;
+        }
+        this.closeReissueModal();
+        setTimeout(() => this.openPasswordModal(result.fulfillment, result.password, result.recoveryCode, { reissued: true }), 300);
+    }
+
+    openClearLockModal(id) {
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) return;
+
+        document.getElementById('clear-lock-item-name').textContent = fulfillment.itemName;
+        document.getElementById('clear-lock-person-c').textContent = this.store.getRecipient(fulfillment).name;
+        document.getElementById('clear-lock-code-group').style.display = fulfillment.recoveryHash ? '' : 'none';
+        document.getElementById('clear-lock-code-input').value = '';
+        this.clearResult('clear-lock-result');
+
+        this.currentClearLockId = id;
+        this.modals.open(this.clearLockModal);
+    }
+
+    closeClearLockModal() {
+        this.modals.close(this.clearLockModal);
+        this.clearLockForm.reset();
+        this.currentClearLockId = null;
+    }
+
+    async handleClearLockSubmit(e) {
+        e.preventDefault();
+        if (!this.currentClearLockId) return;
+
+        const result = await this.store.clearCollectionLock(
+            this.currentClearLockId,
+            this.actor,
+            document.getElementById('clear-lock-code-input').value
+        );
+        if (!result.success) {
+            this.showScanError('clear-lock-result', result.message);
+            return;
+        }
+        this.closeClearLockModal();
+        this.showToast(result.message);
+    }
+
+    // Opens on the last ANALYTICS.defaultDays days; the range is kept while the page is open
+    openAnalyticsModal() {
+        this.router.push('/analytics');
+        const fromInput = document.getElementById('analytics-from');
+        const toInput = document.getElementById('analytics-to');
+        if (!fromInput.value || !toInput.value) {
+            const from = new Date();
+            from.setDate(from.getDate() - ANALYTICS.defaultDays + 1);
+            fromInput.value = this.formatDateInput(from);
+            toInput.value = this.formatDateInput(new Date());
+        }
+        const bucketSelect = document.getElementById('analytics-bucket');
+        const bucket = bucketSelect.value || 'day';
+        bucketSelect.innerHTML = ANALYTICS.buckets
+            .map(value => `<option value="${value}" ${value === bucket ? 'selected' : ''}>${t(`analytics.bucket.${value}`)}</option>`)
+            .join('');
+
+        this.renderAnalytics();
+        this.modals.open(this.analyticsModal);
+    }
+
+    closeAnalyticsModal() {
+        this.router.leave();
+        this.modals.close(this.analyticsModal);
+    }
+
+    renderAnalytics() {
+        const content = document.getElementById('analytics-content');
+        const from = document.getElementById('analytics-from').value;
+        const to = document.getElementById('analytics-to').value;
+        // Date inputs are local calendar days
+        const fromDate = new Date(`${from}T00:00:00`);
+        const toDate = new Date(`${to}T23:59:59.999`);
+        if (isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+            content.innerHTML = `<p class="form-hint">${t('analytics.badRange')}</p>`;
+            return;
+        }
+
+        const analytics = this.store.getAnalytics({ from: fromDate, to: toDate, bucket: document.getElementById('analytics-bucket').value });
+        const stat = (label, durations) => `
+            <div class="analytics-stat">
+                <div class="analytics-stat-label">${label}</div>
+                <div class="analytics-stat-value">${durations.count ? this.formatDuration(durations.median) : '—'}</div>
+                <div class="analytics-stat-detail">${durations.count ? t('analytics.statDetail', { p90: this.formatDuration(durations.p90), count: durations.count }) : t('analytics.noData')}</div>
+            </div>
+        `;
+
+        content.innerHTML = `
+            <div class="detail-section">
+                <h3>${t('analytics.throughput')}</h3>
+                ${this.renderThroughputChart(analytics.buckets, document.getElementById('analytics-bucket').value)}
+            </div>
+            <div class="detail-section">
+                <h3>${t('analytics.durations')}</h3>
+                <div class="analytics-stats">
+                    ${stat(t('analytics.toDropOff'), analytics.durations.toDropOff)}
+                    ${stat(t('analytics.toCollection'), analytics.durations.toCollection)}
+                </div>
+            </div>
+            <div class="detail-section">
+                <h3>${t('analytics.slowest')}</h3>
+                ${this.renderSlowestChart(analytics.slowest)}
+            </div>
+            <div class="detail-section">
+                <h3>${t('analytics.statusShare')}</h3>
+                ${this.renderStatusShare(analytics.statuses, analytics.total)}
+            </div>
+        `;
+    }
+
+    // Grouped bars per bucket, created next to completed
+    renderThroughputChart(buckets, bucket) {
+        const width = 640;
+        const height = 220;
+        const plot = { left: 36, right: 8, top: 12, bottom: 36 };
+        const plotWidth = width - plot.left - plot.right;
+        const plotHeight = height - plot.top - plot.bottom;
+        const max = Math.max(1, ...buckets.map(b => Math.max(b.created, b.completed)));
+        const slot = plotWidth / buckets.length;
+        const barWidth = Math.max(1, slot * 0.38);
+        const y = (value) => plot.top + plotHeight - (value / max) * plotHeight;
+        // At most about ten date labels, whatever the range
+        const labelEvery = Math.ceil(buckets.length / 10);
+        const dateLabel = (date) => i18n.formatDateTime(date, { month: 'short', day: 'numeric' });
+
+        const bars = buckets.map((b, index) => {
+            const x = plot.left + index * slot + (slot - barWidth * 2) / 2;
+            const title = t('analytics.barTitle', {
+                period: bucket === 'week' ? t('analytics.weekOf', { date: dateLabel(b.start) }) : dateLabel(b.start),
+                created: b.created,
+                completed: b.completed
+            });
+            return `
+                <g>
+                    <title>${title}</title>
+                    <rect class="chart-bar chart-created" x="${x}" y="${y(b.created)}" width="${barWidth}" height="${plot.top + plotHeight - y(b.created)}"></rect>
+                    <rect class="chart-bar chart-completed" x="${x + barWidth}" y="${y(b.completed)}" width="${barWidth}" height="${plot.top + plotHeight - y(b.completed)}"></rect>
+                    ${index % labelEvery === 0 ? `<text class="chart-label" x="${plot.left + (index + 0.5) * slot}" y="${height - plot.bottom + 16}" text-anchor="middle">${dateLabel(b.start)}</text>` : ''}
+                </g>
+            `;
+        }).join('');
+        const ticks = [...new Set([0, Math.round(max / 2), max])].map(value => `
+            <line class="chart-grid" x1="${plot.left}" x2="${width - plot.right}" y1="${y(value)}" y2="${y(value)}"></line>
+            <text class="chart-label" x="${plot.left - 6}" y="${y(value) + 4}" text-anchor="end">${i18n.formatNumber(value)}</text>
+        `).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${t(`analytics.throughputLabel.${bucket}`)}">
+                ${ticks}
+                ${bars}
+            </svg>
+            <div class="chart-legend">
+                <span><i class="chart-swatch chart-created"></i>${t('analytics.created')}</span>
+                <span><i class="chart-swatch chart-completed"></i>${t('analytics.completed')}</span>
+            </div>
+        `;
+    }
+
+    // One horizontal bar per intermediary, by median time holding the item
+    renderSlowestChart(slowest) {
+        if (slowest.length === 0) {
+            return `<p class="form-hint">${t('analytics.noSlowest')}</p>`;
+        }
+
+        const width = 640;
+        const rowHeight = 30;
+        const labelWidth = 150;
+        const valueWidth = 170;
+        const max = Math.max(...slowest.map(s => s.median)) || 1;
+        const rows = slowest.map((s, index) => {
+            const y = index * rowHeight;
+            const barWidth = Math.max(2, (s.median / max) * (width - labelWidth - valueWidth));
+            const name = s.name.length > 20 ? `${s.name.slice(0, 19)}…` : s.name;
+            return `
+                <g>
+                    <title>${this.escapeHtml(t('analytics.slowTitle', { name: s.name, median: this.formatDuration(s.median), p90: this.formatDuration(s.p90), count: s.count }))}</title>
+                    <text class="chart-label chart-name" x="0" y="${y + 19}">${this.escapeHtml(name)}</text>
+                    <rect class="chart-bar chart-slow" x="${labelWidth}" y="${y + 6}" width="${barWidth}" height="${rowHeight - 12}"></rect>
+                    <text class="chart-label" x="${labelWidth + barWidth + 8}" y="${y + 19}">${this.formatDuration(s.median)} (${i18n.formatNumber(s.count)})</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${slowest.length * rowHeight}" role="img" aria-label="${t('analytics.slowestLabel')}">
+                ${rows}
+            </svg>
+            <p class="form-hint">${t('analytics.slowestHint')}</p>
+        `;
+    }
+
+    // A single 100% bar split by status, with the counts in the legend
+    renderStatusShare(statuses, total) {
+        if (total === 0) {
+            return `<p class="form-hint">${t('analytics.noneCreated')}</p>`;
+        }
+
+        let offset = 0;
+        const segments = statuses.filter(s => s.count > 0).map(s => {
+            const segment = `
+                <rect class="status-${s.status}" fill="currentColor" x="${offset * 100}%" y="0" width="${s.share * 100}%" height="24">
+                    <title>${t('analytics.shareTitle', { status: { key: `status.${s.status}` }, count: s.count })}</title>
+                </rect>
+            `;
+            offset += s.share;
+            return segment;
+        }).join('');
+
+        return `
+            <svg class="chart chart-share" viewBox="0 0 640 24" preserveAspectRatio="none" role="img" aria-label="${t('analytics.shareLabel')}">
+                ${segments}
+            </svg>
+            <div class="chart-legend">
+                ${statuses.filter(s => s.count > 0).map(s => `
+                    <span class="status-${s.status}"><i class="chart-swatch"></i>${t('analytics.shareLegend', { status: { key: `status.${s.status}` }, count: s.count, share: i18n.formatPercent(s.share) })}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Links each { name, role } to a contact, saving names not seen before as new
+    // contacts with the role they were entered for. Blank names stay blank.
+    resolveContacts(entries) {
+        const contacts = entries.map(({ name, role }) => this.contacts.resolve(name, role));
+        return {
+            names: entries.map(({ name }, index) => (contacts[index] ? contacts[index].name : name.trim())),
+            contactIds: contacts.map(contact => (contact ? contact.id : null))
+        };
+    }
+
+    // One suggestion list per role, with the contacts who usually have that role first
+    renderContactOptions() {
+        CONTACT_ROLES.forEach(role => {
+            document.getElementById(`contacts-${role}`).innerHTML = this.contacts.list(role)
+                .map(contact => `<option value="${this.escapeHtml(contact.name)}">${this.escapeHtml([this.getRoleText(contact.role), contact.email, contact.phone].filter(Boolean).join(' · '))}</option>`)
+                .join('');
+        });
+    }
+
+    openContactsModal() {
+        this.router.push('/contacts');
+        document.getElementById('contact-role').innerHTML = CONTACT_ROLES
+            .map(role => `<option value="${role}">${t(`role.${role}`)}</option>`)
+            .join('');
+        this.editContact(null);
+        this.renderContactsList();
+        this.modals.open(this.contactsModal);
+    }
+
+    closeContactsModal() {
+        this.router.leave();
+        this.modals.close(this.contactsModal);
+        this.contactForm.reset();
+    }
+
+    // Fills the form with a contact to edit, or empties it for a new one
+    editContact(id) {
+        const contact = id ? this.contacts.getContact(id) : null;
+        document.getElementById('contact-id').value = contact ? contact.id : '';
+        document.getElementById('contact-name').value = contact ? contact.name : '';
+        document.getElementById('contact-email').value = contact ? contact.email : '';
+        document.getElementById('contact-phone').value = contact ? contact.phone : '';
+        document.getElementById('contact-role').value = contact ? contact.role : 'recipient';
+        document.getElementById('save-contact-btn').textContent = t(contact ? 'contacts.save' : 'contacts.add');
+        this.clearResult('contact-result');
+    }
+
+    renderContactsList() {
+        const list = document.getElementById('contacts-list');
+        if (this.contacts.contacts.length === 0) {
+            list.innerHTML = `<p class="form-hint">${t('contacts.empty')}</p>`;
+            return;
+        }
+        list.innerHTML = this.contacts.list().map(contact => `
+            <div class="contact-row">
+                <div class="contact-info">
+                    <span class="route-name">${this.escapeHtml(contact.name)}</span>
+                    <span class="route-state">${this.escapeHtml([this.getRoleText(contact.role), contact.email, contact.phone].filter(Boolean).join(' · '))}</span>
+                </div>
+                <div class="route-controls">
+                    <button type="button" class="hop-btn" data-contact-action="view" data-contact-id="${contact.id}">${t('contacts.fulfillments')}</button>
+                    <button type="button" class="hop-btn" data-contact-action="edit" data-contact-id="${contact.id}">${t('common.edit')}</button>
+                    <button type="button" class="hop-btn" data-contact-action="delete" data-contact-id="${contact.id}" title="${t('common.delete')}">✕</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    handleContactSubmit(e) {
+        e.preventDefault();
+
+        const id = document.getElementById('contact-id').value;
+        const data = {
+            name: document.getElementById('contact-name').value,
+            email: document.getElementById('contact-email').value,
+            phone: document.getElementById('contact-phone').value,
+            role: document.getElementById('contact-role').value
+        };
+        const result = id ? this.contacts.updateContact(id, data) : this.contacts.addContact(data);
+        if (!result.success) {
+            this.showScanError('contact-result', result.message);
+            return;
+        }
+
+        this.editContact(null);
+        const resultDiv = document.getElementById('contact-result');
+        resultDiv.className = 'scanner-result success';
+        resultDiv.textContent = result.message;
+    }
+
+    handleContactAction(e) {
+        const btn = e.target.closest('[data-contact-action]');
+        if (!btn) return;
+
+        const contact = this.contacts.getContact(btn.dataset.contactId);
+        if (!contact) return;
+        if (btn.dataset.contactAction === 'view') {
+            this.closeContactsModal();
+            setTimeout(() => this.openPersonModal(contact.id), 300);
+        } else if (btn.dataset.contactAction === 'edit') {
+            this.editContact(contact.id);
+            document.getElementById('contact-name').focus();
+        } else if (confirm(t('contacts.confirmDelete', { name: contact.name }))) {
+            this.contacts.removeContact(contact.id);
+            this.editContact(null);
+        }
+    }
+
+    openPersonModal(id) {
+        if (!this.contacts.getContact(id)) return;
+
+        this.router.push(`/contacts/${encodeURIComponent(id)}`);
+        this.currentPersonId = id;
+        this.renderPerson();
+        this.modals.open(this.personModal);
+    }
+
+    closePersonModal() {
+        this.router.leave();
+        this.modals.close(this.personModal);
+        this.currentPersonId = null;
+    }
+
+    renderPerson() {
+        const contact = this.contacts.getContact(this.currentPersonId);
+        if (!contact) {
+            this.closePersonModal();
+            return;
+        }
+
+        const activity = this.store.getContactActivity(contact);
+        const section = (title, fulfillments, empty) => `
+            <div class="detail-section">
+                <h3>${title} (${i18n.formatNumber(fulfillments.length)})</h3>
+                ${fulfillments.length === 0 ? `<p class="form-hint">${empty}</p>` : `
+                    <div class="person-fulfillments">
+                        ${fulfillments.map(fulfillment => `
+                            <button type="button" class="person-fulfillment" data-fulfillment-id="${this.escapeHtml(fulfillment.id)}">
+                                <span>
+                                    <span class="route-name">${this.escapeHtml(fulfillment.itemName)}</span>
+                                    <span class="route-state">${this.escapeHtml(fulfillment.id)} · ${fulfillment.custodians.map(c => this.escapeHtml(c.name)).join(` ${t('route.arrow')} `)}</span>
+                                </span>
+                                <span class="status-badge status-${fulfillment.status}">${this.getStatusText(fulfillment.status)}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+        `;
+
+        document.getElementById('person-title').textContent = contact.name;
+        document.getElementById('person-content').innerHTML = `
+            <div class="detail-section">
+                <div class="detail-info">
+                    <div class="info-row">
+                        <span class="info-label">${t('contacts.defaultRole')}</span>
+                        <span class="info-value">${this.getRoleText(contact.role)}</span>
+                    </div>
+                    ${contact.email ? `
+                        <div class="info-row">
+                            <span class="info-label">${t('contacts.email')}</span>
+                            <a class="info-value" href="mailto:${this.escapeHtml(contact.email)}">${this.escapeHtml(contact.email)}</a>
+                        </div>
+                    ` : ''}
+                    ${contact.phone ? `
+                        <div class="info-row">
+                            <span class="info-label">${t('contacts.phone')}</span>
+                            <a class="info-value" href="tel:${this.escapeHtml(contact.phone.replace(/[^+0-9]/g, ''))}">${this.escapeHtml(contact.phone)}</a>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+            ${section(t('person.sent'), activity.sent, t('person.sentEmpty'))}
+            ${section(t('person.holding'), activity.holding, t('person.holdingEmpty'))}
+            ${section(t('person.receiving'), activity.receiving, t('person.receivingEmpty'))}
+        `;
+    }
+
+    openTrashModal() {
+        this.router.push('/trash');
+        this.renderTrash();
+        this.modals.open(this.trashModal);
+    }
+
+    closeTrashModal() {
+        this.router.leave();
+        this.modals.close(this.trashModal);
+    }
+
+    renderTrash() {
+        const days = this.getTrashRetentionDays();
+        document.getElementById('trash-hint').textContent = t('trash.hint', { count: days });
+
+        const list = document.getElementById('trash-list');
+        const deleted = this.store.getFulfillments({ deleted: true });
+        if (deleted.length === 0) {
+            list.innerHTML = `<p class="form-hint">${t('trash.empty')}</p>`;
+            return;
+        }
+
+        const canManage = this.actor === 'sender' || this.actor === 'admin';
+        list.innerHTML = deleted.map(f => `
+            <div class="trash-row">
+                <div class="contact-info">
+                    <span class="route-name">${this.escapeHtml(f.itemName)}</span>
+                    <span class="route-state">${this.escapeHtml(f.id)} · ${this.getStatusText(f.status)} · ${t('trash.dates', { deleted: this.formatDateTime(f.deletedAt), purged: this.formatDateTime(this.getPurgeDate(f)) })}</span>
+                </div>
+                <div class="route-controls">
+                    <button type="button" class="hop-btn" data-trash-action="view" data-id="${this.escapeHtml(f.id)}">${t('trash.details')}</button>
+                    ${canManage ? `
+                        <button type="button" class="hop-btn" data-trash-action="restore" data-id="${this.escapeHtml(f.id)}">${t('trash.restore')}</button>
+                        <button type="button" class="hop-btn" data-trash-action="purge" data-id="${this.escapeHtml(f.id)}" title="${t('trash.purge')}">✕</button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async handleTrashAction(e) {
+        const btn = e.target.closest('[data-trash-action]');
+        if (!btn) return;
+
+        const id = btn.dataset.id;
+        if (btn.dataset.trashAction === 'view') {
+            this.closeTrashModal();
+            setTimeout(() => this.openDetailModal(id), 300);
+        } else {
+            await this.handleAction(btn.dataset.trashAction, id);
+        }
+    }
+
+    getPinFormat() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('pinFormat')) || {};
+        } catch (error) {
+            // Fall back to the default format
+        }
+        return this.store.resolvePinFormat(saved);
+    }
+
+    getTrashRetentionDays() {
+        const days = Number(localStorage.getItem('trashRetentionDays'));
+        return Number.isInteger(days) && days >= 1 ? days : TRASH.retentionDays;
+    }
+
+    getPurgeDate(fulfillment) {
+        return new Date(new Date(fulfillment.deletedAt).getTime() + this.getTrashRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    // Runs once the fulfillments have loaded and then periodically while the app is open
+    startTrashPurge() {
+        this.purgeTrash();
+        setInterval(() => this.purgeTrash(), TRASH.purgeIntervalMs);
+    }
+
+    async purgeTrash() {
+        const purged = await this.store.purgeExpired(this.getTrashRetentionDays());
+        purged.forEach(id => this.attachments.removeFor(id).catch(() => {}));
+    }
+
+    openSettingsModal() {
+        this.router.push('/settings');
+        document.getElementById('sync-server-url').value = localStorage.getItem('syncServerUrl') || '';
+        document.getElementById('trash-retention-days').value = this.getTrashRetentionDays();
+        const pinFormat = this.getPinFormat();
+        document.getElementById('pin-length').value = pinFormat.length;
+        document.getElementById('pin-charset').innerHTML = Object.keys(PIN_FORMAT.charsets)
+            .map(value => `<option value="${value}" ${value === pinFormat.charset ? 'selected' : ''}>${t(`pinCharset.${value}`)}</option>`)
+            .join('');
+        this.renderNotificationStatus();
+        document.getElementById('qr-trusted-keys').value = this.store.getTrustedKeys().join('\n');
+        document.getElementById('admin-pin').value = '';
+        document.getElementById('admin-pin-current').value = '';
+        document.getElementById('admin-pin-current-group').style.display = this.store.hasAdminPin() ? '' : 'none';
+        this.store.getPublicKeyText().then((key) => {
+            document.getElementById('qr-public-key').value = key;
+        });
+        document.getElementById('import-file-input').value = '';
+        this.renderEndpointForm();
+        this.renderEndpoints();
+        this.clearResult('settings-result');
+        this.clearResult('import-result');
+        this.clearResult('endpoint-result');
+
+        this.modals.open(this.settingsModal);
+    }
+
+    closeSettingsModal() {
+        this.router.leave();
+        this.modals.close(this.settingsModal);
+        this.settingsForm.reset();
+    }
+
+    async handleSettingsSubmit(e) {
+        e.preventDefault();
+
+        const syncServerUrl = document.getElementById('sync-server-url').value.trim();
+        const retentionDays = Number(document.getElementById('trash-retention-days').value);
+        if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > TRASH.maxRetentionDays) {
+            this.showScanError('settings-result', t('settings.badRetention', { max: TRASH.maxRetentionDays }));
+            return;
+        }
+        const pinLength = Number(document.getElementById('pin-length').value);
+        if (!Number.isInteger(pinLength) || pinLength < PIN_FORMAT.minLength || pinLength > PIN_FORMAT.maxLength) {
+            this.showScanError('settings-result', t('settings.badPinLength', { min: PIN_FORMAT.minLength, max: PIN_FORMAT.maxLength }));
+            return;
+        }
+        const trusted = await this.store.setTrustedKeys(document.getElementById('qr-trusted-keys').value.split('\n'));
+        if (!trusted.success) {
+            this.showScanError('settings-result', trusted.message);
+            return;
+        }
+        const adminPin = document.getElementById('admin-pin').value;
+        if (adminPin) {
+            const set = await this.store.setAdminPin(adminPin, document.getElementById('admin-pin-current').value);
+            if (!set.success) {
+                this.showScanError('settings-result', set.message);
+                return;
+            }
+        }
+
+        try {
+            await this.store.useAdapter(createStorageAdapter(syncServerUrl));
+        } catch (error) {
+            this.showScanError('settings-result', t('settings.syncFailed', { error: error.message }));
+            return;
+        }
+
+        if (syncServerUrl) {
+            localStorage.setItem('syncServerUrl', syncServerUrl);
+        } else {
+            localStorage.removeItem('syncServerUrl');
+        }
+        localStorage.setItem('trashRetentionDays', retentionDays);
+        localStorage.setItem('pinFormat', JSON.stringify({ length: pinLength, charset: document.getElementById('pin-charset').value }));
+        this.showBanner(null);
+        this.closeSettingsModal();
+        this.purgeTrash();
+    }
+
+    // Tries the sync server again while the app is showing its read-only local copy,
+    // and stops once it is back or another storage was chosen in Settings
+    watchSyncServer(url) {
+        const stop = () => {
+            clearInterval(timer);
+            window.removeEventListener('online', retry);
+        };
+        const retry = async () => {
+            if (!(this.store.adapter instanceof ReadOnlyAdapter)) {
+                stop();
+                return;
+            }
+            try {
+                await this.store.useAdapter(new RestSyncAdapter(url));
+            } catch (error) {
+                return;
+            }
+            stop();
+            this.showBanner(null);
+        };
+        const timer = setInterval(retry, SYNC_RETRY_MS);
+        window.addEventListener('online', retry);
+    }
+
+    exportBackup() {
+        const backup = this.store.exportBackup();
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `fulfillments-backup-${backup.exportedAt.slice(0, 10)}.json`;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async importBackup() {
+        const file = document.getElementById('import-file-input').files[0];
+        if (!file) {
+            this.showScanError('import-result', t('backup.chooseFile'));
+            return;
+        }
+
+        const { records, errors, total } = this.store.parseBackup(await file.text());
+        const mode = document.getElementById('import-mode').value;
+        const conflict = document.getElementById('import-conflict').value;
+        const errorList = errors.map(({ index, id, messages }) => {
+            const label = index === null ? '' : `${t(id ? 'backup.recordWithId' : 'backup.record', { index: index + 1, id: this.escapeHtml(id) })}: `;
+            return `<li>${label}${messages.map(m => this.escapeHtml(m)).join('; ')}</li>`;
+        }).join('');
+
+        if (records.length === 0) {
+            const resultDiv = document.getElementById('import-result');
+            resultDiv.className = 'scanner-result error';
+            resultDiv.innerHTML = `<strong>✗ ${t('backup.nothing')}</strong><ul class="import-errors">${errorList}</ul>`;
+            return;
+        }
+        if (mode === 'replace' && !confirm(t('backup.confirmReplace', { current: this.store.fulfillments.length, count: records.length }))) {
+            return;
+        }
+
+        const summary = await this.store.importFulfillments(records, { mode, conflict });
+        const listItems = (entries) => entries.map(({ id, message }) => `<li>${this.escapeHtml(id)}: ${this.escapeHtml(message)}</li>`).join('');
+        const rejected = listItems(summary.rejected);
+        const failed = listItems(summary.failed);
+        const resultDiv = document.getElementById('import-result');
+        resultDiv.className = `scanner-result ${errors.length || summary.rejected.length || summary.failed.length ? 'error' : 'success'}`;
+        resultDiv.innerHTML = `
+            <strong>✓ ${t('backup.imported', { count: records.length - summary.rejected.length, total })}</strong><br>
+            ${t(mode === 'replace' ? 'backup.summaryReplace' : 'backup.summary', summary)}
+            ${summary.conflicts ? `<br>${t('backup.conflicts', { count: summary.conflicts })}` : ''}
+            ${errorList ? `<br>${t('backup.skipped')}<ul class="import-errors">${errorList}</ul>` : ''}
+            ${rejected ? `${t('backup.rejected')}<ul class="import-errors">${rejected}</ul>` : ''}
+            ${failed ? `${t('backup.failed')}<ul class="import-errors">${failed}</ul>` : ''}
+        `;
+    }
+
+    renderEndpointForm() {
+        document.getElementById('endpoint-kind').innerHTML = OUTBOX.kinds
+            .map(kind => `<option value="${kind}">${t(`outbox.kind.${kind}`)}</option>`)
+            .join('');
+        document.getElementById('endpoint-url').value = '';
+        document.getElementById('endpoint-to').value = '';
+        document.getElementById('endpoint-events').innerHTML = Object.keys(DOMAIN_EVENTS).map(type => `
+            <label class="status-chip">
+                <input type="checkbox" value="${type}">
+                <span>${this.getEventLabel(type)}</span>
+            </label>
+        `).join('');
+        this.renderEndpointKind();
+    }
+
+    renderEndpointKind() {
+        const email = document.getElementById('endpoint-kind').value === 'email';
+        document.getElementById('endpoint-to-group').style.display = email ? '' : 'none';
+        document.getElementById('endpoint-url').placeholder = t('outbox.urlPlaceholder', { url: `http://localhost:8788/${email ? 'email' : 'webhook'}` });
+    }
+
+    renderEndpoints() {
+        const list = document.getElementById('endpoints-list');
+        if (this.outbox.endpoints.length === 0) {
+            list.innerHTML = `<p class="form-hint">${t('outbox.noEndpoints')}</p>`;
+            return;
+        }
+        list.innerHTML = this.outbox.endpoints.map(endpoint => {
+            const events = endpoint.events.length === 0 ? t('outbox.allEvents') : i18n.formatList(endpoint.events.map(type => this.getEventLabel(type)));
+            return `
+                <div class="endpoint-row">
+                    <div class="contact-info">
+                        <span class="route-name">${this.escapeHtml(endpoint.to
+                            ? t('outbox.kindTo', { kind: this.getOutboxKindText(endpoint.kind), to: endpoint.to })
+                            : this.getOutboxKindText(endpoint.kind))}</span>
+                        <span class="route-state">${this.escapeHtml(endpoint.url)} · ${this.escapeHtml(events)}</span>
+                    </div>
+                    <div class="route-controls">
+                        <button type="button" class="hop-btn" data-endpoint-action="test" data-endpoint-id="${endpoint.id}">${t('outbox.sendTest')}</button>
+                        <button type="button" class="hop-btn" data-endpoint-action="remove" data-endpoint-id="${endpoint.id}" title="${t('common.remove')}">✕</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    addEndpoint() {
+        const result = this.outbox.addEndpoint({
+            kind: document.getElementById('endpoint-kind').value,
+            url: document.getElementById('endpoint-url').value,
+            to: document.getElementById('endpoint-to').value,
+            events: [...document.querySelectorAll('#endpoint-events input:checked')].map(input => input.value)
+        });
+        if (!result.success) {
+            this.showScanError('endpoint-result', result.message);
+            return;
+        }
+        this.renderEndpointForm();
+        this.showScanSuccess('endpoint-result', result.message);
+    }
+
+    handleEndpointAction(e) {
+        const btn = e.target.closest('[data-endpoint-action]');
+        if (!btn) return;
+
+        const id = btn.dataset.endpointId;
+        if (btn.dataset.endpointAction === 'test') {
+            this.showScanSuccess('endpoint-result', t('outbox.seeLog', { message: this.outbox.sendTest(id).message }));
+        } else if (confirm(t('outbox.confirmRemove'))) {
+            this.showScanSuccess('endpoint-result', this.outbox.removeEndpoint(id).message);
+        }
+    }
+
+    getEventLabel(type) {
+        return type === 'test' || DOMAIN_EVENTS[type] ? t(`event.${type}`) : type;
+    }
+
+    getOutboxKindText(kind) {
+        return OUTBOX.kinds.includes(kind) ? t(`outbox.kind.${kind}`) : kind;
+    }
+
+    openDeliveriesModal() {
+        this.router.push('/deliveries');
+        this.renderDeliveries();
+        this.modals.open(this.deliveriesModal);
+    }
+
+    closeDeliveriesModal() {
+        this.router.leave();
+        this.modals.close(this.deliveriesModal);
+    }
+
+    renderDeliveries() {
+        const describeTarget = (endpointId, fallback) => {
+            const endpoint = this.outbox.getEndpoint(endpointId);
+            return this.escapeHtml(endpoint ? (endpoint.to || endpoint.url) : fallback || t('outbox.removedEndpoint'));
+        };
+
+        const queue = this.outbox.getQueue();
+        const waiting = queue.length === 0 ? `<p class="form-hint">${t('deliveries.queueEmpty')}</p>` : queue.map(delivery => {
+            const state = delivery.status === 'failed'
+                ? t('deliveries.failedAfter', { count: delivery.attempts, error: this.escapeHtml(delivery.lastError) })
+                : delivery.attempts === 0
+                    ? t('deliveries.sending')
+                    : t('deliveries.retrying', { attempt: delivery.attempts, error: this.escapeHtml(delivery.lastError), time: this.formatDateTime(delivery.nextAttemptAt) });
+            return `
+                <div class="endpoint-row">
+                    <div class="contact-info">
+                        <span class="route-name">${this.escapeHtml(this.getEventLabel(delivery.event.type))} · ${this.escapeHtml(delivery.event.fulfillment.id)}</span>
+                        <span class="route-state">${describeTarget(delivery.endpointId)} · ${state}</span>
+                    </div>
+                    <div class="route-controls">
+                        <button type="button" class="hop-btn" data-delivery-action="retry" data-delivery-id="${delivery.id}">${t('deliveries.retry')}</button>
+                        <button type="button" class="hop-btn" data-delivery-action="discard" data-delivery-id="${delivery.id}" title="${t('deliveries.discard')}">✕</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const log = this.outbox.getLog();
+        const history = log.length === 0 ? `<p class="form-hint">${t('deliveries.logEmpty')}</p>` : log.map(entry => `
+            <div class="endpoint-row">
+                <div class="contact-info">
+                    <span class="route-name">${this.escapeHtml(this.getEventLabel(entry.eventType))} · ${this.escapeHtml(entry.fulfillmentId)}</span>
+                    <span class="route-state">${this.escapeHtml(entry.target)} · ${t('deliveries.attempt', { attempt: entry.attempt })} · ${this.formatDateTime(entry.at)}${entry.error ? ` · ${this.escapeHtml(entry.error)}` : ''}</span>
+                </div>
+                <span class="status-badge delivery-outcome delivery-${entry.outcome}">${t(`deliveries.outcome.${entry.outcome}`)}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('deliveries-content').innerHTML = `
+            <div class="detail-section">
+                <h3>${t('deliveries.waiting')}</h3>
+                <div class="endpoints-list">${waiting}</div>
+            </div>
+            <div class="detail-section">
+                <h3>${t('deliveries.history')}</h3>
+                <p class="form-hint">${t('deliveries.historyHint', { count: OUTBOX.logLimit })}</p>
+                <div class="endpoints-list">${history}</div>
+            </div>
+        `;
+    }
+
+    handleDeliveryAction(e) {
+        const btn = e.target.closest('[data-delivery-action]');
+        if (!btn) return;
 
-        navigator.clipboard.writeText(this.currentPassword).then(() => {
-            const btn = document.getElementById('copy-password-btn');
-            const originalText = btn.innerHTML;
-            btn.innerHTML = `
-                <svg class="btn-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                    <path d="M20 6L9 17L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-                Copied!
-            `;
-            setTimeout(() => {
-                btn.innerHTML = originalText;
-            }, 2000);
-        });
+        if (btn.dataset.deliveryAction === 'retry') {
+            this.outbox.retry(btn.dataset.deliveryId);
+        } else {
+            this.outbox.discard(btn.dataset.deliveryId);
+        }
     }
 
-    openCollectionModal(id) {
-        const fulfillment = this.store.getFulfillment(id);
-        if (!fulfillment) return;
+    showBanner(message, type = 'warning') {
+        this.banner.className = message ? `app-banner ${type}` : 'app-banner';
+        this.banner.textContent = message || '';
+    }
 
-        // Show item info but don't pre-fill the ID - Person C must scan QR
-        document.getElementById('collection-item-display').textContent = fulfillment.itemName;
-        document.getElementById('collection-person-c-display').textContent = fulfillment.personC;
-        document.getElementById('collection-fulfillment-id').value = '';
-        document.getElementById('collection-password').value = '';
-        document.getElementById('collection-result').className = 'scanner-result';
-        document.getElementById('collection-result').textContent = '';
+    // For results shown without a live region of their own. Emptied first, so the
+    // same message twice is read out twice
+    announce(message) {
+        const announcer = document.getElementById('announcer');
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 100);
+    }
 
-        this.collectionModal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+    // One toast at a time; a new one replaces the last and its undo
+    showToast(message, undo = null) {
+        clearTimeout(this.toastTimer);
+        document.getElementById('toast-message').textContent = message;
+        document.getElementById('toast-undo-btn').hidden = !undo;
+        this.toastUndo = undo;
+        this.toast.classList.add('active');
+        this.toastTimer = setTimeout(() => this.hideToast(), TRASH.undoMs);
     }
 
-    closeCollectionModal() {
-        this.collectionModal.classList.remove('active');
-        document.body.style.overflow = '';
-        this.collectionForm.reset();
+    hideToast() {
+        clearTimeout(this.toastTimer);
+        this.toast.classList.remove('active');
+        this.toastUndo = null;
     }
 
-    async handleCollectionSubmit(e) {
-        e.preventDefault();
+    async undoToast() {
+        const undo = this.toastUndo;
+        this.hideToast();
+        if (!undo) return;
 
-        const id = document.getElementById('collection-fulfillment-id').value.trim().toUpperCase();
-        const password = document.getElementById('collection-password').value.trim();
+        const result = await undo();
+        if (!result.success) {
+            alert(result.message);
+        }
+    }
 
-        // First check if fulfillment exists
-        const fulfillment = this.store.getFulfillment(id);
-        if (!fulfillment) {
-            const resultDiv = document.getElementById('collection-result');
-            resultDiv.className = 'scanner-result error';
-            resultDiv.innerHTML = `<strong>✗ Error:</strong> Fulfillment not found. Please scan the QR code.`;
+    // A new sw.js installs next to the running one and waits; the page offers to
+    // reload onto it rather than switching versions in the middle of a handoff
+    async registerServiceWorker() {
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Offline support is unavailable:', error);
             return;
         }
 
-        // Now validate with password
-        const result = await this.store.validateAndCollect(id, password);
-        const resultDiv = document.getElementById('collection-result');
+        const offerUpdate = () => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.updateBanner.classList.add('active');
+            }
+        };
+        offerUpdate();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') offerUpdate();
+            });
+        });
 
-        if (result.success) {
-            resultDiv.className = 'scanner-result success';
-            resultDiv.innerHTML = `
-                <strong>✓ Authentication Successful!</strong><br>
-                Person C verified for: ${this.escapeHtml(result.fulfillment.itemName)}<br>
-                <small>Item collection confirmed</small>
-            `;
+        document.getElementById('update-reload-btn').addEventListener('click', () => {
+            if (registration.waiting) {
+                registration.waiting.postMessage({ type: 'skip-waiting' });
+            }
+        });
+        // Only reload for an update the user accepted, not when the first worker takes control
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading || !this.updateBanner.classList.contains('active')) return;
+            reloading = true;
+            window.location.reload();
+        });
 
-            setTimeout(() => {
-                this.closeCollectionModal();
-            }, 2500);
-        } else {
-            resultDiv.className = 'scanner-result error';
-            resultDiv.innerHTML = `<strong>✗ Authentication Failed:</strong> ${result.message}`;
-        }
+        // Long-lived tabs on a courier's phone would otherwise only check on navigation
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
     }
 
     async handleFormSubmit(e) {
         e.preventDefault();
 
+        const route = this.resolveContacts([
+            { name: document.getElementById('person-a').value, role: 'sender' },
+            ...this.getHopNames().map(name => ({ name, role: 'intermediary' })),
+            { name: document.getElementById('person-c').value, role: 'recipient' }
+        ]);
         const data = {
-            itemName: document.getElementById('item-name').value.trim(),
-            personA: document.getElementById('person-a').value.trim(),
-            personB: document.getElementById('person-b').value.trim(),
-            personC: document.getElementById('person-c').value.trim()
+            items: this.getItemRows(),
+            sender: route.names[0],
+            intermediaries: route.names.slice(1, -1),
+            recipient: route.names[route.names.length - 1],
+            contactIds: route.contactIds,
+            dropOffDeadline: document.getElementById('drop-off-deadline').value,
+            collectionDeadline: document.getElementById('collection-deadline').value,
+            pinFormat: this.getPinFormat(),
+            actor: this.actor
         };
 
         const result = await this.store.createFulfillment(data);
+        if (!result.success) {
+            alert(result.message);
+            return;
+        }
         this.closeModal();
 
         // Show password modal first
-        setTimeout(() => this.openPasswordModal(result.fulfillment, result.password), 300);
+        setTimeout(() => this.openPasswordModal(result.fulfillment, result.password, result.recoveryCode), 300);
+    }
+
+    // Line item rows in the create form
+    renderItemRows(items) {
+        this.itemList.innerHTML = items.map((item, index) => `
+            <div class="item-row">
+                <input type="text" class="item-name-input" required placeholder="${t('create.itemPlaceholder')}" value="${this.escapeHtml(item.name)}">
+                <input type="number" class="item-quantity-input" required min="1" step="1" value="${this.escapeHtml(String(item.quantity))}" title="${t('create.quantity')}">
+                <input type="text" class="item-sku-input" placeholder="${t('create.skuPlaceholder')}" value="${this.escapeHtml(item.sku)}">
+                <button type="button" class="hop-btn" data-item-action="remove" data-index="${index}" title="${t('common.remove')}" ${items.length === 1 ? 'disabled' : ''}>✕</button>
+            </div>
+        `).join('');
+    }
+
+    getItemRows() {
+        return Array.from(this.itemList.querySelectorAll('.item-row')).map(row => ({
+            name: row.querySelector('.item-name-input').value.trim(),
+            quantity: Number(row.querySelector('.item-quantity-input').value),
+            sku: row.querySelector('.item-sku-input').value.trim()
+        }));
+    }
+
+    handleItemAction(e) {
+        const btn = e.target.closest('[data-item-action]');
+        if (!btn) return;
+
+        const items = this.getItemRows();
+        items.splice(Number(btn.dataset.index), 1);
+        this.renderItemRows(items);
+    }
+
+    // Intermediary rows in the create form, in handoff order
+    renderHopRows(names) {
+        this.hopList.innerHTML = names.map((name, index) => `
+            <div class="hop-row">
+                <span class="hop-number">${index + 1}</span>
+                <input type="text" class="hop-input" required placeholder="${t('create.hopPlaceholder')}" value="${this.escapeHtml(name)}" list="contacts-intermediary" autocomplete="off">
+                <button type="button" class="hop-btn" data-hop-action="up" data-index="${index}" title="${t('common.moveUp')}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="hop-btn" data-hop-action="down" data-index="${index}" title="${t('common.moveDown')}" ${index === names.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="hop-btn" data-hop-action="remove" data-index="${index}" title="${t('common.remove')}" ${names.length === 1 ? 'disabled' : ''}>✕</button>
+            </div>
+        `).join('');
+    }
+
+    getHopNames() {
+        return Array.from(this.hopList.querySelectorAll('.hop-input')).map(input => input.value.trim());
+    }
+
+    handleHopAction(e) {
+        const btn = e.target.closest('[data-hop-action]');
+        if (!btn) return;
+
+        const names = this.getHopNames();
+        const index = Number(btn.dataset.index);
+        if (btn.dataset.hopAction === 'remove') {
+            names.splice(index, 1);
+        } else {
+            const target = btn.dataset.hopAction === 'up' ? index - 1 : index + 1;
+            [names[index], names[target]] = [names[target], names[index]];
+        }
+        this.renderHopRows(names);
     }
 
     handleScannerSubmit(e) {
         e.preventDefault();
+        this.processScannerCode(document.getElementById('qr-code-input').value);
+    }
 
-        const code = document.getElementById('qr-code-input').value.trim().toUpperCase();
-        const fulfillment = this.store.getFulfillment(code);
+    async processScannerCode(rawCode) {
+        const code = rawCode.trim();
+        const id = this.store.resolveFulfillmentId(code);
+        const fulfillment = this.store.getFulfillment(id);
 
         if (!fulfillment) {
             const resultDiv = document.getElementById('scanner-result');
             resultDiv.className = 'scanner-result error';
-            resultDiv.innerHTML = `<strong>✗ Error:</strong> Fulfillment not found`;
+            resultDiv.innerHTML = `<strong>✗ ${t('result.error')}</strong> ${t('store.notFound')}`;
+            return;
+        }
+        if (fulfillment.deletedAt) {
+            this.showScanError('scanner-result', t('scanner.inTrash'));
             return;
         }
 
-        // Check if this is for drop-off or collection
-        if (fulfillment.status === 'pending') {
-            // Drop-off by Person B
-            const result = this.store.updateStatusViaQR(code);
+        // Return codes confirm the item is back with the sender; otherwise the
+        // next handoff decides between drop-off and collection
+        const token = this.store.parseQRToken(code);
+        const isReturn = !!token && token.role === QR_TOKEN.returnRole;
+        const nextHop = this.store.getNextHop(fulfillment);
+        if (isReturn || (nextHop !== null && !this.store.isFinalHop(fulfillment, nextHop))) {
+            const photo = document.getElementById('dropoff-photo').files[0];
+            const result = await this.transitionWithAttachments(id, isReturn ? 'return' : 'drop-off', {
+                actor: this.actor,
+                proof: { type: 'qr', token: code }
+            }, photo ? [{ kind: 'condition', blob: photo, name: photo.name }] : []);
             const resultDiv = document.getElementById('scanner-result');
 
             if (result.success) {
                 resultDiv.className = 'scanner-result success';
                 resultDiv.innerHTML = `
-                    <strong>✓ Success!</strong><br>
-                    ${result.message}<br>
-                    <small>Item: ${this.escapeHtml(result.fulfillment.itemName)}</small>
+                    <strong>✓ ${t('result.success')}</strong><br>
+                    ${this.escapeHtml(result.message)}<br>
+                    <small>${t('scanner.item', { item: this.escapeHtml(result.fulfillment.itemName) })}</small>
                 `;
 
                 setTimeout(() => {
                     this.closeScannerModal();
                 }, 2000);
             } else {
-                resultDiv.className = 'scanner-result error';
-                resultDiv.innerHTML = `<strong>✗ Error:</strong> ${result.message}`;
+                this.showScanError('scanner-result', result.message);
             }
-        } else if (fulfillment.status === 'in-transit') {
-            // Collection by Person C - redirect to collection modal
+        } else if (nextHop !== null) {
+            // Collection by the recipient - redirect to collection modal
             this.closeScannerModal();
             setTimeout(() => {
-                this.openCollectionModal(code);
+                this.openCollectionModal(id);
                 // Pre-fill the fulfillment ID since they just scanned it
                 document.getElementById('collection-fulfillment-id').value = code;
             }, 300);
         } else {
             const resultDiv = document.getElementById('scanner-result');
             resultDiv.className = 'scanner-result error';
-            resultDiv.innerHTML = `<strong>✗ Error:</strong> This fulfillment is already completed`;
+            resultDiv.innerHTML = `<strong>✗ ${t('result.error')}</strong> ${t('scanner.alreadyStatus', { status: { key: `statusInText.${fulfillment.status}` } })}`;
         }
     }
 
     render() {
-        const fulfillments = this.store.fulfillments;
+        const fulfillments = this.store.getFulfillments();
 
         if (fulfillments.length === 0) {
             this.emptyState.classList.add('visible');
+            this.toolbar.style.display = 'none';
             this.fulfillmentsList.style.display = 'none';
+            return;
+        }
+
+        const visible = this.sortFulfillments(this.filterFulfillments(fulfillments));
+        this.emptyState.classList.remove('visible');
+        this.toolbar.style.display = '';
+        this.fulfillmentsList.style.display = 'grid';
+        document.getElementById('filter-summary').textContent = visible.length === fulfillments.length
+            ? t('dashboard.count', { count: fulfillments.length })
+            : t('dashboard.filteredCount', { count: visible.length, total: fulfillments.length });
+
+        if (visible.length === 0) {
+            this.fulfillmentsList.innerHTML = `<div class="no-results">${t('dashboard.noMatches')}</div>`;
+        } else if (this.filters.group) {
+            this.fulfillmentsList.innerHTML = this.groupFulfillments(visible).map(([name, group]) => `
+                <section class="fulfillment-group">
+                    <h2 class="group-title">${this.escapeHtml(name)} <span class="group-count">${i18n.formatNumber(group.length)}</span></h2>
+                    <div class="group-cards">
+                        ${group.map(f => this.renderCard(f)).join('')}
+                    </div>
+                </section>
+            `).join('');
         } else {
-            this.emptyState.classList.remove('visible');
-            this.fulfillmentsList.style.display = 'grid';
-            this.fulfillmentsList.innerHTML = fulfillments.map(f => this.renderCard(f)).join('');
-            this.attachCardListeners();
+            this.fulfillmentsList.innerHTML = visible.map(f => this.renderCard(f)).join('');
         }
+        this.attachCardListeners();
     }
 
     renderCard(fulfillment) {
         const statusClass = `status-${fulfillment.status}`;
         const statusText = this.getStatusText(fulfillment.status);
-        const timeAgo = this.getTimeAgo(fulfillment.createdAt);
+        const timeAgo = i18n.formatRelativeTime(fulfillment.createdAt);
 
         return `
-            <div class="fulfillment-card" data-id="${fulfillment.id}">
+            <div class="fulfillment-card" data-id="${this.escapeHtml(fulfillment.id)}">
                 <div class="card-header">
                     <div>
-                        <h3 class="card-title">${this.escapeHtml(fulfillment.itemName)}</h3>
-                        <div class="card-id">${fulfillment.id}</div>
+                        <h3 class="card-title"><button type="button" class="card-open">${this.escapeHtml(fulfillment.itemName)}</button></h3>
+                        <div class="card-id">${this.escapeHtml(fulfillment.id)}</div>
+                    </div>
+                    <div class="card-badges">
+                        <span class="status-badge ${statusClass}">${statusText}</span>
+                        ${this.renderDeadlineBadge(fulfillment)}
                     </div>
-                    <span class="status-badge ${statusClass}">${statusText}</span>
                 </div>
                 
                 <div class="card-participants">
@@ -532,22 +6115,22 @@ class UIController {
                         <svg class="participant-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M20 21V19C20 17.9391 19.5786 16.9217 18.8284 16.1716C18.0783 15.4214 17.0609 15 16 15H8C6.93913 15 5.92172 15.4214 5.17157 16.1716C4.42143 16.9217 4 17.9391 4 19V21M16 7C16 9.20914 14.2091 11 12 11C9.79086 11 8 9.20914 8 7C8 4.79086 9.79086 3 12 3C14.2091 3 16 4.79086 16 7Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                         </svg>
-                        <span class="participant-label">Sender:</span>
-                        <span class="participant-name">${this.escapeHtml(fulfillment.personA)}</span>
+                        <span class="participant-label">${t('card.sender')}</span>
+                        <span class="participant-name">${this.escapeHtml(this.store.getSender(fulfillment).name)}</span>
                     </div>
                     <div class="participant">
                         <svg class="participant-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M20 21V19C20 17.9391 19.5786 16.9217 18.8284 16.1716C18.0783 15.4214 17.0609 15 16 15H8C6.93913 15 5.92172 15.4214 5.17157 16.1716C4.42143 16.9217 4 17.9391 4 19V21M16 7C16 9.20914 14.2091 11 12 11C9.79086 11 8 9.20914 8 7C8 4.79086 9.79086 3 12 3C14.2091 3 16 4.79086 16 7Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                         </svg>
-                        <span class="participant-label">Intermediary:</span>
-                        <span class="participant-name">${this.escapeHtml(fulfillment.personB)}</span>
+                        <span class="participant-label">${t('card.via')}</span>
+                        <span class="participant-name">${this.renderCardRoute(fulfillment)}</span>
                     </div>
                     <div class="participant">
                         <svg class="participant-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M20 21V19C20 17.9391 19.5786 16.9217 18.8284 16.1716C18.0783 15.4214 17.0609 15 16 15H8C6.93913 15 5.92172 15.4214 5.17157 16.1716C4.42143 16.9217 4 17.9391 4 19V21M16 7C16 9.20914 14.2091 11 12 11C9.79086 11 8 9.20914 8 7C8 4.79086 9.79086 3 12 3C14.2091 3 16 4.79086 16 7Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                         </svg>
-                        <span class="participant-label">Recipient:</span>
-                        <span class="participant-name">${this.escapeHtml(fulfillment.personC)}</span>
+                        <span class="participant-label">${t('card.recipient')}</span>
+                        <span class="participant-name">${this.escapeHtml(this.store.getRecipient(fulfillment).name)}</span>
                     </div>
                 </div>
                 
@@ -561,64 +6144,101 @@ class UIController {
         `;
     }
 
+    renderDeadlineBadge(fulfillment) {
+        const state = this.store.getDeadlineState(fulfillment);
+        if (!state) return '';
+
+        const deadline = this.store.getDeadline(fulfillment);
+        const title = t('deadline.due', { label: deadline.label, due: this.formatDateTime(deadline.due) });
+        return `<span class="deadline-badge ${state}" title="${this.escapeHtml(title)}">${t(`deadline.${state}`)}</span>`;
+    }
+
+    // Intermediaries in order, with whoever has the item highlighted
+    renderCardRoute(fulfillment) {
+        return fulfillment.custodians.slice(1, -1)
+            .map((custodian, offset) => {
+                const name = this.escapeHtml(custodian.name);
+                return offset + 1 === fulfillment.holderIndex ? `<span class="route-current">${name}</span>` : name;
+            })
+            .join(` <span class="route-arrow">${t('route.arrow')}</span> `);
+    }
+
     renderCardActions(fulfillment) {
-        if (fulfillment.status === 'pending') {
-            return `<button class="action-btn" data-action="drop-off" data-id="${fulfillment.id}">Drop Off</button>`;
-        } else if (fulfillment.status === 'in-transit') {
-            return `<button class="action-btn" data-action="collect" data-id="${fulfillment.id}">Collect</button>`;
+        const actions = this.store.getAvailableActions(fulfillment, this.actor)
+            .filter(action => TRANSITIONS[action].onCard)
+            .map(action => `<button class="action-btn" data-action="${action}" data-id="${this.escapeHtml(fulfillment.id)}">${t(`transition.${action}.cardButton`)}</button>`);
+
+        // Editing the route is not a status change, so it sits outside the state machine
+        if (this.canEditRoute(fulfillment)) {
+            actions.push(`<button class="action-btn" data-action="edit-route" data-id="${this.escapeHtml(fulfillment.id)}">${t('route.edit')}</button>`);
         }
-        return '';
+        return actions.join('');
     }
 
     renderDetailContent(fulfillment) {
         const statusClass = `status-${fulfillment.status}`;
         const statusText = this.getStatusText(fulfillment.status);
+        const check = this.getIntegrityCheck(fulfillment);
 
         return `
             <div class="detail-section">
-                <h3>Information</h3>
+                <h3>${t('detail.information')}</h3>
                 <div class="detail-info">
                     <div class="info-row">
-                        <span class="info-label">Fulfillment ID</span>
-                        <span class="info-value">${fulfillment.id}</span>
+                        <span class="info-label">${t('print.fulfillmentId')}</span>
+                        <span class="info-value">${this.escapeHtml(fulfillment.id)}</span>
                     </div>
                     <div class="info-row">
-                        <span class="info-label">Item</span>
+                        <span class="info-label">${t('print.item')}</span>
                         <span class="info-value">${this.escapeHtml(fulfillment.itemName)}</span>
                     </div>
                     <div class="info-row">
-                        <span class="info-label">Status</span>
+                        <span class="info-label">${t('print.status')}</span>
                         <span class="status-badge ${statusClass}">${statusText}</span>
                     </div>
                     <div class="info-row">
-                        <span class="info-label">Created</span>
+                        <span class="info-label">${t('print.created')}</span>
                         <span class="info-value">${this.formatDateTime(fulfillment.createdAt)}</span>
                     </div>
+                    ${this.renderDeletedInfo(fulfillment)}
+                    ${this.renderDeadlineInfo(fulfillment)}
+                    ${this.renderStatusReason(fulfillment)}
+                    ${this.renderLockInfo(fulfillment)}
                 </div>
             </div>
 
             <div class="detail-section">
-                <h3>Participants</h3>
-                <div class="detail-info">
-                    <div class="info-row">
-                        <span class="info-label">Sender (Person A)</span>
-                        <span class="info-value">${this.escapeHtml(fulfillment.personA)}</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Intermediary (Person B)</span>
-                        <span class="info-value">${this.escapeHtml(fulfillment.personB)}</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Recipient (Person C)</span>
-                        <span class="info-value">${this.escapeHtml(fulfillment.personC)}</span>
-                    </div>
-                </div>
+                <h3>${t('print.items')}</h3>
+                <table class="item-table">
+                    <thead>
+                        <tr><th>${t('print.item')}</th><th>${t('print.sku')}</th><th>${t('print.quantity')}</th><th>${t('print.collected')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${fulfillment.items.map(item => `
+                            <tr class="${item.collected > 0 && item.collected < item.quantity ? 'item-short' : ''}">
+                                <td>${this.escapeHtml(item.name)}</td>
+                                <td>${item.sku ? this.escapeHtml(item.sku) : '—'}</td>
+                                <td>${i18n.formatNumber(item.quantity)}</td>
+                                <td>${i18n.formatNumber(item.collected || 0)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="detail-section">
+                <h3>${t('print.route')}</h3>
+                <ol class="route-list">
+                    ${fulfillment.custodians.map((custodian, index) => this.renderRouteStop(fulfillment, custodian, index)).join('')}
+                </ol>
+                ${this.renderRouteEditor(fulfillment)}
             </div>
 
             <div class="detail-section">
-                <h3>Timeline</h3>
+                <h3>${t('print.timeline')}</h3>
+                ${this.renderIntegrityResult(check)}
                 <div class="timeline">
-                    ${fulfillment.timeline.map(item => this.renderTimelineItem(item, fulfillment)).join('')}
+                    ${this.store.getTimeline(fulfillment).map(item => this.renderTimelineItem(item, fulfillment, check)).join('')}
                 </div>
             </div>
 
@@ -630,41 +6250,259 @@ class UIController {
         `;
     }
 
-    renderTimelineItem(item, fulfillment) {
-        const activeClass = !item.completed && this.isActiveStage(item.stage, fulfillment.status) ? 'active' : '';
+    renderRouteStop(fulfillment, custodian, index) {
+        const last = fulfillment.custodians.length - 1;
+        const role = index === 0 ? t('role.sender') : index === last ? t('role.recipient') : t('route.intermediaryN', { n: index });
+
+        let state = 'upcoming';
+        let stateText = t('route.waiting');
+        if (index < fulfillment.holderIndex) {
+            state = 'done';
+            stateText = t('route.handedOver', { time: this.formatDateTime(fulfillment.custodians[index + 1].receivedAt) });
+        } else if (index === fulfillment.holderIndex) {
+            state = 'current';
+            stateText = index === last ? t('route.collectedAt', { time: this.formatDateTime(custodian.receivedAt) }) : t('route.hasItem');
+        }
+
+        const link = this.canShareStep(fulfillment, index)
+            ? `<button type="button" class="hop-btn" data-action="copy-link" data-hop="${index}" title="${t('route.copyLinkTitle', { name: this.escapeHtml(custodian.name) })}">${t('route.link')}</button>`
+            : '';
+
+        // The sender hands out and edits the codes for handoffs still to come
+        let controls = link ? `<div class="route-controls">${link}</div>` : '';
+        if (this.canEditRoute(fulfillment) && index > fulfillment.holderIndex && this.store.isQRHop(fulfillment, index)) {
+            const first = index === fulfillment.holderIndex + 1;
+            controls = `
+                <div class="route-controls">
+                    ${link}
+                    <button type="button" class="hop-btn" data-action="view-qr" data-hop="${index}" title="${t('route.showQr')}">${t('route.qr')}</button>
+                    <button type="button" class="hop-btn" data-action="regenerate-qr" data-hop="${index}" title="${t('route.newQrTitle')}">${t('route.newQr')}</button>
+                    <button type="button" class="hop-btn" data-action="route-up" data-hop="${index}" title="${t('common.moveUp')}" ${first ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="hop-btn" data-action="route-down" data-hop="${index}" title="${t('common.moveDown')}" ${index === last - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="hop-btn" data-action="route-remove" data-hop="${index}" title="${t('common.remove')}">✕</button>
+                </div>
+            `;
+        }
+
+        return `
+            <li class="route-stop ${state}">
+                <div class="route-stop-info">
+                    <span class="route-role">${role}</span>
+                    ${this.renderContactName(custodian)}
+                    <span class="route-state">${stateText}</span>
+                </div>
+                ${controls}
+            </li>
+        `;
+    }
+
+    // Names linked to a saved contact open the person page
+    renderContactName(custodian) {
+        const contact = custodian.contactId ? this.contacts.getContact(custodian.contactId) : this.contacts.findByName(custodian.name);
+        if (!contact) {
+            return `<span class="route-name">${this.escapeHtml(custodian.name)}</span>`;
+        }
+        return `<button type="button" class="route-name contact-link" data-action="view-contact" data-contact-id="${contact.id}" title="${t('contacts.showFulfillments', { name: this.escapeHtml(contact.name) })}">${this.escapeHtml(custodian.name)}</button>`;
+    }
+
+    // Only while the item moves forward: not in an end state or during a return
+    canEditRoute(fulfillment) {
+        const activeHop = this.store.getActiveHop(fulfillment);
+        return this.actor === 'sender' && !fulfillment.deletedAt && activeHop !== null && activeHop > 0;
+    }
+
+    renderRouteEditor(fulfillment) {
+        if (!this.canEditRoute(fulfillment)) return '';
+
+        return `
+            <div class="route-add">
+                <input type="text" id="route-add-name" placeholder="${t('route.addPlaceholder')}" list="contacts-intermediary" autocomplete="off">
+                <button type="button" class="btn btn-secondary" data-action="route-add">${t('route.addStop')}</button>
+            </div>
+        `;
+    }
+
+    renderDeadlineInfo(fulfillment) {
+        const deadline = this.store.getDeadline(fulfillment);
+        if (!deadline) return '';
+
+        const text = t(deadline.fromSla ? 'deadline.byFromSla' : 'deadline.by', { label: deadline.label, due: this.formatDateTime(deadline.due) });
+        return `
+            <div class="info-row">
+                <span class="info-label">${t('deadline.next')}</span>
+                <span class="info-value">
+                    ${this.escapeHtml(text)}
+                    ${this.renderDeadlineBadge(fulfillment)}
+                </span>
+            </div>
+        `;
+    }
+
+    renderDeletedInfo(fulfillment) {
+        if (!fulfillment.deletedAt) return '';
+        return `
+            <div class="info-row">
+                <span class="info-label">${t('trash.inTrash')}</span>
+                <span class="info-value">${t('trash.since', { deleted: this.formatDateTime(fulfillment.deletedAt), purged: this.formatDateTime(this.getPurgeDate(fulfillment)) })}</span>
+            </div>
+        `;
+    }
+
+    renderStatusReason(fulfillment) {
+        let label = t('detail.reason');
+        let reason = fulfillment.statusReason;
+        if (fulfillment.returnRequest) {
+            label = t('detail.returnRequested');
+            reason = fulfillment.returnRequest.reason;
+        }
+        if (!reason) return '';
+
+        return `
+            <div class="info-row">
+                <span class="info-label">${label}</span>
+                <span class="info-value">${this.escapeHtml(reason)}</span>
+            </div>
+        `;
+    }
+
+    renderLockInfo(fulfillment) {
+        const lock = this.store.getCollectionLockState(fulfillment);
+        if (lock.failedAttempts === 0) return '';
+
+        const params = { count: lock.failedAttempts, max: PIN_LOCKOUT.maxAttempts };
+        let value = t('lock.attempts', params);
+        if (lock.locked) {
+            value = t('lock.attemptsLocked', params);
+        } else if (lock.retryAt) {
+            value = t('lock.attemptsRetry', { ...params, time: this.formatDateTime(lock.retryAt) });
+        }
+
+        return `
+            <div class="info-row">
+                <span class="info-label">${t('lock.failedAttempts')}</span>
+                <span class="info-value">${value}</span>
+            </div>
+        `;
+    }
+
+    // A check only stands until the log grows or changes underneath it
+    getIntegrityCheck(fulfillment) {
+        const check = this.integrityChecks[fulfillment.id];
+        return check && check.checked === fulfillment.log.length ? check : null;
+    }
+
+    renderIntegrityResult(check) {
+        if (!check) return '';
+        if (check.valid) {
+            return `<div class="integrity-result valid">${t('verify.intact', { count: check.checked })}</div>`;
+        }
+
+        return `
+            <div class="integrity-result broken">
+                <strong>${t('verify.failed')}</strong>
+                <ul>
+                    ${check.problems.map(problem => `
+                        <li>${problem.index === null ? '' : t('verify.entry', { n: problem.index + 1 })}${this.escapeHtml(problem.message)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderTimelineItem(item, fulfillment, check) {
+        const activeClass = !item.completed && this.isActiveStage(item, fulfillment) ? 'active' : '';
         const completedClass = item.completed ? 'completed' : '';
-        const timestamp = item.timestamp ? this.formatDateTime(item.timestamp) : 'Pending';
+        const variantClass = item.variant ? `timeline-${item.variant}` : '';
+        const brokenClass = check && check.problems.some(problem => problem.index === item.seq) ? 'timeline-broken' : '';
+        const timestamp = item.timestamp ? this.formatDateTime(item.timestamp) : t('timeline.pending');
+
+        // Who acted, with what proof, and how the status moved
+        const meta = [
+            item.actor ? t('timeline.by', { role: this.getRoleText(item.actor) }) : '',
+            item.proof ? t(`proof.${item.proof}`) : '',
+            item.fromStatus && item.toStatus && item.fromStatus !== item.toStatus
+                ? t('timeline.statusChange', { from: this.getStatusText(item.fromStatus), to: this.getStatusText(item.toStatus) })
+                : ''
+        ].filter(Boolean);
 
         return `
-            <div class="timeline-item ${completedClass} ${activeClass}">
+            <div class="timeline-item ${completedClass} ${activeClass} ${variantClass} ${brokenClass}">
                 <div class="timeline-marker"></div>
                 <div class="timeline-content">
-                    <div class="timeline-title">${item.title}</div>
-                    <div class="timeline-description">${item.description}</div>
+                    <div class="timeline-title">${this.escapeHtml(item.title)}</div>
+                    <div class="timeline-description">${this.escapeHtml(item.description)}</div>
+                    ${meta.length ? `<div class="timeline-meta">${this.escapeHtml(meta.join(' · '))}</div>` : ''}
+                    ${this.renderAttachments(item)}
                     <div class="timeline-timestamp">${timestamp}</div>
                 </div>
             </div>
         `;
     }
 
+    renderAttachments(item) {
+        if (!item.attachments || item.attachments.length === 0) return '';
+        return `
+            <div class="timeline-attachments">
+                ${item.attachments.map(ref => `
+                    <a class="attachment-thumb" data-attachment-id="${this.escapeHtml(ref.id)}" data-sha256="${ref.sha256}"
+                        aria-label="${this.escapeHtml(t('attachment.label', { kind: t(`attachment.${ref.kind}`), name: ref.name }))}">${t(`attachment.${ref.kind}`)}</a>
+                `).join('')}
+            </div>
+        `;
+    }
+
     renderDetailActions(fulfillment) {
-        let actions = '<button type="button" class="btn btn-secondary" data-action="delete">Delete</button>';
+        let actions = `<button type="button" class="btn btn-secondary" data-action="verify-log">${t('detail.verify')}</button>`;
+
+        if (fulfillment.deletedAt) {
+            if (this.actor === 'sender' || this.actor === 'admin') {
+                actions += `<button type="button" class="btn btn-secondary" data-action="purge">${t('detail.purge')}</button>`;
+                actions += `<button type="button" class="btn btn-primary" data-action="restore">${t('trash.restore')}</button>`;
+            }
+            return actions;
+        }
+
+        if (this.actor === 'sender' || this.actor === 'admin') {
+            actions += `<button type="button" class="btn btn-secondary" data-action="delete">${t('common.delete')}</button>`;
+            if (!FULFILLMENT_STATES[fulfillment.status].open) {
+                actions += `<button type="button" class="btn btn-secondary" data-action="print-receipt">${t('print.receiptTitle')}</button>`;
+            }
+        }
 
-        if (fulfillment.status === 'pending') {
-            if (!fulfillment.qrCodeUsed) {
-                actions += '<button type="button" class="btn btn-secondary" data-action="view-qr">View QR Code</button>';
+        // Showing codes and clearing the lock are not status changes
+        const activeHop = this.store.getActiveHop(fulfillment);
+        if (activeHop === 0 && this.actor === 'intermediary') {
+            actions += `<button type="button" class="btn btn-secondary" data-action="view-qr" data-hop="0">${t('detail.showReturnQr')}</button>`;
+        } else if (this.store.isQRHop(fulfillment, activeHop) && this.actor === 'sender') {
+            actions += `<button type="button" class="btn btn-secondary" data-action="view-qr" data-hop="${activeHop}">${t('detail.viewQr')}</button>`;
+        } else if (this.store.isFinalHop(fulfillment, activeHop) && this.actor === 'sender') {
+            const lock = this.store.getCollectionLockState(fulfillment);
+            if (lock.locked || lock.retryAt) {
+                actions += `<button type="button" class="btn btn-secondary" data-action="clear-lock">${t('detail.clearLock')}</button>`;
             }
-            actions += '<button type="button" class="btn btn-primary" data-action="drop-off">Mark as Dropped Off</button>';
-        } else if (fulfillment.status === 'in-transit') {
-            // Person C must use the main "Scan QR" button to collect
-            actions += '<div class="collection-instruction">To collect this item, use the <strong>Scan QR</strong> button in the header and provide both the QR code and password.</div>';
+        }
+        if (this.actor === 'sender' && FULFILLMENT_STATES[fulfillment.status].open && !fulfillment.passwordUsed) {
+            actions += `<button type="button" class="btn btn-secondary" data-action="reissue-pin">${t('detail.reissuePin')}</button>`;
+        }
+
+        // Handoffs that need a QR code or PIN are the main action
+        this.store.getAvailableActions(fulfillment, this.actor).forEach(action => {
+            const rule = TRANSITIONS[action];
+            const style = ['qr', 'return-qr', 'pin'].includes(rule.proof) ? 'btn-primary' : 'btn-secondary';
+            actions += `<button type="button" class="btn ${style}" data-action="${action}">${t(`transition.${action}.button`)}</button>`;
+        });
+
+        const collectable = TRANSITIONS.collect.from.includes(fulfillment.status) &&
+            this.store.checkGuard(fulfillment, TRANSITIONS.collect.when).success;
+        if (collectable && !TRANSITIONS.collect.actors.includes(this.actor)) {
+            actions += `<div class="collection-instruction">${t('detail.collectionInstruction', { recipient: `<strong>${this.getRoleText('recipient')}</strong>` })}</div>`;
         }
 
         return actions;
     }
 
     attachCardListeners() {
-        // Card click to open details
+        // Card click to open details; the title button is the keyboard way in
         document.querySelectorAll('.fulfillment-card').forEach(card => {
             card.addEventListener('click', (e) => {
                 if (!e.target.closest('.action-btn')) {
@@ -686,85 +6524,261 @@ class UIController {
     }
 
     attachDetailActions(id) {
-        setTimeout(() => {
-            document.querySelectorAll('#detail-content [data-action]').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    const action = btn.dataset.action;
-                    this.handleAction(action, id);
-                    if (action === 'delete') {
-                        this.closeDetailModal();
-                    } else {
-                        this.openDetailModal(id);
-                    }
-                });
+        // These hand over to another modal instead of refreshing the detail view
+        const modalActions = ['view-qr', 'view-contact', 'print-receipt', 'reissue-pin', 'clear-lock', 'drop-off', 'collect', 'override', 'regenerate-qr', 'cancel', 'request-return', 'return', 'dispute'];
+
+        // Attached right after each render, so every button gets exactly one listener
+        document.querySelectorAll('#detail-content [data-action]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const action = btn.dataset.action;
+                await this.handleAction(action, id, btn.dataset);
+                if (action === 'delete' || action === 'purge') {
+                    this.closeDetailModal();
+                } else if (!modalActions.includes(action)) {
+                    this.openDetailModal(id);
+                    this.refocusDetail(btn);
+                }
             });
-        }, 0);
+        });
+    }
+
+    // Re-rendering replaces the button that was pressed; focus its replacement,
+    // or the dialog if the action is gone
+    refocusDetail(btn) {
+        if (!this.modals.isOpen(this.detailModal) || document.contains(btn)) return;
+
+        const { action, hop } = btn.dataset;
+        const replacement = document.querySelector(`#detail-content [data-action="${action}"]${hop ? `[data-hop="${hop}"]` : ''}`);
+        (replacement || this.detailModal.querySelector('.modal-content')).focus();
     }
 
-    handleAction(action, id) {
+    async handleAction(action, id, options = {}) {
+        const fulfillment = this.store.getFulfillment(id);
+        if (!fulfillment) return;
+
+        const hop = options.hop ? Number(options.hop) : this.store.getNextHop(fulfillment);
+        let result = null;
         switch (action) {
             case 'view-qr':
                 this.closeDetailModal();
-                setTimeout(() => this.openQRModal(id), 300);
+                setTimeout(() => this.openQRModal(id, hop), 300);
+                break;
+            case 'edit-route':
+                this.openDetailModal(id);
+                break;
+            case 'route-up':
+            case 'route-down':
+            case 'route-remove':
+            case 'route-add': {
+                const names = this.getEditedRoute(fulfillment, action, hop);
+                if (names) {
+                    const route = this.resolveContacts(names.map(name => ({ name, role: 'intermediary' })));
+                    result = await this.store.updateRoute(id, route.names, this.actor, route.contactIds);
+                }
                 break;
+            }
             case 'drop-off':
-                this.store.updateStatus(id, 'in-transit');
+            case 'return':
+                // Both handoffs need the QR code, so send the receiver to the scanner
+                this.closeDetailModal();
+                setTimeout(() => this.openScannerModal(), 300);
+                break;
+            case 'cancel':
+            case 'request-return':
+            case 'dispute':
+                this.closeDetailModal();
+                setTimeout(() => this.openReasonModal(id, action), 300);
+                break;
+            case 'collect':
+                this.closeDetailModal();
+                setTimeout(() => this.openCollectionModal(id), 300);
+                break;
+            case 'override':
+                this.closeDetailModal();
+                setTimeout(() => this.openOverrideModal(id), 300);
+                break;
+            case 'regenerate-qr':
+                if (confirm(t('route.confirmNewQr', { name: fulfillment.custodians[hop].name }))) {
+                    result = await this.store.regenerateQR(id, hop, this.actor);
+                    if (result.success) {
+                        this.closeDetailModal();
+                        setTimeout(() => this.openQRModal(id, hop), 300);
+                    }
+                }
+                break;
+            case 'view-contact':
+                this.closeDetailModal();
+                setTimeout(() => this.openPersonModal(options.contactId), 300);
+                break;
+            case 'print-receipt':
+                this.closeDetailModal();
+                setTimeout(() => this.openPrintModal('receipt', id), 300);
+                break;
+            case 'copy-link': {
+                const link = await this.getStepLink(fulfillment, hop);
+                if (!link) break;
+                try {
+                    await navigator.clipboard.writeText(link);
+                    this.showToast(t('route.linkCopied', { name: fulfillment.custodians[hop].name }));
+                } catch (error) {
+                    result = { success: false, message: t('route.copyFailed', { link }) };
+                }
+                break;
+            }
+            case 'reissue-pin':
+                this.closeDetailModal();
+                setTimeout(() => this.openReissueModal(id), 300);
+                break;
+            case 'verify-log': {
+                const check = await this.store.verifyLog(fulfillment);
+                this.integrityChecks[id] = check;
+                this.announce(check.valid ? t('verify.intact', { count: check.checked }) : t('verify.failed'));
+                break;
+            }
+            case 'clear-lock':
+                this.closeDetailModal();
+                setTimeout(() => this.openClearLockModal(id), 300);
                 break;
             case 'delete':
-                if (confirm('Are you sure you want to delete this fulfillment?')) {
-                    this.store.deleteFulfillment(id);
+                if (this.confirmDelete(fulfillment)) {
+                    result = await this.store.deleteFulfillment(id, this.actor);
+                    if (result.success) {
+                        this.showToast(t('trash.movedItem', { item: fulfillment.itemName }), () => this.store.restoreFulfillment(id, this.actor));
+                    }
+                }
+                break;
+            case 'restore':
+                result = await this.store.restoreFulfillment(id, this.actor);
+                break;
+            case 'purge':
+                if (confirm(t('trash.confirmPurge', { item: fulfillment.itemName }))) {
+                    result = await this.store.purgeFulfillment(id, this.actor);
+                    if (result.success) {
+                        this.attachments.removeFor(id).catch(() => {});
+                    }
                 }
                 break;
         }
+
+        if (result && !result.success) {
+            alert(result.message);
+        }
     }
 
-    isActiveStage(stage, status) {
-        if (status === 'pending' && stage === 'dropped-off') return true;
-        if (status === 'in-transit' && stage === 'collected') return true;
-        return false;
+    // Once the item has left the sender, someone is holding it and a recipient may be
+    // on the way, so that takes a second, explicit confirmation
+    confirmDelete(fulfillment) {
+        if (!confirm(t('trash.confirmDelete', { item: fulfillment.itemName, count: this.getTrashRetentionDays() }))) {
+            return false;
+        }
+        const inTransit = FULFILLMENT_STATES[fulfillment.status].open && fulfillment.holderIndex > 0;
+        if (!inTransit) return true;
+
+        const holder = this.store.getHolder(fulfillment);
+        return confirm(t('trash.confirmInTransit', { name: holder.name }));
+    }
+
+    // Upcoming intermediaries after applying a route edit, or null if there is nothing to apply
+    getEditedRoute(fulfillment, action, hop) {
+        const names = this.store.getUpcomingIntermediaries(fulfillment).map(c => c.name);
+        const offset = hop - fulfillment.holderIndex - 1;
+
+        if (action === 'route-add') {
+            const name = document.getElementById('route-add-name').value.trim();
+            if (!name) return null;
+            names.push(name);
+        } else if (action === 'route-remove') {
+            names.splice(offset, 1);
+        } else {
+            const target = action === 'route-up' ? offset - 1 : offset + 1;
+            if (target < 0 || target >= names.length) return null;
+            [names[offset], names[target]] = [names[target], names[offset]];
+        }
+        return names;
+    }
+
+    // The handoff that comes next is the active stage; end states have none
+    isActiveStage(item, fulfillment) {
+        const activeHop = this.store.getActiveHop(fulfillment);
+        return activeHop !== null && item.hop === activeHop;
     }
 
     getStatusText(status) {
-        const statusMap = {
-            'pending': 'Pending',
-            'in-transit': 'In Transit',
-            'completed': 'Completed'
-        };
-        return statusMap[status] || status;
+        return FULFILLMENT_STATES[status] ? t(`status.${status}`) : status;
+    }
+
+    getRoleText(role) {
+        return ACTOR_ROLES.includes(role) ? t(`role.${role}`) : role;
+    }
+
+    // e.g. "6-digit" or "8-character", as in "6-digit password"
+    describePinFormat({ length, charset }) {
+        return t(charset === 'digits' ? 'pinFormat.digits' : 'pinFormat.alphanumeric', { length });
     }
 
-    getTimeAgo(timestamp) {
-        const now = new Date();
-        const past = new Date(timestamp);
-        const diffMs = now - past;
-        const diffMins = Math.floor(diffMs / 60000);
-        const diffHours = Math.floor(diffMs / 3600000);
-        const diffDays = Math.floor(diffMs / 86400000);
+    // Rough length of a time span, e.g. "45 minutes", "24 hours", "3 days"
+    formatDuration(ms) {
+        const minutes = Math.max(1, Math.round(ms / 60000));
+        const hours = Math.round(ms / 3600000);
+        const days = Math.round(ms / 86400000);
+
+        if (minutes < 60) return i18n.formatUnit(minutes, 'minute');
+        if (hours < 48) return i18n.formatUnit(hours, 'hour');
+        return i18n.formatUnit(days, 'day');
+    }
 
-        if (diffMins < 1) return 'Just now';
-        if (diffMins < 60) return `${diffMins} minute${diffMins > 1 ? 's' : ''} ago`;
-        if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
-        return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+    // YYYY-MM-DD in local time, for date inputs
+    formatDateInput(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
     }
 
     formatDateTime(timestamp) {
-        const date = new Date(timestamp);
-        return date.toLocaleString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+        return i18n.formatDateTime(timestamp);
     }
 
+    // Also safe inside quoted attributes such as data-id="..."
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 }
 
 // Initialize app
-const store = new FulfillmentStore();
+i18n.apply();
+const store = new FulfillmentStore(createStorageAdapter(localStorage.getItem('syncServerUrl')));
 const ui = new UIController(store);
+
+// Cache the app shell so it installs and opens without a connection (see sw.js)
+if ('serviceWorker' in navigator) {
+    ui.registerServiceWorker();
+}
+
+// Keep the app usable offline with the data saved in this browser, and fall back
+// to localStorage where IndexedDB cannot be opened (e.g. some private browsing modes)
+store.init().catch(async (error) => {
+    // Without its sync server a device only shows its local copy, read-only
+    const syncServerUrl = store.adapter instanceof RestSyncAdapter ? store.adapter.baseUrl : null;
+    const local = (adapter) => (syncServerUrl ? new ReadOnlyAdapter(adapter) : adapter);
+    if (syncServerUrl) {
+        ui.showBanner(t('sync.unreachable', { error: error.message }));
+        ui.watchSyncServer(syncServerUrl);
+        try {
+            await store.useAdapter(local(createStorageAdapter(null)));
+            return;
+        } catch (localError) {
+            error = localError;
+        }
+    }
+    console.warn('IndexedDB is unavailable, saving fulfillments in localStorage instead:', error);
+    await store.useAdapter(local(new LocalStorageAdapter()));
+}).then(() => {
+    ui.startTrashPurge();
+    // Open the screen the page was linked to, now that its data is there
+    ui.router.resolve();
+}).catch((error) => {
+    // Not even localStorage could be used; say so rather than show an empty dashboard
+    console.error('Fulfillments could not be loaded:', error);
+    ui.showBanner(t('sync.loadFailed', { error: error.message }), 'error');
+});
@@ -0,0 +1,702 @@
+// Arabic message catalog; anything missing falls back to English (see en.js).
+window.LOCALES = window.LOCALES || {};
+window.LOCALES.ar = {
+    name: 'العربية',
+    dir: 'rtl',
+    messages: {
+        'pinCharset.digits': 'أرقام فقط',
+        'pinCharset.alphanumeric': 'حروف وأرقام',
+
+        'status.pending': 'قيد الانتظار',
+        'status.in-transit': 'قيد النقل',
+        'status.partially-collected': 'مستلمة جزئيًا',
+        'status.completed': 'مكتملة',
+        'status.cancelled': 'ملغاة',
+        'status.returned': 'أُعيدت إلى المرسل',
+        'status.disputed': 'متنازع عليها',
+
+        'statusInText.pending': 'قيد الانتظار',
+        'statusInText.in-transit': 'قيد النقل',
+        'statusInText.partially-collected': 'مستلمة جزئيًا',
+        'statusInText.completed': 'مكتملة',
+        'statusInText.cancelled': 'ملغاة',
+        'statusInText.returned': 'معادة إلى المرسل',
+        'statusInText.disputed': 'متنازع عليها',
+
+        'event.fulfillment.created': 'أُنشئت',
+        'event.fulfillment.dropped-off': 'سُلّمت',
+        'event.fulfillment.partially-collected': 'استُلمت جزئيًا',
+        'event.fulfillment.collected': 'استُلمت',
+        'event.fulfillment.route-changed': 'تغيّر المسار',
+        'event.fulfillment.qr-regenerated': 'أُعيد إنشاء رمز QR',
+        'event.fulfillment.overdue': 'فات الموعد',
+        'event.fulfillment.cancelled': 'أُلغيت',
+        'event.fulfillment.return-requested': 'طُلبت الإعادة',
+        'event.fulfillment.returned': 'أُعيدت',
+        'event.fulfillment.disputed': 'متنازع عليها',
+        'event.fulfillment.overridden': 'تعديل يدوي',
+        'event.fulfillment.deleted': 'نُقلت إلى المهملات',
+        'event.fulfillment.restored': 'استُعيدت',
+        'event.fulfillment.purged': 'حُذفت نهائيًا',
+        'event.collection.pin-failed': 'رمز PIN للاستلام خاطئ',
+        'event.collection.lock-cleared': 'أُزيل قفل الاستلام',
+        'event.collection.pin-reissued': 'أُعيد إصدار رمز PIN',
+        'event.test': 'حدث تجريبي',
+
+        'outbox.kind.webhook': 'Webhook',
+        'outbox.kind.email': 'مُرحّل بريد',
+        'outbox.kindRequired': 'اختر Webhook أو مُرحّل بريد',
+        'outbox.badUrl': 'أدخل عنوان URL كاملًا يبدأ بـ http:// أو https://',
+        'outbox.badEmail': 'أدخل عنوان البريد المراد الإرسال إليه',
+        'outbox.endpointAdded': 'أُضيف {kind}',
+        'outbox.endpointRemoved': 'أُزيلت الوجهة',
+        'outbox.endpointNotFound': 'الوجهة غير موجودة',
+        'outbox.testQueued': 'أُضيف الحدث التجريبي إلى قائمة الإرسال',
+        'outbox.timeout': { one: 'لا رد خلال ثانية واحدة', two: 'لا رد خلال ثانيتين', few: 'لا رد خلال {count} ثوانٍ', other: 'لا رد خلال {count} ثانية' },
+        'outbox.httpError': 'ردّ المستقبِل بالرمز {status}',
+        'outbox.urlPlaceholder': 'مثال: {url}',
+        'outbox.noEndpoints': 'لا توجد وجهات بعد.',
+        'outbox.allEvents': 'كل الأحداث',
+        'outbox.kindTo': '{kind} إلى {to}',
+        'outbox.sendTest': 'إرسال تجربة',
+        'outbox.seeLog': '{message}. راجع سجل الإرسال لمعرفة النتيجة.',
+        'outbox.confirmRemove': 'إزالة هذه الوجهة؟ تُحذف عمليات الإرسال التي ما زالت تنتظرها.',
+        'outbox.removedEndpoint': 'أُزيلت الوجهة',
+        'outbox.title': 'Webhooks والبريد',
+        'outbox.hint': 'أرسل حدثًا إلى Webhook أو مُرحّل بريد كلما تغيّرت شحنة في هذا المتصفح. تُعاد محاولة الإرسال الفاشل ويُحفظ في سجل الإرسال.',
+        'outbox.sendTo': 'الإرسال إلى',
+        'outbox.emailAddress': 'عنوان البريد',
+        'outbox.url': 'عنوان URL',
+        'outbox.events': 'الأحداث',
+        'outbox.eventsHint': 'اتركها كلها دون تحديد لإرسال كل الأحداث.',
+        'outbox.add': 'إضافة وجهة',
+
+        'email.status': 'الحالة: {status}',
+        'email.route': 'المسار: {route}',
+        'email.holder': 'الحائز الحالي: {name}',
+        'email.time': 'الوقت: {time}',
+        'email.subject': '[تسليم الأغراض] {event}: {item}',
+
+        'attachment.signature': 'توقيع',
+        'attachment.photo': 'صورة',
+        'attachment.condition': 'صورة الحالة',
+        'attachment.invalid': 'مرفق غير صالح',
+        'attachment.unsupported': 'لا يستطيع هذا المتصفح حفظ المرفقات',
+        'attachment.aborted': 'أُلغي حفظ المرفقات',
+        'attachment.missing': 'غير موجود على هذا الجهاز',
+        'attachment.otherDevice': 'التُقط {name} على جهاز آخر',
+        'attachment.tampered': 'لا يطابق {name} البصمة المسجلة في سجل التدقيق',
+        'attachment.tooLarge': 'حجم {name} أكبر من {size}',
+        'attachment.saveFailed': 'تعذّر حفظ المرفقات: {error}',
+        'attachment.label': '{kind}: {name}',
+
+        'proof.qr': 'رمز QR',
+        'proof.pin': 'رمز PIN',
+        'proof.manual': 'تعديل يدوي',
+        'proof.reason': 'سبب مكتوب',
+        'proof.recovery-code': 'رمز الاسترداد',
+
+        'sort.created-desc': 'الأحدث أولًا',
+        'sort.created-asc': 'الأقدم أولًا',
+        'sort.updated': 'المحدّثة مؤخرًا',
+        'sort.stage-time': 'الأطول في المرحلة الحالية',
+        'sort.deadline': 'الموعد الأقرب أولًا',
+
+        'group.none': 'دون تجميع',
+        'group.holder': 'الحائز الحالي',
+        'group.sender': 'المرسل',
+        'group.recipient': 'المستلم',
+
+        'analytics.bucket.day': 'يوميًا',
+        'analytics.bucket.week': 'أسبوعيًا',
+        'analytics.badRange': 'اختر تاريخ بداية في تاريخ النهاية أو قبله.',
+        'analytics.statDetail': { one: 'الوسيط · p90 {p90} · شحنة واحدة', two: 'الوسيط · p90 {p90} · شحنتان', few: 'الوسيط · p90 {p90} · {count} شحنات', other: 'الوسيط · p90 {p90} · {count} شحنة' },
+        'analytics.noData': 'لا بيانات',
+        'analytics.throughput': 'المُنشأة والمكتملة',
+        'analytics.durations': 'مدد المراحل',
+        'analytics.toDropOff': 'الإنشاء ← أول تسليم',
+        'analytics.toCollection': 'أول تسليم ← الاستلام',
+        'analytics.slowest': 'أبطأ الوسطاء',
+        'analytics.statusShare': 'التوزيع حسب الحالة',
+        'analytics.weekOf': 'أسبوع {date}',
+        'analytics.barTitle': '{period}: {created} مُنشأة، {completed} مكتملة',
+        'analytics.throughputLabel.day': 'الشحنات المُنشأة والمكتملة يوميًا',
+        'analytics.throughputLabel.week': 'الشحنات المُنشأة والمكتملة أسبوعيًا',
+        'analytics.created': 'مُنشأة',
+        'analytics.completed': 'مكتملة',
+        'analytics.noSlowest': 'لم يسلّم أي وسيط غرضًا في هذه الفترة بعد.',
+        'analytics.slowTitle': { one: '{name}: الوسيط {median}، p90 {p90} في عملية نقل واحدة', two: '{name}: الوسيط {median}، p90 {p90} في عمليتي نقل', few: '{name}: الوسيط {median}، p90 {p90} في {count} عمليات نقل', other: '{name}: الوسيط {median}، p90 {p90} في {count} عملية نقل' },
+        'analytics.slowestLabel': 'الوقت الوسيط الذي احتفظ فيه كل وسيط بالغرض',
+        'analytics.slowestHint': 'الوقت الوسيط من استلام الغرض حتى تسليمه، مع عدد عمليات النقل.',
+        'analytics.noneCreated': 'لم تُنشأ أي شحنات في هذه الفترة.',
+        'analytics.shareTitle': '{status}: {count}',
+        'analytics.shareLabel': 'نسبة الشحنات في كل حالة',
+        'analytics.shareLegend': '{status}: {count} ({share})',
+        'analytics.show': 'عرض',
+
+        'print.size.a6': 'ملصق A6 (105 × 148 مم)',
+        'print.size.a4': 'صفحة A4 (210 × 297 مم)',
+        'print.labelTitle': 'طباعة ملصق النقل',
+        'print.receiptTitle': 'طباعة الإيصال',
+        'print.returnInstructions': 'يمسح {sender} هذا الرمز عبر «مسح QR» في تطبيق تسليم الأغراض عند عودة الطرد.',
+        'print.dropOffInstructions': 'يمسح {receiver} هذا الرمز عبر «مسح QR» في تطبيق تسليم الأغراض عند استلام الطرد من {from}.',
+        'print.items': 'الأغراض',
+        'print.sender': 'المرسل',
+        'print.intermediary': 'الوسيط',
+        'print.recipient': 'المستلم',
+        'print.validity': 'يعمل الرمز مرة واحدة وهو صالح حتى {time}.',
+        'print.pinHint': 'يستلم {recipient} الغرض بكلمة المرور المكوّنة من {format}.',
+        'print.completionReceipt': 'إيصال الإتمام',
+        'print.receipt': 'إيصال',
+        'print.fulfillmentId': 'معرّف الشحنة',
+        'print.status': 'الحالة',
+        'print.created': 'تاريخ الإنشاء',
+        'print.route': 'المسار',
+        'print.item': 'الغرض',
+        'print.sku': 'رمز الصنف / الرقم التسلسلي',
+        'print.quantity': 'الكمية',
+        'print.collected': 'المستلَم',
+        'print.timeline': 'السجل الزمني',
+        'print.time': 'الوقت',
+        'print.event': 'الحدث',
+        'print.by': 'بواسطة',
+        'print.footer': { one: 'طُبع {time}. سجل تدقيق من إدخال واحد.', two: 'طُبع {time}. سجل تدقيق من إدخالين.', few: 'طُبع {time}. سجل تدقيق من {count} إدخالات.', other: 'طُبع {time}. سجل تدقيق من {count} إدخالًا.' },
+        'print.footerWithHash': { one: 'طُبع {time}. سجل تدقيق من إدخال واحد، بصمة آخر إدخال {hash}.', two: 'طُبع {time}. سجل تدقيق من إدخالين، بصمة آخر إدخال {hash}.', few: 'طُبع {time}. سجل تدقيق من {count} إدخالات، بصمة آخر إدخال {hash}.', other: 'طُبع {time}. سجل تدقيق من {count} إدخالًا، بصمة آخر إدخال {hash}.' },
+        'print.paperSize': 'حجم الورق',
+        'print.pdfHint': 'للحصول على ملف PDF، اختر «حفظ بتنسيق PDF» كطابعة.',
+        'print.print': 'طباعة',
+
+        'qrModal.returnKicker': 'إعادة إلى المرسل',
+        'qrModal.hopKicker': 'النقل {hop} من {total}',
+        'qrModal.returnTitle': 'رمز QR للإعادة',
+        'qrModal.dropOffTitle': 'رمز QR للتسليم',
+        'qrModal.returnHop': 'إعادة إلى المرسل.',
+        'qrModal.hop': 'النقل {hop} من {total}.',
+        'qrModal.expiry': 'صالح حتى {time}.',
+        'qrModal.alt': 'رمز QR يمسحه {to} عند استلام الغرض من {from}',
+        'qrModal.scanFrom': 'يجب أن يمسح رمز QR هذا عند استلام الغرض من',
+        'qrModal.singleUse': 'يمكن استخدام رمز QR هذا مرة واحدة فقط.',
+        'qrModal.download': 'تنزيل رمز QR',
+        'qrModal.printLabel': 'طباعة ملصق',
+
+        'password.reissuedTitle': 'كلمة مرور استلام جديدة',
+        'password.title': 'كلمة مرور الاستلام',
+        'password.important': 'مهم:',
+        'password.shareWith': 'شارك كلمة المرور هذه مع',
+        'password.soTheyCollect': 'ليتمكن من استلام الغرض.',
+        'password.warning': 'تظهر كلمة المرور ورمز الاسترداد مرة واحدة فقط. احرص على حفظهما!',
+        'password.item': 'الغرض:',
+        'password.recoveryCode': 'رمز الاسترداد',
+        'password.recoveryHint': 'احتفظ بهذا الرمز لنفسك. إذا ضاعت كلمة المرور، يتيح لك إصدار كلمة جديدة عبر <strong>إعادة إصدار PIN</strong> في تفاصيل الشحنة.',
+        'password.copy': 'نسخ كلمة المرور',
+        'password.copyRecovery': 'نسخ رمز الاسترداد',
+
+        'common.copied': 'نُسخ!',
+        'common.edit': 'تعديل',
+        'common.delete': 'حذف',
+        'common.remove': 'إزالة',
+        'common.moveUp': 'نقل لأعلى',
+        'common.moveDown': 'نقل لأسفل',
+        'common.cancel': 'إلغاء',
+        'common.back': 'رجوع',
+        'common.close': 'إغلاق',
+        'common.undo': 'تراجع',
+
+        'collect.passwordPlaceholder': 'أدخل كلمة المرور المكوّنة من {format}',
+        'collect.handedOver': 'المسلَّم',
+        'collect.outstanding': 'المتبقي {remaining} من {quantity}',
+        'collect.passwordRequired': 'كلمة مرور الاستلام مطلوبة',
+        'collect.badQuantities': 'أدخل عدد ما سُلّم من كل غرض، بحد أقصى العدد المتبقي',
+        'collect.passwordUsed': 'استُخدمت كلمة المرور من قبل',
+        'collect.locked': 'قُفل الاستلام بعد محاولات فاشلة كثيرة',
+        'collect.coolingDown': 'محاولات فاشلة كثيرة، يُرجى الانتظار قبل المحاولة مجددًا',
+        'collect.wrongPassword': 'كلمة المرور غير صحيحة',
+        'collect.lockCleared': 'أُزيل قفل الاستلام',
+        'collect.clearLockSenderOnly': 'يمكن لـ{role} فقط إزالة قفل الاستلام',
+        'collect.codeRead': 'قُرئ رمز QR.',
+        'collect.enterPassword': 'أدخل الآن كلمة مرور الاستلام.',
+        'collect.lockedNotice': { one: 'قُفل الاستلام بعد محاولة فاشلة واحدة. يمكن لـ{sender} (الشخص أ) فقط إزالة القفل.', two: 'قُفل الاستلام بعد محاولتين فاشلتين. يمكن لـ{sender} (الشخص أ) فقط إزالة القفل.', few: 'قُفل الاستلام بعد {count} محاولات فاشلة. يمكن لـ{sender} (الشخص أ) فقط إزالة القفل.', other: 'قُفل الاستلام بعد {count} محاولة فاشلة. يمكن لـ{sender} (الشخص أ) فقط إزالة القفل.' },
+        'collect.retryNotice': { one: 'محاولات فاشلة كثيرة. حاول مجددًا بعد {time} (تبقّت محاولة واحدة).', two: 'محاولات فاشلة كثيرة. حاول مجددًا بعد {time} (تبقّت محاولتان).', few: 'محاولات فاشلة كثيرة. حاول مجددًا بعد {time} (تبقّت {count} محاولات).', other: 'محاولات فاشلة كثيرة. حاول مجددًا بعد {time} (تبقّت {count} محاولة).' },
+        'collect.attemptsLeft': { one: 'تبقّت محاولة واحدة قبل قفل الاستلام.', two: 'تبقّت محاولتان قبل قفل الاستلام.', few: 'تبقّت {count} محاولات قبل قفل الاستلام.', other: 'تبقّت {count} محاولة قبل قفل الاستلام.' },
+        'collect.scanFirst': 'الشحنة غير موجودة. يُرجى مسح رمز QR.',
+        'collect.success': 'نجحت المصادقة!',
+        'collect.verifiedFor': 'جرى التحقق من الشخص ج لـ: {item}',
+        'collect.partialRecorded': { one: 'سُجّل استلام جزئي، وما زال غرض واحد قيد النقل', two: 'سُجّل استلام جزئي، وما زال غرضان قيد النقل', few: 'سُجّل استلام جزئي، وما زالت {count} أغراض قيد النقل', other: 'سُجّل استلام جزئي، وما زال {count} غرضًا قيد النقل' },
+        'collect.confirmed': 'تأكّد استلام الغرض',
+        'collect.failed': 'فشلت المصادقة:',
+        'collect.title': 'استلام الغرض - مصادقة ثنائية',
+        'collect.mustProvide': 'يجب أن يقدّم رمز QR وكلمة المرور <strong>كليهما</strong> لاستلام الغرض.',
+        'collect.code': 'رمز الشحنة (من QR)',
+        'collect.codePlaceholder': 'مثال: FUL-XXXXX-XXXXX',
+        'collect.signature': 'التوقيع (اختياري)',
+        'collect.signatureHint': 'يوقّع الشخص ج بإصبعه أو بقلم أو بالفأرة',
+        'collect.clearSignature': 'مسح',
+        'collect.photos': 'صور (اختياري)',
+        'collect.submit': 'تحقّق واستلم',
+
+        'pinFormat.digits': '{length} أرقام',
+        'pinFormat.alphanumeric': '{length} محارف',
+
+        'role.sender': 'المرسل (الشخص أ)',
+        'role.intermediary': 'الوسيط',
+        'role.recipient': 'المستلم (الشخص ج)',
+        'role.admin': 'المسؤول',
+
+        'transition.drop-off.button': 'مسح رمز QR للتسليم',
+        'transition.drop-off.cardButton': 'تسليم',
+        'transition.drop-off.description': 'تأكيد تسليم',
+        'transition.drop-off.statusMessage': 'هذه الشحنة مكتملة بالفعل',
+        'transition.drop-off.successMessage': 'تأكّد استلام الغرض!',
+        'transition.collect.button': 'استلام الغرض',
+        'transition.collect.cardButton': 'استلام',
+        'transition.collect.description': 'استلام الغرض',
+        'transition.collect.statusMessage': 'لم يُسلَّم الغرض بعد',
+        'transition.collect.successMessage': 'استُلم الغرض بنجاح!',
+        'transition.cancel.button': 'إلغاء الشحنة',
+        'transition.cancel.reasonHint': 'لم يُسلَّم الغرض بعد. تتوقف كل رموز QR للتسليم عن العمل.',
+        'transition.cancel.description': 'إلغاء الشحنة',
+        'transition.cancel.statusMessage': 'لا يمكن إلغاء إلا الشحنات التي لم تُسلَّم بعد',
+        'transition.cancel.successMessage': 'أُلغيت الشحنة',
+        'transition.request-return.button': 'إعادة إلى المرسل',
+        'transition.request-return.reasonHint': 'يحصل الوسيط الذي يحمل الغرض على رمز QR للإعادة، يمسحه المرسل عند عودة الغرض.',
+        'transition.request-return.description': 'بدء إعادة',
+        'transition.request-return.statusMessage': 'لا يمكن إعادة إلا الأغراض قيد النقل',
+        'transition.request-return.successMessage': 'طُلبت الإعادة',
+        'transition.return.button': 'مسح رمز QR للإعادة',
+        'transition.return.cardButton': 'استلام المُعاد',
+        'transition.return.description': 'تأكيد الإعادة',
+        'transition.return.statusMessage': 'لا يمكن إعادة إلا الأغراض قيد النقل',
+        'transition.return.successMessage': 'أُعيد الغرض إلى المرسل',
+        'transition.dispute.button': 'الإبلاغ عن مشكلة',
+        'transition.dispute.reasonHint': 'صف ما كان ناقصًا أو تالفًا. تُعلَّم الشحنة بأنها متنازع عليها.',
+        'transition.dispute.description': 'الاعتراض على الاستلام',
+        'transition.dispute.statusMessage': 'لا يمكن الاعتراض إلا على الشحنات المكتملة',
+        'transition.dispute.successMessage': 'سُجّل الاعتراض',
+        'transition.override.button': 'تعديل يدوي',
+        'transition.override.cardButton': 'تعديل',
+        'transition.override.description': 'تعديل الحالة يدويًا',
+        'transition.override.statusMessage': 'لا يمكن تعديل هذه الشحنة يدويًا',
+        'transition.override.successMessage': 'تغيّرت الحالة بتعديل يدوي',
+        'transition.notAtLastHop': 'لم يصل الغرض إلى آخر وسيط بعد',
+        'transition.noReturn': 'لم تُطلب أي إعادة',
+        'transition.scanDropOff': 'امسح رمز QR للتسليم لتأكيد الاستلام',
+        'transition.scanReturn': 'امسح رمز QR للإعادة لتأكيد عودة الغرض',
+        'transition.reasonRequired': 'السبب مطلوب',
+        'transition.unsupportedProof': 'إثبات غير مدعوم',
+        'transition.beingReturned': 'الغرض في طريق العودة إلى {sender}',
+        'transition.collectOnly': 'الغرض لدى آخر وسيط ولا يستلمه إلا {recipient}',
+        'transition.unknown': 'إجراء غير معروف: {action}',
+        'transition.notAllowed': 'يمكن لـ{allowed} فقط {action}',
+
+        'store.logAppendOnly': 'سجل التدقيق للإضافة فقط. لا يمكن تغيير الإدخالات الموجودة أو حذفها',
+        'store.conflict': 'تغيّرت هذه الشحنة للتو في علامة تبويب أو جهاز آخر. راجع حالتها الأحدث ثم حاول مجددًا',
+        'store.saveFailed': 'تعذّر حفظ التغيير: {error}',
+        'store.notFound': 'الشحنة غير موجودة',
+        'store.inTrash': 'هذه الشحنة في المهملات',
+        'store.isStatus': 'هذه الشحنة {status}',
+
+        'verify.migrated': 'منقول من السجل الزمني القديم ولم يُختم بعد',
+        'verify.unsealed': 'الإدخال غير مختوم',
+        'verify.sequence': 'الإدخال خارج التسلسل',
+        'verify.brokenLink': 'الرابط بالإدخال السابق مكسور',
+        'verify.changed': 'عُدّل الإدخال بعد تسجيله',
+        'verify.statusMismatch': 'الحالة «{status}» لا تطابق آخر إدخال في السجل',
+        'verify.intact': { one: 'جرى التحقق من إدخال السجل الوحيد. سلسلة البصمات سليمة.', two: 'جرى التحقق من إدخالي السجل. سلسلة البصمات سليمة.', few: 'جرى التحقق من جميع إدخالات السجل الـ{count}. سلسلة البصمات سليمة.', other: 'جرى التحقق من جميع إدخالات السجل الـ{count}. سلسلة البصمات سليمة.' },
+        'verify.failed': 'فشل فحص السلامة',
+        'verify.entry': 'الإدخال {n}: ',
+
+        'log.qrRegenerated.title': 'أُعيد إنشاء رمز QR',
+        'log.qrRegenerated.description': 'أصدر {sender} رمز QR جديدًا للتسليم إلى {holder} وألغى الرمز السابق',
+        'log.created.title': 'أُنشئت الشحنة',
+        'log.created.description': 'بدأ {sender} عملية النقل',
+        'log.routeChanged.title': 'تغيّر المسار',
+        'log.routeChanged.description': 'غيّر {sender} المسار إلى {route}',
+        'log.overdue.title': 'فات الموعد',
+        'log.overdue.description': 'تأخّر موعد {deadline} ({source})',
+        'log.collected.title': 'استُلم الغرض',
+        'log.collected.description': 'يستلم {to} من {from}{confirmation}',
+        'log.droppedOff.title': 'سُلّم إلى {to}',
+        'log.droppedOff.description': 'يسلّم {from} إلى {to}',
+        'log.returnDue.title': 'أُعيد إلى المرسل',
+        'log.returnDue.description': 'يعيد {holder} الغرض إلى {sender}',
+        'log.confirmedBy': ' (بتأكيد من {name})',
+        'log.remainingCollected.title': 'استُلمت الأغراض المتبقية',
+        'log.remainingCollected.description': 'استلم {recipient} {items}{confirmation}',
+        'log.partialCollection.title': 'استلام جزئي',
+        'log.partialCollection.description': 'استلم {recipient} {items}{confirmation}. ما زال قيد النقل: {outstanding}',
+        'log.override.title': 'تعديل يدوي',
+        'log.override.description': 'غيّر المسؤول الحالة من {from} إلى {to}. السبب: {reason}',
+        'log.cancelled.title': 'أُلغيت الشحنة',
+        'log.cancelled.description': 'ألغى {sender} عملية النقل. السبب: {reason}',
+        'log.returnRequested.title': 'طُلبت الإعادة',
+        'log.returnRequested.description': 'طلب {requester} إعادة الغرض من {holder} إلى {sender}. السبب: {reason}',
+        'log.returned.title': 'أُعيد إلى المرسل',
+        'log.returned.description': 'أعاد {holder} الغرض إلى {sender}',
+        'log.disputed.title': 'اعتراض على الاستلام',
+        'log.disputed.description': 'أبلغ {recipient} عن مشكلة في الأغراض المستلمة: {reason}',
+        'log.failedAttempt.title': 'محاولة استلام فاشلة',
+        'log.failedAttempt.description': 'أُدخلت كلمة مرور غير صحيحة (المحاولة {attempt} من {max})',
+        'log.failedAttemptLocked.title': 'محاولة استلام فاشلة',
+        'log.failedAttemptLocked.description': 'أُدخلت كلمة مرور غير صحيحة (المحاولة {attempt} من {max}). يبقى الاستلام مقفلًا حتى يزيل {sender} القفل.',
+        'log.failedAttemptDelayed.title': 'محاولة استلام فاشلة',
+        'log.failedAttemptDelayed.description': { one: 'أُدخلت كلمة مرور غير صحيحة (المحاولة {attempt} من {max}). تُسمح المحاولة التالية بعد ثانية واحدة.', two: 'أُدخلت كلمة مرور غير صحيحة (المحاولة {attempt} من {max}). تُسمح المحاولة التالية بعد ثانيتين.', few: 'أُدخلت كلمة مرور غير صحيحة (المحاولة {attempt} من {max}). تُسمح المحاولة التالية بعد {count} ثوانٍ.', other: 'أُدخلت كلمة مرور غير صحيحة (المحاولة {attempt} من {max}). تُسمح المحاولة التالية بعد {count} ثانية.' },
+        'log.lockCleared.title': 'أُزيل قفل الاستلام',
+        'log.lockCleared.description': 'أعاد {sender} تعيين محاولات كلمة المرور الفاشلة',
+        'log.pinReissued.title': 'أُعيد إصدار رمز PIN للاستلام',
+        'log.pinReissued.description': 'أصدر {sender} رمز PIN جديدًا للاستلام. لم يعد رمز PIN ورمز الاسترداد السابقان يعملان',
+        'log.deleted.title': 'نُقلت إلى المهملات',
+        'log.deleted.description': 'حذف {role} الشحنة',
+        'log.restored.title': 'استُعيدت من المهملات',
+        'log.restored.description': 'استعاد {role} الشحنة',
+
+        'deadline.collection': 'الاستلام بواسطة {name}',
+        'deadline.dropOff': 'التسليم إلى {name}',
+        'deadline.fromSla': 'المهلة الافتراضية',
+        'deadline.fromCreation': 'موعد حُدّد عند الإنشاء',
+        'deadline.due': 'موعد {label} {due}',
+        'deadline.overdue': 'متأخرة',
+        'deadline.due-soon': 'موعدها قريب',
+        'deadline.by': '{label} قبل {due}',
+        'deadline.byFromSla': '{label} قبل {due} (المهلة الافتراضية)',
+        'deadline.next': 'الموعد التالي',
+
+        'holder.state': '{status} لدى {name}',
+
+        'qr.idNotToken': 'لا يمكن استخدام معرّفات الشحنات للتسليم. امسح رمز QR من المرسل بدلًا من ذلك',
+        'qr.invalid': 'هذا ليس رمز QR صالحًا لشحنة',
+        'qr.notIssued': 'لم يُصدر رمز QR لعملية النقل هذه',
+        'qr.badSignature': 'رمز QR هذا غير موقّع من هذا الجهاز أو من جهاز موثوق',
+        'qr.badTrustedKey': '{key} ليس مفتاح QR صالحًا',
+        'qr.roleMismatch': 'لا يطابق رمز QR هذا الرمز الصادر لعملية النقل هذه',
+        'qr.used': 'استُخدم رمز QR من قبل',
+        'qr.revoked': 'أُلغي رمز QR هذا. اطلب الرمز الجديد من المرسل',
+        'qr.expired': 'انتهت صلاحية رمز QR هذا. اطلب من المرسل إنشاء رمز جديد',
+        'qr.notQRHop': 'عملية النقل هذه لا تستخدم رمز QR',
+        'qr.hopPassed': 'تمّت عملية النقل هذه بالفعل',
+        'qr.regenerated': 'صدر رمز QR جديد',
+        'qr.otherFulfillment': 'ينتمي رمز QR هذا إلى شحنة أخرى',
+        'qr.isReturnCode': 'هذا رمز إعادة. يمسحه المرسل عند عودة الغرض',
+        'qr.isDropOffCode': 'هذا رمز تسليم. امسح رمز الإعادة بدلًا منه',
+        'qr.senderOnly': 'يمكن لـ{role} فقط إعادة إنشاء رمز QR',
+        'qr.tooEarly': 'رمز QR هذا مخصص للنقل إلى {receiver}. يجب أن يصل الغرض إلى {expected} أولًا',
+
+        'create.noItems': 'أضف غرضًا واحدًا على الأقل',
+        'create.badItem': 'يحتاج كل غرض إلى اسم وكمية لا تقل عن 1',
+        'create.noIntermediary': 'أضف وسيطًا واحدًا على الأقل',
+        'create.unnamedCustodian': 'يحتاج كل حائز إلى اسم',
+        'create.badDeadline': 'يجب أن تكون المواعيد تواريخ صالحة في المستقبل',
+        'create.deadlineOrder': 'يجب أن يكون موعد الاستلام بعد موعد التسليم',
+        'create.deadlineHint': 'دون موعد محدد، يستحق كل تسليم بعد {dropOff} والاستلام بعد {collection} من عملية النقل السابقة.',
+        'create.itemPlaceholder': 'مثال: طرد، مستند، معدّات',
+        'create.quantity': 'الكمية',
+        'create.skuPlaceholder': 'رمز الصنف / الرقم التسلسلي (اختياري)',
+        'create.hopPlaceholder': 'اسم الوسيط',
+        'create.submit': 'إنشاء شحنة',
+        'create.addItem': 'إضافة غرض',
+        'create.sender': 'الشخص أ (المرسل)',
+        'create.senderPlaceholder': 'اسم المرسل',
+        'create.intermediaries': 'الوسطاء (بترتيب النقل)',
+        'create.addIntermediary': 'إضافة وسيط',
+        'create.recipient': 'الشخص ج (المستلم)',
+        'create.recipientPlaceholder': 'اسم المستلم',
+        'create.dropOffDeadline': 'موعد التسليم (اختياري)',
+        'create.collectionDeadline': 'موعد الاستلام (اختياري)',
+        'create.contactsHint': 'تُطابَق الأسماء مع جهات الاتصال المحفوظة، وتُحفظ الأسماء الجديدة كجهات اتصال.',
+
+        'route.needsIntermediary': 'يحتاج المسار إلى وسيط واحد على الأقل',
+        'route.unchanged': 'لم يتغيّر المسار',
+        'route.updated': 'حُدّث المسار',
+        'route.senderOnly': 'يمكن لـ{role} فقط تغيير المسار',
+        'route.edit': 'تعديل المسار',
+        'route.intermediaryN': 'الوسيط {n}',
+        'route.waiting': 'في الانتظار',
+        'route.handedOver': 'سُلّم {time}',
+        'route.collectedAt': 'استُلم {time}',
+        'route.hasItem': 'الغرض لديه',
+        'route.copyLinkTitle': 'نسخ رابط يفتح خطوة {name}',
+        'route.link': 'رابط',
+        'route.showQr': 'عرض رمز QR',
+        'route.qr': 'QR',
+        'route.newQrTitle': 'إصدار رمز QR جديد',
+        'route.newQr': 'QR جديد',
+        'route.addPlaceholder': 'أضف وسيطًا قبل المستلم',
+        'route.addStop': 'إضافة محطة',
+        'route.arrow': '←',
+        'route.confirmNewQr': 'إصدار رمز QR جديد للتسليم؟ سيتوقف الرمز الحالي عن العمل وسيحتاج {name} إلى الرمز الجديد.',
+        'route.linkCopied': 'نُسخ رابط {name}',
+        'route.copyFailed': 'تعذّر نسخ الرابط. انسخه من هنا:\n{link}',
+
+        'override.reasonRequired': 'التعديل اليدوي يتطلب سببًا',
+        'override.chooseHolder': 'اختر من يحمل الغرض الآن',
+        'override.title': 'تعديل يدوي',
+        'override.skipsChecks': 'يتجاوز التعديل اليدوي التحقق من رمز QR وكلمة المرور لـ',
+        'override.holder': 'الغرض الآن لدى',
+        'override.reasonPlaceholder': 'مثال: فقد الوسيط هاتفه، وتأكّد التسليم بمكالمة هاتفية',
+        'override.submit': 'تطبيق التعديل',
+        'override.adminPin': 'رمز المسؤول',
+        'override.adminPinRequired': 'أدخل رمز المسؤول',
+        'override.wrongAdminPin': 'رمز المسؤول غير صحيح',
+        'override.noAdminPin': 'عيّن رمز المسؤول في الإعدادات قبل إجراء التعديلات اليدوية',
+
+        'reissue.alreadyCollected': 'استُلم الغرض بالفعل',
+        'reissue.codeRequired': 'أدخل رمز الاسترداد الصادر مع الشحنة',
+        'reissue.wrongCode': 'رمز الاسترداد غير صحيح',
+        'reissue.issued': 'صدر رمز PIN جديد للاستلام',
+        'reissue.senderOnly': 'يمكن لـ{role} فقط إعادة إصدار رمز PIN للاستلام',
+        'reissue.replaces': 'يحل رمز PIN جديد للاستلام محل الرمز الحالي الذي يتوقف عن العمل فورًا. شارك الرمز الجديد مع',
+        'reissue.codeHint': 'ظهر مع رمز PIN عند إنشاء الشحنة.',
+        'reissue.submit': 'إصدار PIN جديد',
+
+        'trash.alreadyInTrash': 'هذه الشحنة في المهملات بالفعل',
+        'trash.moved': 'نُقلت الشحنة إلى المهملات',
+        'trash.notInTrash': 'هذه الشحنة ليست في المهملات',
+        'trash.restored': 'استُعيدت الشحنة',
+        'trash.onlyTrashed': 'لا يمكن الحذف النهائي إلا للشحنات الموجودة في المهملات',
+        'trash.purged': 'حُذفت الشحنة نهائيًا',
+        'trash.deleteNotAllowed': 'يمكن لـ{sender} أو لـ{admin} فقط حذف شحنة',
+        'trash.restoreNotAllowed': 'يمكن لـ{sender} أو لـ{admin} فقط استعادة شحنة',
+        'trash.purgeNotAllowed': 'يمكن لـ{sender} أو لـ{admin} فقط حذف شحنة نهائيًا',
+        'trash.hint': { one: 'تُحفظ الشحنات المحذوفة هنا يومًا واحدًا ثم تُحذف نهائيًا. يمكنك تغيير ذلك في الإعدادات.', two: 'تُحفظ الشحنات المحذوفة هنا يومين ثم تُحذف نهائيًا. يمكنك تغيير ذلك في الإعدادات.', few: 'تُحفظ الشحنات المحذوفة هنا {count} أيام ثم تُحذف نهائيًا. يمكنك تغيير ذلك في الإعدادات.', other: 'تُحفظ الشحنات المحذوفة هنا {count} يومًا ثم تُحذف نهائيًا. يمكنك تغيير ذلك في الإعدادات.' },
+        'trash.empty': 'المهملات فارغة.',
+        'trash.dates': 'حُذفت {deleted}، وتُزال {purged}',
+        'trash.details': 'التفاصيل',
+        'trash.restore': 'استعادة',
+        'trash.purge': 'حذف نهائي',
+        'trash.inTrash': 'في المهملات',
+        'trash.since': 'منذ {deleted}، وتُحذف نهائيًا {purged}',
+        'trash.movedItem': 'نُقل «{item}» إلى المهملات',
+        'trash.confirmPurge': 'حذف «{item}» نهائيًا؟ لا يمكن استرداد سجله ورمز PIN والصور.',
+        'trash.confirmDelete': { one: 'نقل «{item}» إلى المهملات؟ يمكن استعادته خلال يوم واحد.', two: 'نقل «{item}» إلى المهملات؟ يمكن استعادته خلال يومين.', few: 'نقل «{item}» إلى المهملات؟ يمكن استعادته خلال {count} أيام.', other: 'نقل «{item}» إلى المهملات؟ يمكن استعادته خلال {count} يومًا.' },
+        'trash.confirmInTransit': 'هذا الغرض قيد النقل: إنه لدى {name} الآن. لا يمكن تسجيل أي تسليم أو استلام ما دام في المهملات. هل تريد حذفه على أي حال؟',
+
+        'contacts.notFound': 'جهة الاتصال غير موجودة',
+        'contacts.deleted': 'حُذفت جهة الاتصال',
+        'contacts.nameRequired': 'تحتاج جهة الاتصال إلى اسم',
+        'contacts.duplicate': '{name} موجود بالفعل في جهات الاتصال',
+        'contacts.badEmail': 'أدخل عنوان بريد إلكتروني صالحًا',
+        'contacts.badPhone': 'أدخل رقم هاتف صالحًا',
+        'contacts.roleRequired': 'اختر دورًا افتراضيًا',
+        'contacts.added': 'أُضيف {name}',
+        'contacts.updated': 'حُدّث {name}',
+        'contacts.save': 'حفظ التغييرات',
+        'contacts.add': 'إضافة جهة اتصال',
+        'contacts.empty': 'لا توجد جهات اتصال بعد. تُحفظ هنا أيضًا الأسماء المُدخلة عند إنشاء شحنة.',
+        'contacts.fulfillments': 'الشحنات',
+        'contacts.confirmDelete': 'حذف {name}؟ تحتفظ الشحنات بالاسم لكنها لا تبقى مرتبطة بجهة الاتصال.',
+        'contacts.defaultRole': 'الدور الافتراضي',
+        'contacts.email': 'البريد الإلكتروني',
+        'contacts.phone': 'الهاتف',
+        'contacts.showFulfillments': 'عرض شحنات {name}',
+        'contacts.name': 'الاسم',
+        'contacts.namePlaceholder': 'الاسم الكامل',
+        'contacts.emailOptional': 'البريد الإلكتروني (اختياري)',
+        'contacts.emailPlaceholder': 'name@example.com',
+        'contacts.phoneOptional': 'الهاتف (اختياري)',
+        'contacts.phonePlaceholder': '+971 50 000 0000',
+        'contacts.defaultRoleLabel': 'الدور الافتراضي',
+        'contacts.roleHint': 'تُقترح جهات الاتصال ذات هذا الدور أولًا في الحقل المطابق من نموذج الإنشاء.',
+        'contacts.new': 'جهة اتصال جديدة',
+
+        'validate.missingId': 'المعرّف مفقود',
+        'validate.badId': 'معرّف غير صالح "{id}"، يُتوقع معرّف مثل FUL-…',
+        'validate.unknownStatus': 'حالة غير معروفة «{status}»',
+        'validate.passwordHash': 'بصمة كلمة المرور ليست ملخص SHA-256 بالنظام الست عشري',
+        'validate.recoveryHash': 'بصمة رمز الاسترداد ليست ملخص SHA-256 بالنظام الست عشري',
+        'validate.createdAt': 'تاريخ إنشاء غير صالح',
+        'validate.deletedAt': 'تاريخ حذف غير صالح',
+        'validate.deadline': 'موعد غير صالح',
+        'validate.items': 'تحتاج الأغراض إلى اسم وكمية لا تقل عن 1، وألا يتجاوز المستلَم الكمية',
+        'validate.route': 'يحتاج المسار إلى مرسل ووسيط واحد على الأقل ومستلم',
+        'validate.holder': 'الحائز الحالي ليس جزءًا من المسار',
+        'validate.holderStatus': 'الحالة «{status}» لا تطابق من يحمل الغرض',
+        'validate.missingLog': 'سجل التدقيق مفقود',
+        'validate.entryStage': 'إدخال السجل {entry} له مرحلة غير معروفة «{stage}»',
+        'validate.entryText': 'ينقص إدخال السجل {entry} العنوان أو الوصف',
+        'validate.entryMessage': 'رسالة إدخال السجل {entry} غير سليمة',
+        'validate.entryHash': 'بصمة إدخال السجل {entry} غير سليمة',
+        'validate.entryAttachment': 'مرفق إدخال السجل {entry} غير سليم',
+        'validate.notObject': 'السجل ليس كائنًا',
+
+        'backup.notJson': 'الملف ليس JSON صالحًا',
+        'backup.wrongFormat': 'هذا الملف ليس نسخة احتياطية من تطبيق تسليم الأغراض',
+        'backup.unsupportedVersion': 'هذا الإصدار من التطبيق لا يدعم إصدار النسخة الاحتياطية {version}',
+        'backup.unreadable': 'تعذّرت قراءة السجل',
+        'backup.duplicateId': 'يظهر المعرّف نفسه في موضع سابق من الملف',
+        'backup.chooseFile': 'اختر ملف نسخة احتياطية أولًا',
+        'backup.record': 'السجل {index}',
+        'backup.recordWithId': 'السجل {index} ({id})',
+        'backup.nothing': 'لا شيء للاستيراد.',
+        'backup.confirmReplace': { one: 'استبدال كل الشحنات ({current}) في هذا المتصفح بالشحنة الصالحة الوحيدة من النسخة الاحتياطية؟', two: 'استبدال كل الشحنات ({current}) في هذا المتصفح بالشحنتين الصالحتين من النسخة الاحتياطية؟', few: 'استبدال كل الشحنات ({current}) في هذا المتصفح بـ{count} شحنات صالحة من النسخة الاحتياطية؟', other: 'استبدال كل الشحنات ({current}) في هذا المتصفح بـ{count} شحنة صالحة من النسخة الاحتياطية؟' },
+        'backup.imported': { one: 'استُورد {count} من {total} سجلات.', other: 'استُورد {count} من {total} سجلات.' },
+        'backup.summary': 'أُضيف {added}، وحُدّث {updated}، وبقي {kept} كما هو.',
+        'backup.summaryReplace': 'أُضيف {added}، وحُدّث {updated}، وبقي {kept} كما هو، وأُزيل {removed}.',
+        'backup.conflicts': 'كانت حالة {count} هنا مختلفة عنها في النسخة الاحتياطية.',
+        'backup.skipped': 'تُخطّي:',
+        'backup.failed': 'تعذّر الحفظ:',
+        'backup.logInvalid': 'تعذّر التحقق من سجل التدقيق الخاص به. {problem}',
+        'backup.logDiverged': { zero: 'سجل التدقيق الخاص به لا يكمل السجل الموجود هنا', one: 'سجل التدقيق الخاص به لا يكمل الإدخال المسجّل هنا', two: 'سجل التدقيق الخاص به لا يكمل الإدخالين المسجّلين هنا', few: 'سجل التدقيق الخاص به لا يكمل الإدخالات الـ{count} المسجّلة هنا', other: 'سجل التدقيق الخاص به لا يكمل الإدخالات الـ{count} المسجّلة هنا' },
+        'backup.rejected': 'رُفضت في فحص سجل التدقيق (احتُفظ بالنسخة الموجودة هنا):',
+        'backup.title': 'النسخ الاحتياطي والاستعادة',
+        'backup.hint': 'تحتوي النسخ الاحتياطية على كل الشحنات مع سجل التدقيق وبصمة كلمة المرور. لا تُصدَّر رموز PIN للاستلام نفسها أبدًا.',
+        'backup.export': 'تصدير نسخة احتياطية',
+        'backup.file': 'ملف النسخة الاحتياطية',
+        'backup.mode': 'وضع الاستيراد',
+        'backup.merge': 'دمج حسب المعرّف',
+        'backup.replace': 'استبدال كل شيء',
+        'backup.conflictLabel': 'عندما توجد شحنة هنا بحالة مختلفة',
+        'backup.newest': 'الاحتفاظ بالنسخة الأحدث تحديثًا',
+        'backup.keepLocal': 'الاحتفاظ بالنسخة الموجودة في هذا المتصفح',
+        'backup.useImported': 'استخدام النسخة الموجودة في النسخة الاحتياطية',
+        'backup.import': 'استيراد نسخة احتياطية',
+
+        'person.sent': 'المُرسَلة',
+        'person.sentEmpty': 'لم يرسل شيئًا.',
+        'person.holding': 'يحملها بصفته وسيطًا',
+        'person.holdingEmpty': 'لا يحمل شيئًا الآن.',
+        'person.receiving': 'بانتظار الاستلام',
+        'person.receivingEmpty': 'لا ينتظر شيئًا.',
+
+        'scanner.cameraDenied': 'رُفض الوصول إلى الكاميرا. حمّل صورة لرمز QR أو اكتب الرمز.',
+        'scanner.noCamera': 'لم يُعثر على كاميرا في هذا الجهاز. حمّل صورة لرمز QR.',
+        'scanner.cameraFailed': 'تعذّر تشغيل الكاميرا. حمّل صورة لرمز QR.',
+        'scanner.noImage': 'لم تُحدَّد أي صورة',
+        'scanner.badImageType': 'يُرجى اختيار صورة PNG أو JPEG لرمز QR',
+        'scanner.unreadable': 'تعذّرت قراءة رمز QR من هذه الصورة. جرّب صورة أوضح وإضاءة أفضل.',
+        'scanner.notAnImage': 'تعذّر فتح هذا الملف كصورة',
+        'scanner.cameraUnsupported': 'لا يستطيع هذا المتصفح الوصول إلى الكاميرا. حمّل صورة لرمز QR أو اكتب الرمز.',
+        'scanner.stopCamera': 'إيقاف الكاميرا',
+        'scanner.useCamera': 'استخدام الكاميرا',
+        'scanner.inTrash': 'هذه الشحنة في المهملات. اطلب من المرسل استعادتها',
+        'scanner.item': 'الغرض: {item}',
+        'scanner.alreadyStatus': 'هذه الشحنة {status} بالفعل',
+        'scanner.noDecoder': 'لا يدعم هذا المتصفح قراءة رموز QR. اكتب الرمز بدلًا من ذلك.',
+        'scanner.title': 'مسح رمز QR',
+        'scanner.intro': 'امسح رمز QR بالكاميرا أو حمّل صورة له أو الصق محتواه لتأكيد الاستلام:',
+        'scanner.upload': 'تحميل صورة QR',
+        'scanner.contents': 'محتوى رمز QR',
+        'scanner.contentsPlaceholder': 'الصق النص المشفّر في رمز QR',
+        'scanner.photo': 'صورة الحالة (اختياري)',
+        'scanner.photoHint': 'تُلتقط قبل التأكيد، كسجل لحالة الغرض عند وصوله',
+        'scanner.confirm': 'تأكيد الاستلام',
+
+        'sync.httpError': 'ردّ خادم المزامنة بالرمز {status}',
+        'sync.badResponse': 'لم يُجب خادم المزامنة بصيغة JSON',
+        'sync.unreachable': 'تعذّر الوصول إلى خادم المزامنة ({error}). تُعرض الشحنات المحفوظة في هذا المتصفح للقراءة فقط حتى يعود الخادم.',
+        'sync.readOnly': 'لا يمكن حفظ التغييرات ما دام خادم المزامنة غير متاح',
+        'sync.loadFailed': 'تعذّر تحميل الشحنات ({error}). أعد تحميل الصفحة للمحاولة مرة أخرى.',
+
+        'notifications.overdueTitle': 'متأخرة: {item}',
+        'notifications.overdueBody': 'كان موعد {deadline} {due}',
+        'notifications.unsupported': 'لا يدعم هذا المتصفح الإشعارات.',
+        'notifications.granted': 'ستتلقى إشعارًا عند فوات موعد أثناء فتح التطبيق.',
+        'notifications.denied': 'الإشعارات محظورة. اسمح بها في إعدادات الموقع في متصفحك لتلقي تنبيهات التأخير.',
+        'notifications.default': 'احصل على إشعار من المتصفح عند فوات موعد أثناء فتح التطبيق.',
+
+        'routes.contactGone': 'لم تعد جهة الاتصال هذه موجودة.',
+        'routes.unknown': 'لا يؤدي هذا الرابط إلى صفحة في التطبيق.',
+        'routes.fulfillmentGone': 'لم يُعثر على الشحنة {id}. ربما حُذفت أو لم تُزامَن مع هذا الجهاز بعد.',
+        'routes.badDropOffLink': 'رابط التسليم هذا غير صالح. اطلب رابطًا جديدًا من المرسل.',
+
+        'result.error': 'خطأ:',
+        'result.success': 'تم بنجاح!',
+
+        'settings.badRetention': 'احتفظ بالشحنات المحذوفة من يوم واحد إلى {max} يومًا',
+        'settings.badPinLength': 'يمكن أن يتكوّن رمز PIN من {min} إلى {max} محارف',
+        'settings.syncFailed': 'تعذّر الوصول إلى خادم المزامنة: {error}',
+        'settings.syncUrl': 'عنوان خادم المزامنة',
+        'settings.syncUrlPlaceholder': 'مثال: http://localhost:8787',
+        'settings.syncHint': 'شارك الشحنات بين الأجهزة عبر خادم مزامنة. اتركه فارغًا لحفظها في هذا المتصفح فقط. لا تُرفع الشحنات المحفوظة هنا مسبقًا.',
+        'settings.pinLength': 'طول رمز PIN للاستلام',
+        'settings.pinCharset': 'محارف رمز PIN',
+        'settings.pinHint': 'ينطبق على رموز PIN الصادرة من الآن فصاعدًا. تبقى الرموز الحالية صالحة.',
+        'settings.retention': 'مدة الاحتفاظ بالشحنات المحذوفة (بالأيام)',
+        'settings.retentionHint': 'تُحذف الشحنات في المهملات نهائيًا، مع سجلها وصورها، بعد بقائها فيها هذه المدة.',
+        'settings.notifications': 'إشعارات التأخير',
+        'settings.enableNotifications': 'تفعيل الإشعارات',
+        'settings.qrKey': 'مفتاح QR لهذا الجهاز',
+        'settings.copyQrKey': 'نسخ المفتاح',
+        'settings.trustedKeys': 'مفاتيح QR الموثوقة',
+        'settings.trustedKeysPlaceholder': 'مفتاح واحد في كل سطر',
+        'settings.trustedKeysHint': 'لا تُقبل رموز QR إلا إذا وقّعها هذا الجهاز أو جهاز مدرج مفتاحه هنا. الصق مفتاح كل جهاز يعرض الرموز في الأجهزة التي تمسحها.',
+        'settings.adminPin': 'رمز المسؤول',
+        'settings.adminPinHint': 'مطلوب للتعديلات اليدوية على هذا الجهاز. اتركه فارغًا للإبقاء على الرمز الحالي.',
+        'settings.adminPinCurrent': 'رمز المسؤول الحالي',
+        'settings.badAdminPin': 'يجب أن يتكون رمز المسؤول من {min} أحرف على الأقل',
+        'settings.save': 'حفظ الإعدادات',
+
+        'deliveries.queueEmpty': 'لا شيء بانتظار الإرسال.',
+        'deliveries.failedAfter': { one: 'فشل بعد محاولة واحدة: {error}', two: 'فشل بعد محاولتين: {error}', few: 'فشل بعد {count} محاولات: {error}', other: 'فشل بعد {count} محاولة: {error}' },
+        'deliveries.sending': 'جارٍ الإرسال…',
+        'deliveries.retrying': 'فشلت المحاولة {attempt} ({error}). ستُعاد المحاولة {time}',
+        'deliveries.retry': 'إعادة المحاولة الآن',
+        'deliveries.discard': 'تجاهل',
+        'deliveries.logEmpty': 'لا توجد عمليات إرسال بعد.',
+        'deliveries.attempt': 'المحاولة {attempt}',
+        'deliveries.outcome.delivered': 'أُرسل',
+        'deliveries.outcome.retrying': 'ستُعاد المحاولة',
+        'deliveries.outcome.failed': 'فشل',
+        'deliveries.waiting': 'قيد الانتظار والفاشلة',
+        'deliveries.history': 'السجل',
+        'deliveries.historyHint': 'آخر {count} محاولة، الأحدث أولًا.',
+        'deliveries.title': 'سجل الإرسال',
+
+        'dashboard.count': { zero: 'لا شحنات', one: 'شحنة واحدة', two: 'شحنتان', few: '{count} شحنات', other: '{count} شحنة' },
+        'dashboard.filteredCount': { one: 'عرض {count} من {total} شحنة', other: 'عرض {count} من {total} شحنة' },
+        'dashboard.noMatches': 'لا توجد شحنات تطابق عوامل التصفية هذه.',
+
+        'card.sender': 'المرسل:',
+        'card.via': 'عبر:',
+        'card.recipient': 'المستلم:',
+
+        'detail.information': 'المعلومات',
+        'detail.reason': 'السبب',
+        'detail.returnRequested': 'طُلبت الإعادة',
+        'detail.verify': 'التحقق من السلامة',
+        'detail.purge': 'حذف نهائي',
+        'detail.showReturnQr': 'عرض رمز QR للإعادة',
+        'detail.viewQr': 'عرض رمز QR',
+        'detail.clearLock': 'إزالة قفل الاستلام',
+        'detail.reissuePin': 'إعادة إصدار PIN',
+        'detail.collectionInstruction': 'لا يسجّل الاستلام إلا {recipient} أو آخر وسيط، برمز QR وكلمة المرور معًا.',
+        'clearLock.intro': 'أُدخل رمز PIN خاطئ مرات كثيرة. إزالة القفل تتيح له المحاولة مجددًا:',
+
+        'lock.attempts': '{count} من {max}',
+        'lock.attemptsLocked': '{count} من {max} (مقفل)',
+        'lock.attemptsRetry': '{count} من {max} (أعد المحاولة بعد {time})',
+        'lock.failedAttempts': 'محاولات PIN الفاشلة',
+
+        'timeline.pending': 'قيد الانتظار',
+        'timeline.by': 'بواسطة {role}',
+        'timeline.statusChange': '{from} ← {to}',
+
+        'app.title': 'متتبّع تسليم الأغراض',
+
+        'header.logo': 'تسليم الأغراض',
+        'header.actingAs': 'التصرف بصفة',
+        'header.language': 'اللغة',
+        'header.scan': 'مسح QR',
+        'header.analytics': 'الإحصاءات',
+        'header.contacts': 'جهات الاتصال',
+        'header.trash': 'المهملات',
+        'header.settings': 'الإعدادات',
+        'header.newFulfillment': 'شحنة جديدة',
+
+        'update.available': 'يتوفر إصدار جديد من التطبيق.',
+        'update.reload': 'إعادة التحميل',
+
+        'filters.searchPlaceholder': 'ابحث في الأغراض والمعرّفات والأشخاص',
+        'filters.search': 'البحث في الشحنات',
+        'filters.byStatus': 'التصفية حسب الحالة',
+        'filters.from': 'من',
+        'filters.to': 'إلى',
+        'filters.sort': 'الترتيب',
+        'filters.groupBy': 'التجميع حسب',
+        'filters.overdueOnly': 'المتأخرة فقط',
+        'filters.clear': 'مسح عوامل التصفية',
+
+        'empty.title': 'لا توجد شحنات بعد',
+        'empty.hint': 'أنشئ أول شحنة أغراض للبدء',
+
+        'reason.recorded': 'يُسجَّل السبب في السجل الزمني.'
+    }
+};
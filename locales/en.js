@@ -0,0 +1,704 @@
+// English message catalog. Keys are shared by every locale; anything missing
+// here falls back to English. Placeholders such as {name} are filled in by t(),
+// and plural messages pick a form with Intl.PluralRules.
+window.LOCALES = window.LOCALES || {};
+window.LOCALES.en = {
+    name: 'English',
+    dir: 'ltr',
+    messages: {
+        'pinCharset.digits': 'Digits only',
+        'pinCharset.alphanumeric': 'Letters and digits',
+
+        'status.pending': 'Pending',
+        'status.in-transit': 'In Transit',
+        'status.partially-collected': 'Partially Collected',
+        'status.completed': 'Completed',
+        'status.cancelled': 'Cancelled',
+        'status.returned': 'Returned to Sender',
+        'status.disputed': 'Disputed',
+
+        'statusInText.pending': 'pending',
+        'statusInText.in-transit': 'in transit',
+        'statusInText.partially-collected': 'partially collected',
+        'statusInText.completed': 'completed',
+        'statusInText.cancelled': 'cancelled',
+        'statusInText.returned': 'returned to sender',
+        'statusInText.disputed': 'disputed',
+
+        'event.fulfillment.created': 'Created',
+        'event.fulfillment.dropped-off': 'Dropped off',
+        'event.fulfillment.partially-collected': 'Partially collected',
+        'event.fulfillment.collected': 'Collected',
+        'event.fulfillment.route-changed': 'Route changed',
+        'event.fulfillment.qr-regenerated': 'QR code regenerated',
+        'event.fulfillment.overdue': 'Deadline missed',
+        'event.fulfillment.cancelled': 'Cancelled',
+        'event.fulfillment.return-requested': 'Return requested',
+        'event.fulfillment.returned': 'Returned',
+        'event.fulfillment.disputed': 'Disputed',
+        'event.fulfillment.overridden': 'Manual override',
+        'event.fulfillment.deleted': 'Moved to trash',
+        'event.fulfillment.restored': 'Restored',
+        'event.fulfillment.purged': 'Deleted for good',
+        'event.collection.pin-failed': 'Wrong collection PIN',
+        'event.collection.lock-cleared': 'Collection lock cleared',
+        'event.collection.pin-reissued': 'PIN reissued',
+        'event.test': 'Test event',
+
+        'outbox.kind.webhook': 'Webhook',
+        'outbox.kind.email': 'Email relay',
+        'outbox.kindRequired': 'Choose a webhook or an email relay',
+        'outbox.badUrl': 'Enter the full URL, starting with http:// or https://',
+        'outbox.badEmail': 'Enter the email address to send to',
+        'outbox.endpointAdded': '{kind} added',
+        'outbox.endpointRemoved': 'Endpoint removed',
+        'outbox.endpointNotFound': 'Endpoint not found',
+        'outbox.testQueued': 'Test event queued',
+        'outbox.timeout': { one: 'No response within {count} second', other: 'No response within {count} seconds' },
+        'outbox.httpError': 'Receiver responded with {status}',
+        'outbox.urlPlaceholder': 'e.g., {url}',
+        'outbox.noEndpoints': 'No endpoints yet.',
+        'outbox.allEvents': 'All events',
+        'outbox.kindTo': '{kind} to {to}',
+        'outbox.sendTest': 'Send Test',
+        'outbox.seeLog': '{message}. See the delivery log for the result.',
+        'outbox.confirmRemove': 'Remove this endpoint? Deliveries still waiting for it are dropped.',
+        'outbox.removedEndpoint': 'Removed endpoint',
+        'outbox.title': 'Webhooks & Email',
+        'outbox.hint': 'Send an event to a webhook or an email relay whenever a fulfillment changes in this browser. Deliveries that fail are retried, and kept in the delivery log.',
+        'outbox.sendTo': 'Send To',
+        'outbox.emailAddress': 'Email Address',
+        'outbox.url': 'URL',
+        'outbox.events': 'Events',
+        'outbox.eventsHint': 'Leave them all unticked to send every event.',
+        'outbox.add': 'Add Endpoint',
+
+        'email.status': 'Status: {status}',
+        'email.route': 'Route: {route}',
+        'email.holder': 'Currently with: {name}',
+        'email.time': 'Time: {time}',
+        'email.subject': '[Item Fulfillment] {event}: {item}',
+
+        'attachment.signature': 'Signature',
+        'attachment.photo': 'Photo',
+        'attachment.condition': 'Condition photo',
+        'attachment.invalid': 'Invalid attachment',
+        'attachment.unsupported': 'This browser cannot store attachments',
+        'attachment.aborted': 'Attachment storage was aborted',
+        'attachment.missing': 'Not on this device',
+        'attachment.otherDevice': '{name} was captured on another device',
+        'attachment.tampered': '{name} does not match the hash in the audit log',
+        'attachment.tooLarge': '{name} is larger than {size}',
+        'attachment.saveFailed': 'Attachments could not be saved: {error}',
+        'attachment.label': '{kind}: {name}',
+
+        'proof.qr': 'QR code',
+        'proof.pin': 'PIN',
+        'proof.manual': 'Manual override',
+        'proof.reason': 'Written reason',
+        'proof.recovery-code': 'Recovery code',
+
+        'sort.created-desc': 'Newest first',
+        'sort.created-asc': 'Oldest first',
+        'sort.updated': 'Recently updated',
+        'sort.stage-time': 'Longest in current stage',
+        'sort.deadline': 'Next deadline first',
+
+        'group.none': 'No grouping',
+        'group.holder': 'Current holder',
+        'group.sender': 'Sender',
+        'group.recipient': 'Recipient',
+
+        'analytics.bucket.day': 'Per day',
+        'analytics.bucket.week': 'Per week',
+        'analytics.badRange': 'Choose a start date on or before the end date.',
+        'analytics.statDetail': { one: 'median · p90 {p90} · {count} fulfillment', other: 'median · p90 {p90} · {count} fulfillments' },
+        'analytics.noData': 'No data',
+        'analytics.throughput': 'Created and Completed',
+        'analytics.durations': 'Stage Durations',
+        'analytics.toDropOff': 'Creation → first drop-off',
+        'analytics.toCollection': 'First drop-off → collection',
+        'analytics.slowest': 'Slowest Intermediaries',
+        'analytics.statusShare': 'Status Share',
+        'analytics.weekOf': 'Week of {date}',
+        'analytics.barTitle': '{period}: {created} created, {completed} completed',
+        'analytics.throughputLabel.day': 'Fulfillments created and completed per day',
+        'analytics.throughputLabel.week': 'Fulfillments created and completed per week',
+        'analytics.created': 'Created',
+        'analytics.completed': 'Completed',
+        'analytics.noSlowest': 'No intermediary has handed an item on in this range yet.',
+        'analytics.slowTitle': { one: '{name}: median {median}, p90 {p90} over {count} handoff', other: '{name}: median {median}, p90 {p90} over {count} handoffs' },
+        'analytics.slowestLabel': 'Median time each intermediary held the item',
+        'analytics.slowestHint': 'Median time from receiving the item to handing it on, with the number of handoffs.',
+        'analytics.noneCreated': 'No fulfillments were created in this range.',
+        'analytics.shareTitle': '{status}: {count}',
+        'analytics.shareLabel': 'Share of fulfillments in each status',
+        'analytics.shareLegend': '{status}: {count} ({share})',
+        'analytics.show': 'Show',
+
+        'print.size.a6': 'A6 label (105 × 148 mm)',
+        'print.size.a4': 'A4 page (210 × 297 mm)',
+        'print.labelTitle': 'Print Handoff Label',
+        'print.receiptTitle': 'Print Receipt',
+        'print.returnInstructions': '{sender} scans this code with "Scan QR" in Item Fulfillment when the parcel is back.',
+        'print.dropOffInstructions': '{receiver} scans this code with "Scan QR" in Item Fulfillment on receiving the parcel from {from}.',
+        'print.items': 'Items',
+        'print.sender': 'Sender',
+        'print.intermediary': 'Intermediary',
+        'print.recipient': 'Recipient',
+        'print.validity': 'The code works once and is valid until {time}.',
+        'print.pinHint': '{recipient} collects the item with their {format} password.',
+        'print.completionReceipt': 'Completion receipt',
+        'print.receipt': 'Receipt',
+        'print.fulfillmentId': 'Fulfillment ID',
+        'print.status': 'Status',
+        'print.created': 'Created',
+        'print.route': 'Route',
+        'print.item': 'Item',
+        'print.sku': 'SKU / Serial',
+        'print.quantity': 'Quantity',
+        'print.collected': 'Collected',
+        'print.timeline': 'Timeline',
+        'print.time': 'Time',
+        'print.event': 'Event',
+        'print.by': 'By',
+        'print.footer': { one: 'Printed {time}. Audit log of {count} entry.', other: 'Printed {time}. Audit log of {count} entries.' },
+        'print.footerWithHash': { one: 'Printed {time}. Audit log of {count} entry, last entry hash {hash}.', other: 'Printed {time}. Audit log of {count} entries, last entry hash {hash}.' },
+        'print.paperSize': 'Paper Size',
+        'print.pdfHint': 'To get a PDF, choose "Save as PDF" as the printer.',
+        'print.print': 'Print',
+
+        'qrModal.returnKicker': 'Return to sender',
+        'qrModal.hopKicker': 'Handoff {hop} of {total}',
+        'qrModal.returnTitle': 'QR Code for Return',
+        'qrModal.dropOffTitle': 'QR Code for Drop-Off',
+        'qrModal.returnHop': 'Return to sender.',
+        'qrModal.hop': 'Handoff {hop} of {total}.',
+        'qrModal.expiry': 'Valid until {time}.',
+        'qrModal.alt': 'QR code for {to} to scan when taking the item from {from}',
+        'qrModal.scanFrom': 'should scan this QR code when receiving the item from',
+        'qrModal.singleUse': 'This QR code can only be used once.',
+        'qrModal.download': 'Download QR Code',
+        'qrModal.printLabel': 'Print Label',
+
+        'password.reissuedTitle': 'New Collection Password',
+        'password.title': 'Collection Password',
+        'password.important': 'Important:',
+        'password.shareWith': 'Share this password with',
+        'password.soTheyCollect': 'so they can collect the item.',
+        'password.warning': 'The password and recovery code are shown only once. Make sure to save them!',
+        'password.item': 'Item:',
+        'password.recoveryCode': 'Recovery Code',
+        'password.recoveryHint': 'Keep this one yourself. If the password is lost, it lets you issue a new one with <strong>Reissue PIN</strong> in the fulfillment\'s details.',
+        'password.copy': 'Copy Password',
+        'password.copyRecovery': 'Copy Recovery Code',
+
+        'common.copied': 'Copied!',
+        'common.edit': 'Edit',
+        'common.delete': 'Delete',
+        'common.remove': 'Remove',
+        'common.moveUp': 'Move up',
+        'common.moveDown': 'Move down',
+        'common.cancel': 'Cancel',
+        'common.back': 'Back',
+        'common.close': 'Close',
+        'common.undo': 'Undo',
+
+        'collect.passwordPlaceholder': 'Enter {format} password',
+        'collect.handedOver': 'Handed over',
+        'collect.outstanding': '{remaining} of {quantity} outstanding',
+        'collect.passwordRequired': 'The collection password is required',
+        'collect.badQuantities': 'Enter how many of each item were handed over, up to the number still outstanding',
+        'collect.passwordUsed': 'Password has already been used',
+        'collect.locked': 'Collection is locked after too many failed attempts',
+        'collect.coolingDown': 'Too many failed attempts, please wait before trying again',
+        'collect.wrongPassword': 'Incorrect password',
+        'collect.lockCleared': 'Collection lock cleared',
+        'collect.clearLockSenderOnly': 'Only the {role} can clear the collection lock',
+        'collect.codeRead': 'QR code read.',
+        'collect.enterPassword': 'Now enter the collection password.',
+        'collect.lockedNotice': { one: 'Collection is locked after {count} failed attempt. Only {sender} (Person A) can clear the lock.', other: 'Collection is locked after {count} failed attempts. Only {sender} (Person A) can clear the lock.' },
+        'collect.retryNotice': { one: 'Too many failed attempts. Try again after {time} ({count} attempt left).', other: 'Too many failed attempts. Try again after {time} ({count} attempts left).' },
+        'collect.attemptsLeft': { one: '{count} attempt left before collection is locked.', other: '{count} attempts left before collection is locked.' },
+        'collect.scanFirst': 'Fulfillment not found. Please scan the QR code.',
+        'collect.success': 'Authentication Successful!',
+        'collect.verifiedFor': 'Person C verified for: {item}',
+        'collect.partialRecorded': { one: 'Partial collection recorded, {count} item still in transit', other: 'Partial collection recorded, {count} items still in transit' },
+        'collect.confirmed': 'Item collection confirmed',
+        'collect.failed': 'Authentication Failed:',
+        'collect.title': 'Collect Item - Two-Factor Authentication',
+        'collect.mustProvide': 'must provide <strong>both</strong> the QR code and password to collect the item.',
+        'collect.code': 'Fulfillment Code (from QR)',
+        'collect.codePlaceholder': 'e.g., FUL-XXXXX-XXXXX',
+        'collect.signature': 'Signature (optional)',
+        'collect.signatureHint': 'Person C signs with a finger, pen or mouse',
+        'collect.clearSignature': 'Clear',
+        'collect.photos': 'Photos (optional)',
+        'collect.submit': 'Verify & Collect',
+
+        'pinFormat.digits': '{length}-digit',
+        'pinFormat.alphanumeric': '{length}-character',
+
+        'role.sender': 'Sender (Person A)',
+        'role.intermediary': 'Intermediary',
+        'role.recipient': 'Recipient (Person C)',
+        'role.admin': 'Admin',
+
+        'transition.drop-off.button': 'Scan Drop-Off QR',
+        'transition.drop-off.cardButton': 'Drop Off',
+        'transition.drop-off.description': 'confirm a drop-off',
+        'transition.drop-off.statusMessage': 'This fulfillment is already completed',
+        'transition.drop-off.successMessage': 'Item receipt confirmed!',
+        'transition.collect.button': 'Collect Item',
+        'transition.collect.cardButton': 'Collect',
+        'transition.collect.description': 'collect the item',
+        'transition.collect.statusMessage': 'Item has not been dropped off yet',
+        'transition.collect.successMessage': 'Item collected successfully!',
+        'transition.cancel.button': 'Cancel Fulfillment',
+        'transition.cancel.reasonHint': 'The item has not been dropped off yet. Every drop-off QR code stops working.',
+        'transition.cancel.description': 'cancel the fulfillment',
+        'transition.cancel.statusMessage': 'Only fulfillments that have not been dropped off yet can be cancelled',
+        'transition.cancel.successMessage': 'Fulfillment cancelled',
+        'transition.request-return.button': 'Return to Sender',
+        'transition.request-return.reasonHint': 'The intermediary holding the item gets a return QR code, which the sender scans when the item is back.',
+        'transition.request-return.description': 'start a return',
+        'transition.request-return.statusMessage': 'Only items in transit can be returned',
+        'transition.request-return.successMessage': 'Return requested',
+        'transition.return.button': 'Scan Return QR',
+        'transition.return.cardButton': 'Receive Return',
+        'transition.return.description': 'confirm the return',
+        'transition.return.statusMessage': 'Only items in transit can be returned',
+        'transition.return.successMessage': 'Item returned to the sender',
+        'transition.dispute.button': 'Report a Problem',
+        'transition.dispute.reasonHint': 'Describe what was missing or damaged. The fulfillment is marked as disputed.',
+        'transition.dispute.description': 'dispute the collection',
+        'transition.dispute.statusMessage': 'Only completed fulfillments can be disputed',
+        'transition.dispute.successMessage': 'Dispute recorded',
+        'transition.override.button': 'Manual Override',
+        'transition.override.cardButton': 'Override',
+        'transition.override.description': 'override the status',
+        'transition.override.statusMessage': 'This fulfillment cannot be overridden',
+        'transition.override.successMessage': 'Status changed by manual override',
+        'transition.notAtLastHop': 'The item has not reached the last intermediary yet',
+        'transition.noReturn': 'No return has been requested',
+        'transition.scanDropOff': 'Scan the drop-off QR code to confirm receipt',
+        'transition.scanReturn': 'Scan the return QR code to confirm the item is back',
+        'transition.reasonRequired': 'A reason is required',
+        'transition.unsupportedProof': 'Unsupported proof',
+        'transition.beingReturned': 'The item is being returned to {sender}',
+        'transition.collectOnly': 'The item is with the last intermediary and can only be collected by {recipient}',
+        'transition.unknown': 'Unknown action: {action}',
+        'transition.notAllowed': 'Only the {allowed} can {action}',
+
+        'store.logAppendOnly': 'The audit log is append-only. Existing entries cannot be changed or removed',
+        'store.conflict': 'This fulfillment was just changed in another tab or on another device. Check its latest status and try again',
+        'store.saveFailed': 'The change could not be saved: {error}',
+        'store.notFound': 'Fulfillment not found',
+        'store.inTrash': 'This fulfillment is in the trash',
+        'store.isStatus': 'This fulfillment is {status}',
+
+        'verify.migrated': 'Carried over from the old timeline and not sealed yet',
+        'verify.unsealed': 'Entry is not sealed',
+        'verify.sequence': 'Entry is out of sequence',
+        'verify.brokenLink': 'The link to the previous entry is broken',
+        'verify.changed': 'The entry was changed after it was recorded',
+        'verify.statusMismatch': 'The status "{status}" does not match the last log entry',
+        'verify.intact': { one: 'All {count} log entry verified. The hash chain is intact.', other: 'All {count} log entries verified. The hash chain is intact.' },
+        'verify.failed': 'Integrity check failed',
+        'verify.entry': 'Entry {n}: ',
+
+        'log.qrRegenerated.title': 'QR Code Regenerated',
+        'log.qrRegenerated.description': '{sender} issued a new drop-off QR code for {holder} and revoked the previous one',
+        'log.created.title': 'Fulfillment Created',
+        'log.created.description': '{sender} initiated the transfer',
+        'log.routeChanged.title': 'Route Changed',
+        'log.routeChanged.description': '{sender} changed the route to {route}',
+        'log.overdue.title': 'Deadline Missed',
+        'log.overdue.description': '{deadline} is overdue ({source})',
+        'log.collected.title': 'Item Collected',
+        'log.collected.description': '{to} collects from {from}{confirmation}',
+        'log.droppedOff.title': 'Dropped Off with {to}',
+        'log.droppedOff.description': '{from} drops off with {to}',
+        'log.returnDue.title': 'Returned to Sender',
+        'log.returnDue.description': '{holder} hands the item back to {sender}',
+        'log.confirmedBy': ' (confirmed by {name})',
+        'log.remainingCollected.title': 'Remaining Items Collected',
+        'log.remainingCollected.description': '{recipient} collected {items}{confirmation}',
+        'log.partialCollection.title': 'Partial Collection',
+        'log.partialCollection.description': '{recipient} collected {items}{confirmation}. Still in transit: {outstanding}',
+        'log.override.title': 'Manual Override',
+        'log.override.description': 'Admin changed the status from {from} to {to}. Reason: {reason}',
+        'log.cancelled.title': 'Fulfillment Cancelled',
+        'log.cancelled.description': '{sender} cancelled the transfer. Reason: {reason}',
+        'log.returnRequested.title': 'Return Requested',
+        'log.returnRequested.description': '{requester} asked for the item to go back from {holder} to {sender}. Reason: {reason}',
+        'log.returned.title': 'Returned to Sender',
+        'log.returned.description': '{holder} handed the item back to {sender}',
+        'log.disputed.title': 'Collection Disputed',
+        'log.disputed.description': '{recipient} reported a problem with the collected items: {reason}',
+        'log.failedAttempt.title': 'Failed Collection Attempt',
+        'log.failedAttempt.description': 'Incorrect password entered (attempt {attempt} of {max})',
+        'log.failedAttemptLocked.title': 'Failed Collection Attempt',
+        'log.failedAttemptLocked.description': 'Incorrect password entered (attempt {attempt} of {max}). Collection is locked until {sender} clears it.',
+        'log.failedAttemptDelayed.title': 'Failed Collection Attempt',
+        'log.failedAttemptDelayed.description': { one: 'Incorrect password entered (attempt {attempt} of {max}). Next attempt allowed in {count} second.', other: 'Incorrect password entered (attempt {attempt} of {max}). Next attempt allowed in {count} seconds.' },
+        'log.lockCleared.title': 'Collection Lock Cleared',
+        'log.lockCleared.description': '{sender} reset the failed password attempts',
+        'log.pinReissued.title': 'Collection PIN Reissued',
+        'log.pinReissued.description': '{sender} issued a new collection PIN. The previous PIN and recovery code no longer work',
+        'log.deleted.title': 'Moved to Trash',
+        'log.deleted.description': '{role} deleted the fulfillment',
+        'log.restored.title': 'Restored from Trash',
+        'log.restored.description': '{role} restored the fulfillment',
+
+        'deadline.collection': 'Collection by {name}',
+        'deadline.dropOff': 'Drop-off with {name}',
+        'deadline.fromSla': 'default SLA',
+        'deadline.fromCreation': 'deadline set at creation',
+        'deadline.due': '{label} due {due}',
+        'deadline.overdue': 'Overdue',
+        'deadline.due-soon': 'Due soon',
+        'deadline.by': '{label} by {due}',
+        'deadline.byFromSla': '{label} by {due} (default SLA)',
+        'deadline.next': 'Next Deadline',
+
+        'holder.state': '{status} with {name}',
+
+        'qr.idNotToken': 'Fulfillment IDs cannot be used for drop-off. Scan the QR code from the sender instead',
+        'qr.invalid': 'This is not a valid fulfillment QR code',
+        'qr.notIssued': 'No QR code has been issued for this handoff',
+        'qr.badSignature': 'QR code was not signed by this device or a trusted one',
+        'qr.badTrustedKey': '{key} is not a valid QR key',
+        'qr.roleMismatch': 'This QR code does not match the code issued for this handoff',
+        'qr.used': 'QR code has already been used',
+        'qr.revoked': 'This QR code has been revoked. Ask the sender for the new one',
+        'qr.expired': 'This QR code has expired. Ask the sender to generate a new one',
+        'qr.notQRHop': 'This handoff does not use a QR code',
+        'qr.hopPassed': 'This handoff has already taken place',
+        'qr.regenerated': 'New QR code issued',
+        'qr.otherFulfillment': 'This QR code belongs to a different fulfillment',
+        'qr.isReturnCode': 'This is a return code. The sender scans it when the item comes back',
+        'qr.isDropOffCode': 'This is a drop-off code. Scan the return code instead',
+        'qr.senderOnly': 'Only the {role} can regenerate the QR code',
+        'qr.tooEarly': 'This QR code is for the handoff to {receiver}. The item has to reach {expected} first',
+
+        'create.noItems': 'Add at least one item',
+        'create.badItem': 'Every item needs a name and a quantity of at least 1',
+        'create.noIntermediary': 'Add at least one intermediary',
+        'create.unnamedCustodian': 'Every custodian needs a name',
+        'create.badDeadline': 'Deadlines must be valid dates in the future',
+        'create.deadlineOrder': 'The collection deadline must be after the drop-off deadline',
+        'create.deadlineHint': 'Without a deadline, each drop-off is due {dropOff} and collection {collection} after the previous handoff.',
+        'create.itemPlaceholder': 'e.g., Package, Document, Equipment',
+        'create.quantity': 'Quantity',
+        'create.skuPlaceholder': 'SKU / serial (optional)',
+        'create.hopPlaceholder': 'Name of intermediary',
+        'create.submit': 'Create Fulfillment',
+        'create.addItem': 'Add Item',
+        'create.sender': 'Person A (Sender)',
+        'create.senderPlaceholder': 'Name of sender',
+        'create.intermediaries': 'Intermediaries (in handoff order)',
+        'create.addIntermediary': 'Add Intermediary',
+        'create.recipient': 'Person C (Recipient)',
+        'create.recipientPlaceholder': 'Name of recipient',
+        'create.dropOffDeadline': 'Drop-Off Deadline (optional)',
+        'create.collectionDeadline': 'Collection Deadline (optional)',
+        'create.contactsHint': 'Names are matched to saved contacts; new names are saved as contacts.',
+
+        'route.needsIntermediary': 'The route needs at least one intermediary',
+        'route.unchanged': 'Route unchanged',
+        'route.updated': 'Route updated',
+        'route.senderOnly': 'Only the {role} can change the route',
+        'route.edit': 'Edit Route',
+        'route.intermediaryN': 'Intermediary {n}',
+        'route.waiting': 'Waiting',
+        'route.handedOver': 'Handed over {time}',
+        'route.collectedAt': 'Collected {time}',
+        'route.hasItem': 'Has the item',
+        'route.copyLinkTitle': 'Copy a link that opens {name}\'s step',
+        'route.link': 'Link',
+        'route.showQr': 'Show QR code',
+        'route.qr': 'QR',
+        'route.newQrTitle': 'Issue a new QR code',
+        'route.newQr': 'New QR',
+        'route.addPlaceholder': 'Add an intermediary before the recipient',
+        'route.addStop': 'Add Stop',
+        'route.arrow': '→',
+        'route.confirmNewQr': 'Issue a new drop-off QR code? The current one will stop working and {name} will need the new code.',
+        'route.linkCopied': 'Link for {name} copied',
+        'route.copyFailed': 'Could not copy the link. Copy it from here instead:\n{link}',
+
+        'override.reasonRequired': 'A reason is required for a manual override',
+        'override.chooseHolder': 'Choose who has the item now',
+        'override.title': 'Manual Override',
+        'override.skipsChecks': 'Overrides skip the QR code and password checks for',
+        'override.holder': 'Item Is Now With',
+        'override.reasonPlaceholder': 'e.g., Intermediary\'s phone was lost, drop-off confirmed by phone call',
+        'override.submit': 'Apply Override',
+        'override.adminPin': 'Admin PIN',
+        'override.adminPinRequired': 'Enter the admin PIN',
+        'override.wrongAdminPin': 'Incorrect admin PIN',
+        'override.noAdminPin': 'Set an admin PIN in Settings before making overrides',
+
+        'reissue.alreadyCollected': 'The item has already been collected',
+        'reissue.codeRequired': 'Enter the recovery code issued with the fulfillment',
+        'reissue.wrongCode': 'Incorrect recovery code',
+        'reissue.issued': 'New collection PIN issued',
+        'reissue.senderOnly': 'Only the {role} can reissue the collection PIN',
+        'reissue.replaces': 'a new collection PIN replaces the current one, which stops working at once. Share the new PIN with',
+        'reissue.codeHint': 'Shown with the PIN when the fulfillment was created.',
+        'reissue.submit': 'Issue New PIN',
+
+        'trash.alreadyInTrash': 'This fulfillment is already in the trash',
+        'trash.moved': 'Fulfillment moved to the trash',
+        'trash.notInTrash': 'This fulfillment is not in the trash',
+        'trash.restored': 'Fulfillment restored',
+        'trash.onlyTrashed': 'Only fulfillments in the trash can be deleted for good',
+        'trash.purged': 'Fulfillment deleted for good',
+        'trash.deleteNotAllowed': 'Only the {sender} or an {admin} can delete a fulfillment',
+        'trash.restoreNotAllowed': 'Only the {sender} or an {admin} can restore a fulfillment',
+        'trash.purgeNotAllowed': 'Only the {sender} or an {admin} can permanently delete a fulfillment',
+        'trash.hint': { one: 'Deleted fulfillments are kept here for {count} day and then removed for good. Change this in Settings.', other: 'Deleted fulfillments are kept here for {count} days and then removed for good. Change this in Settings.' },
+        'trash.empty': 'The trash is empty.',
+        'trash.dates': 'deleted {deleted}, removed {purged}',
+        'trash.details': 'Details',
+        'trash.restore': 'Restore',
+        'trash.purge': 'Delete forever',
+        'trash.inTrash': 'In Trash',
+        'trash.since': 'Since {deleted}, removed for good {purged}',
+        'trash.movedItem': 'Moved "{item}" to the trash',
+        'trash.confirmPurge': 'Delete "{item}" for good? Its history, PIN and photos cannot be recovered.',
+        'trash.confirmDelete': { one: 'Move "{item}" to the trash? It can be restored for {count} day.', other: 'Move "{item}" to the trash? It can be restored for {count} days.' },
+        'trash.confirmInTransit': 'This item is in transit: {name} has it right now. While it is in the trash no drop-off or collection can be recorded. Delete it anyway?',
+
+        'contacts.notFound': 'Contact not found',
+        'contacts.deleted': 'Contact deleted',
+        'contacts.nameRequired': 'A contact needs a name',
+        'contacts.duplicate': '{name} is already a contact',
+        'contacts.badEmail': 'Enter a valid email address',
+        'contacts.badPhone': 'Enter a valid phone number',
+        'contacts.roleRequired': 'Choose a default role',
+        'contacts.added': '{name} added',
+        'contacts.updated': '{name} updated',
+        'contacts.save': 'Save Changes',
+        'contacts.add': 'Add Contact',
+        'contacts.empty': 'No contacts yet. Names entered when creating a fulfillment are saved here too.',
+        'contacts.fulfillments': 'Fulfillments',
+        'contacts.confirmDelete': 'Delete {name}? Fulfillments keep the name but are no longer linked to the contact.',
+        'contacts.defaultRole': 'Default Role',
+        'contacts.email': 'Email',
+        'contacts.phone': 'Phone',
+        'contacts.showFulfillments': 'Show {name}\'s fulfillments',
+        'contacts.name': 'Name',
+        'contacts.namePlaceholder': 'Full name',
+        'contacts.emailOptional': 'Email (optional)',
+        'contacts.emailPlaceholder': 'name@example.com',
+        'contacts.phoneOptional': 'Phone (optional)',
+        'contacts.phonePlaceholder': '+1 555 0100',
+        'contacts.defaultRoleLabel': 'Default Role',
+        'contacts.roleHint': 'Contacts with this role are suggested first in the matching field of the create form.',
+        'contacts.new': 'New Contact',
+
+        'validate.missingId': 'Missing ID',
+        'validate.badId': 'Invalid ID "{id}", expected one like FUL-…',
+        'validate.unknownStatus': 'Unknown status "{status}"',
+        'validate.passwordHash': 'The password hash is not a SHA-256 hex digest',
+        'validate.recoveryHash': 'The recovery code hash is not a SHA-256 hex digest',
+        'validate.createdAt': 'Invalid creation date',
+        'validate.deletedAt': 'Invalid deletion date',
+        'validate.deadline': 'Invalid deadline',
+        'validate.items': 'Items need a name, a quantity of at least 1 and no more collected than the quantity',
+        'validate.route': 'The route needs a sender, at least one intermediary and a recipient',
+        'validate.holder': 'The current holder is not part of the route',
+        'validate.holderStatus': 'Status "{status}" does not match who holds the item',
+        'validate.missingLog': 'Missing audit log',
+        'validate.entryStage': 'Log entry {entry} has an unknown stage "{stage}"',
+        'validate.entryText': 'Log entry {entry} is missing its title or description',
+        'validate.entryMessage': 'Log entry {entry} has a malformed message',
+        'validate.entryHash': 'Log entry {entry} has a malformed hash',
+        'validate.entryAttachment': 'Log entry {entry} has a malformed attachment',
+        'validate.notObject': 'The record is not an object',
+
+        'backup.notJson': 'The file is not valid JSON',
+        'backup.wrongFormat': 'This file is not an Item Fulfillment backup',
+        'backup.unsupportedVersion': 'Backup version {version} is not supported by this version of the app',
+        'backup.unreadable': 'The record could not be read',
+        'backup.duplicateId': 'The same ID appears earlier in the file',
+        'backup.chooseFile': 'Choose a backup file first',
+        'backup.record': 'Record {index}',
+        'backup.recordWithId': 'Record {index} ({id})',
+        'backup.nothing': 'Nothing to import.',
+        'backup.confirmReplace': { one: 'Replace all {current} fulfillments in this browser with the {count} valid one from the backup?', other: 'Replace all {current} fulfillments in this browser with the {count} valid ones from the backup?' },
+        'backup.imported': { one: 'Imported {count} of {total} records.', other: 'Imported {count} of {total} records.' },
+        'backup.summary': '{added} added, {updated} updated, {kept} kept as they were.',
+        'backup.summaryReplace': '{added} added, {updated} updated, {kept} kept as they were, {removed} removed.',
+        'backup.conflicts': '{count} had a different status here than in the backup.',
+        'backup.skipped': 'Skipped:',
+        'backup.failed': 'Could not be saved:',
+        'backup.logInvalid': 'Its audit log does not verify. {problem}',
+        'backup.logDiverged': { one: 'Its audit log does not continue the {count} entry recorded here', other: 'Its audit log does not continue the {count} entries recorded here' },
+        'backup.rejected': 'Rejected by the audit log check (the copy here was kept):',
+        'backup.title': 'Backup & Restore',
+        'backup.hint': 'Backups contain every fulfillment with its audit log and password hash. Collection PINs themselves are never exported.',
+        'backup.export': 'Export Backup',
+        'backup.file': 'Backup File',
+        'backup.mode': 'Import Mode',
+        'backup.merge': 'Merge by ID',
+        'backup.replace': 'Replace everything',
+        'backup.conflictLabel': 'When a fulfillment exists here with a different status',
+        'backup.newest': 'Keep the most recently updated copy',
+        'backup.keepLocal': 'Keep the copy in this browser',
+        'backup.useImported': 'Use the copy from the backup',
+        'backup.import': 'Import Backup',
+
+        'person.sent': 'Sent',
+        'person.sentEmpty': 'Has not sent anything.',
+        'person.holding': 'Holding as Intermediary',
+        'person.holdingEmpty': 'Is not holding anything right now.',
+        'person.receiving': 'Waiting to Receive',
+        'person.receivingEmpty': 'Is not waiting for anything.',
+
+        'scanner.cameraDenied': 'Camera access was denied. Upload a photo of the QR code or type the code instead.',
+        'scanner.noCamera': 'No camera was found on this device. Upload a photo of the QR code instead.',
+        'scanner.cameraFailed': 'The camera could not be started. Upload a photo of the QR code instead.',
+        'scanner.noImage': 'No image was selected',
+        'scanner.badImageType': 'Please choose a PNG or JPEG image of the QR code',
+        'scanner.unreadable': 'No QR code could be read from this image. Try a sharper, well-lit photo.',
+        'scanner.notAnImage': 'This file could not be opened as an image',
+        'scanner.cameraUnsupported': 'This browser cannot access a camera. Upload a photo of the QR code or type the code instead.',
+        'scanner.stopCamera': 'Stop Camera',
+        'scanner.useCamera': 'Use Camera',
+        'scanner.inTrash': 'This fulfillment is in the trash. Ask the sender to restore it',
+        'scanner.item': 'Item: {item}',
+        'scanner.alreadyStatus': 'This fulfillment is already {status}',
+        'scanner.noDecoder': 'QR decoding is not supported in this browser. Type the code instead.',
+        'scanner.title': 'Scan QR Code',
+        'scanner.intro': 'Scan the QR code with your camera, upload a photo of it, or paste its contents to confirm receipt:',
+        'scanner.upload': 'Upload QR Photo',
+        'scanner.contents': 'QR Code Contents',
+        'scanner.contentsPlaceholder': 'Paste the text encoded in the QR code',
+        'scanner.photo': 'Condition Photo (optional)',
+        'scanner.photoHint': 'Taken before confirming, as a record of the item\'s condition on arrival',
+        'scanner.confirm': 'Confirm Receipt',
+
+        'sync.httpError': 'Sync server responded with {status}',
+        'sync.badResponse': 'The sync server did not answer with JSON',
+        'sync.unreachable': 'Could not reach the sync server ({error}). Showing fulfillments saved in this browser, read-only until the server is back.',
+        'sync.readOnly': 'Changes cannot be saved while the sync server is unreachable',
+        'sync.loadFailed': 'Fulfillments could not be loaded ({error}). Reload the page to try again.',
+
+        'notifications.overdueTitle': 'Overdue: {item}',
+        'notifications.overdueBody': '{deadline} was due {due}',
+        'notifications.unsupported': 'This browser does not support notifications.',
+        'notifications.granted': 'You will be notified when a deadline passes while the app is open.',
+        'notifications.denied': 'Notifications are blocked. Allow them in your browser\'s site settings to get overdue alerts.',
+        'notifications.default': 'Get a browser notification when a deadline passes while the app is open.',
+
+        'routes.contactGone': 'This contact no longer exists.',
+        'routes.unknown': 'This link does not lead to a page of the app.',
+        'routes.fulfillmentGone': 'Fulfillment {id} was not found. It may have been deleted, or not synced to this device yet.',
+        'routes.badDropOffLink': 'This drop-off link is not valid. Ask the sender for a new one.',
+
+        'result.error': 'Error:',
+        'result.success': 'Success!',
+
+        'settings.badRetention': 'Keep deleted fulfillments for 1 to {max} days',
+        'settings.badPinLength': 'PINs can be {min} to {max} characters long',
+        'settings.syncFailed': 'Could not reach the sync server: {error}',
+        'settings.syncUrl': 'Sync Server URL',
+        'settings.syncUrlPlaceholder': 'e.g., http://localhost:8787',
+        'settings.syncHint': 'Share fulfillments across devices through a sync server. Leave empty to keep them only in this browser. Fulfillments already saved here are not uploaded.',
+        'settings.pinLength': 'Collection PIN Length',
+        'settings.pinCharset': 'PIN Characters',
+        'settings.pinHint': 'Applies to PINs issued from now on. Existing PINs keep working.',
+        'settings.retention': 'Keep Deleted Fulfillments For (days)',
+        'settings.retentionHint': 'Fulfillments in the trash are removed for good, with their history and photos, once they have been there this long.',
+        'settings.notifications': 'Overdue Notifications',
+        'settings.enableNotifications': 'Enable Notifications',
+        'settings.qrKey': 'This Device\'s QR Key',
+        'settings.copyQrKey': 'Copy Key',
+        'settings.trustedKeys': 'Trusted QR Keys',
+        'settings.trustedKeysPlaceholder': 'One key per line',
+        'settings.trustedKeysHint': 'QR codes are only accepted when they were signed by this device or by a device whose key is listed here. Paste the key of each device that shows codes into the devices that scan them.',
+        'settings.adminPin': 'Admin PIN',
+        'settings.adminPinHint': 'Needed for manual overrides on this device. Leave empty to keep the current one.',
+        'settings.adminPinCurrent': 'Current Admin PIN',
+        'settings.badAdminPin': 'The admin PIN needs at least {min} characters',
+        'settings.save': 'Save Settings',
+
+        'deliveries.queueEmpty': 'Nothing is waiting to be sent.',
+        'deliveries.failedAfter': { one: 'Failed after {count} attempt: {error}', other: 'Failed after {count} attempts: {error}' },
+        'deliveries.sending': 'Sending…',
+        'deliveries.retrying': 'Attempt {attempt} failed ({error}). Retrying {time}',
+        'deliveries.retry': 'Retry Now',
+        'deliveries.discard': 'Discard',
+        'deliveries.logEmpty': 'No deliveries yet.',
+        'deliveries.attempt': 'attempt {attempt}',
+        'deliveries.outcome.delivered': 'Delivered',
+        'deliveries.outcome.retrying': 'Will retry',
+        'deliveries.outcome.failed': 'Failed',
+        'deliveries.waiting': 'Waiting and Failed',
+        'deliveries.history': 'History',
+        'deliveries.historyHint': 'The last {count} attempts, newest first.',
+        'deliveries.title': 'Delivery Log',
+
+        'dashboard.count': { one: '{count} fulfillment', other: '{count} fulfillments' },
+        'dashboard.filteredCount': { one: 'Showing {count} of {total} fulfillments', other: 'Showing {count} of {total} fulfillments' },
+        'dashboard.noMatches': 'No fulfillments match these filters.',
+
+        'card.sender': 'Sender:',
+        'card.via': 'Via:',
+        'card.recipient': 'Recipient:',
+
+        'detail.information': 'Information',
+        'detail.reason': 'Reason',
+        'detail.returnRequested': 'Return Requested',
+        'detail.verify': 'Verify Integrity',
+        'detail.purge': 'Delete Forever',
+        'detail.showReturnQr': 'Show Return QR',
+        'detail.viewQr': 'View QR Code',
+        'detail.clearLock': 'Clear Collection Lock',
+        'detail.reissuePin': 'Reissue PIN',
+        'detail.collectionInstruction': 'Only the {recipient} or the last intermediary can record the collection, with both the QR code and password.',
+        'clearLock.intro': 'the wrong PIN was entered too many times. Clearing the lock lets them try again:',
+
+        'lock.attempts': '{count} of {max}',
+        'lock.attemptsLocked': '{count} of {max} (locked)',
+        'lock.attemptsRetry': '{count} of {max} (retry after {time})',
+        'lock.failedAttempts': 'Failed PIN Attempts',
+
+        'timeline.pending': 'Pending',
+        'timeline.by': 'By {role}',
+        'timeline.statusChange': '{from} → {to}',
+
+        'app.title': 'Item Fulfillment Tracker',
+
+        'header.logo': 'Item Fulfillment',
+        'header.actingAs': 'Acting as',
+        'header.language': 'Language',
+        'header.scan': 'Scan QR',
+        'header.analytics': 'Analytics',
+        'header.contacts': 'Contacts',
+        'header.trash': 'Trash',
+        'header.settings': 'Settings',
+        'header.newFulfillment': 'New Fulfillment',
+
+        'update.available': 'A new version of the app is available.',
+        'update.reload': 'Reload',
+
+        'filters.searchPlaceholder': 'Search items, IDs and people',
+        'filters.search': 'Search fulfillments',
+        'filters.byStatus': 'Filter by status',
+        'filters.from': 'From',
+        'filters.to': 'To',
+        'filters.sort': 'Sort',
+        'filters.groupBy': 'Group by',
+        'filters.overdueOnly': 'Overdue only',
+        'filters.clear': 'Clear Filters',
+
+        'empty.title': 'No fulfillments yet',
+        'empty.hint': 'Create your first item fulfillment to get started',
+
+        'reason.recorded': 'The reason is recorded in the timeline.'
+    }
+};
@@ -0,0 +1,702 @@
+// Spanish message catalog; anything missing falls back to English (see en.js).
+window.LOCALES = window.LOCALES || {};
+window.LOCALES.es = {
+    name: 'Español',
+    dir: 'ltr',
+    messages: {
+        'pinCharset.digits': 'Solo dígitos',
+        'pinCharset.alphanumeric': 'Letras y dígitos',
+
+        'status.pending': 'Pendiente',
+        'status.in-transit': 'En tránsito',
+        'status.partially-collected': 'Recogido en parte',
+        'status.completed': 'Completado',
+        'status.cancelled': 'Cancelado',
+        'status.returned': 'Devuelto al remitente',
+        'status.disputed': 'En disputa',
+
+        'statusInText.pending': 'pendiente',
+        'statusInText.in-transit': 'en tránsito',
+        'statusInText.partially-collected': 'recogido en parte',
+        'statusInText.completed': 'completado',
+        'statusInText.cancelled': 'cancelado',
+        'statusInText.returned': 'devuelto al remitente',
+        'statusInText.disputed': 'en disputa',
+
+        'event.fulfillment.created': 'Creado',
+        'event.fulfillment.dropped-off': 'Entregado',
+        'event.fulfillment.partially-collected': 'Recogido en parte',
+        'event.fulfillment.collected': 'Recogido',
+        'event.fulfillment.route-changed': 'Ruta cambiada',
+        'event.fulfillment.qr-regenerated': 'Código QR regenerado',
+        'event.fulfillment.overdue': 'Plazo vencido',
+        'event.fulfillment.cancelled': 'Cancelado',
+        'event.fulfillment.return-requested': 'Devolución solicitada',
+        'event.fulfillment.returned': 'Devuelto',
+        'event.fulfillment.disputed': 'En disputa',
+        'event.fulfillment.overridden': 'Cambio manual',
+        'event.fulfillment.deleted': 'Movido a la papelera',
+        'event.fulfillment.restored': 'Restaurado',
+        'event.fulfillment.purged': 'Eliminado definitivamente',
+        'event.collection.pin-failed': 'PIN de recogida incorrecto',
+        'event.collection.lock-cleared': 'Bloqueo de recogida quitado',
+        'event.collection.pin-reissued': 'PIN reemitido',
+        'event.test': 'Evento de prueba',
+
+        'outbox.kind.webhook': 'Webhook',
+        'outbox.kind.email': 'Relé de correo',
+        'outbox.kindRequired': 'Elige un webhook o un relé de correo',
+        'outbox.badUrl': 'Introduce la URL completa, empezando por http:// o https://',
+        'outbox.badEmail': 'Introduce la dirección de correo de destino',
+        'outbox.endpointAdded': '{kind} añadido',
+        'outbox.endpointRemoved': 'Destino eliminado',
+        'outbox.endpointNotFound': 'Destino no encontrado',
+        'outbox.testQueued': 'Evento de prueba en cola',
+        'outbox.timeout': { one: 'Sin respuesta en {count} segundo', other: 'Sin respuesta en {count} segundos' },
+        'outbox.httpError': 'El receptor respondió con {status}',
+        'outbox.urlPlaceholder': 'p. ej., {url}',
+        'outbox.noEndpoints': 'Aún no hay destinos.',
+        'outbox.allEvents': 'Todos los eventos',
+        'outbox.kindTo': '{kind} a {to}',
+        'outbox.sendTest': 'Enviar prueba',
+        'outbox.seeLog': '{message}. Consulta el resultado en el registro de envíos.',
+        'outbox.confirmRemove': '¿Eliminar este destino? Se descartan los envíos que aún esperan.',
+        'outbox.removedEndpoint': 'Destino eliminado',
+        'outbox.title': 'Webhooks y correo',
+        'outbox.hint': 'Envía un evento a un webhook o a un relé de correo cada vez que cambia una entrega en este navegador. Los envíos fallidos se reintentan y quedan en el registro de envíos.',
+        'outbox.sendTo': 'Enviar a',
+        'outbox.emailAddress': 'Dirección de correo',
+        'outbox.url': 'URL',
+        'outbox.events': 'Eventos',
+        'outbox.eventsHint': 'Déjalos todos sin marcar para enviar todos los eventos.',
+        'outbox.add': 'Añadir destino',
+
+        'email.status': 'Estado: {status}',
+        'email.route': 'Ruta: {route}',
+        'email.holder': 'Ahora lo tiene: {name}',
+        'email.time': 'Hora: {time}',
+        'email.subject': '[Entrega de artículos] {event}: {item}',
+
+        'attachment.signature': 'Firma',
+        'attachment.photo': 'Foto',
+        'attachment.condition': 'Foto del estado',
+        'attachment.invalid': 'Adjunto no válido',
+        'attachment.unsupported': 'Este navegador no puede guardar adjuntos',
+        'attachment.aborted': 'Se interrumpió el guardado de adjuntos',
+        'attachment.missing': 'No está en este dispositivo',
+        'attachment.otherDevice': '{name} se capturó en otro dispositivo',
+        'attachment.tampered': '{name} no coincide con el hash del registro de auditoría',
+        'attachment.tooLarge': '{name} ocupa más de {size}',
+        'attachment.saveFailed': 'No se pudieron guardar los adjuntos: {error}',
+        'attachment.label': '{kind}: {name}',
+
+        'proof.qr': 'Código QR',
+        'proof.pin': 'PIN',
+        'proof.manual': 'Cambio manual',
+        'proof.reason': 'Motivo por escrito',
+        'proof.recovery-code': 'Código de recuperación',
+
+        'sort.created-desc': 'Más recientes primero',
+        'sort.created-asc': 'Más antiguas primero',
+        'sort.updated': 'Actualizadas recientemente',
+        'sort.stage-time': 'Más tiempo en la etapa actual',
+        'sort.deadline': 'Próximo plazo primero',
+
+        'group.none': 'Sin agrupar',
+        'group.holder': 'Quién lo tiene',
+        'group.sender': 'Remitente',
+        'group.recipient': 'Destinatario',
+
+        'analytics.bucket.day': 'Por día',
+        'analytics.bucket.week': 'Por semana',
+        'analytics.badRange': 'Elige una fecha de inicio igual o anterior a la fecha final.',
+        'analytics.statDetail': { one: 'mediana · p90 {p90} · {count} entrega', other: 'mediana · p90 {p90} · {count} entregas' },
+        'analytics.noData': 'Sin datos',
+        'analytics.throughput': 'Creadas y completadas',
+        'analytics.durations': 'Duración de las etapas',
+        'analytics.toDropOff': 'Creación → primera entrega',
+        'analytics.toCollection': 'Primera entrega → recogida',
+        'analytics.slowest': 'Intermediarios más lentos',
+        'analytics.statusShare': 'Reparto por estado',
+        'analytics.weekOf': 'Semana del {date}',
+        'analytics.barTitle': '{period}: {created} creadas, {completed} completadas',
+        'analytics.throughputLabel.day': 'Entregas creadas y completadas por día',
+        'analytics.throughputLabel.week': 'Entregas creadas y completadas por semana',
+        'analytics.created': 'Creadas',
+        'analytics.completed': 'Completadas',
+        'analytics.noSlowest': 'Ningún intermediario ha pasado aún un artículo en este periodo.',
+        'analytics.slowTitle': { one: '{name}: mediana {median}, p90 {p90} en {count} traspaso', other: '{name}: mediana {median}, p90 {p90} en {count} traspasos' },
+        'analytics.slowestLabel': 'Tiempo mediano que cada intermediario tuvo el artículo',
+        'analytics.slowestHint': 'Tiempo mediano desde que recibe el artículo hasta que lo pasa, con el número de traspasos.',
+        'analytics.noneCreated': 'No se crearon entregas en este periodo.',
+        'analytics.shareTitle': '{status}: {count}',
+        'analytics.shareLabel': 'Proporción de entregas en cada estado',
+        'analytics.shareLegend': '{status}: {count} ({share})',
+        'analytics.show': 'Mostrar',
+
+        'print.size.a6': 'Etiqueta A6 (105 × 148 mm)',
+        'print.size.a4': 'Página A4 (210 × 297 mm)',
+        'print.labelTitle': 'Imprimir etiqueta de traspaso',
+        'print.receiptTitle': 'Imprimir comprobante',
+        'print.returnInstructions': '{sender} escanea este código con «Escanear QR» en Entrega de artículos cuando el paquete vuelva.',
+        'print.dropOffInstructions': '{receiver} escanea este código con «Escanear QR» en Entrega de artículos al recibir el paquete de {from}.',
+        'print.items': 'Artículos',
+        'print.sender': 'Remitente',
+        'print.intermediary': 'Intermediario',
+        'print.recipient': 'Destinatario',
+        'print.validity': 'El código sirve una sola vez y es válido hasta {time}.',
+        'print.pinHint': '{recipient} recoge el artículo con su contraseña de {format}.',
+        'print.completionReceipt': 'Comprobante de finalización',
+        'print.receipt': 'Comprobante',
+        'print.fulfillmentId': 'ID de entrega',
+        'print.status': 'Estado',
+        'print.created': 'Creada',
+        'print.route': 'Ruta',
+        'print.item': 'Artículo',
+        'print.sku': 'SKU / N.º de serie',
+        'print.quantity': 'Cantidad',
+        'print.collected': 'Recogidos',
+        'print.timeline': 'Historial',
+        'print.time': 'Hora',
+        'print.event': 'Evento',
+        'print.by': 'Por',
+        'print.footer': { one: 'Impreso {time}. Registro de auditoría de {count} entrada.', other: 'Impreso {time}. Registro de auditoría de {count} entradas.' },
+        'print.footerWithHash': { one: 'Impreso {time}. Registro de auditoría de {count} entrada, hash de la última entrada {hash}.', other: 'Impreso {time}. Registro de auditoría de {count} entradas, hash de la última entrada {hash}.' },
+        'print.paperSize': 'Tamaño del papel',
+        'print.pdfHint': 'Para obtener un PDF, elige «Guardar como PDF» como impresora.',
+        'print.print': 'Imprimir',
+
+        'qrModal.returnKicker': 'Devolución al remitente',
+        'qrModal.hopKicker': 'Traspaso {hop} de {total}',
+        'qrModal.returnTitle': 'Código QR para la devolución',
+        'qrModal.dropOffTitle': 'Código QR para la entrega',
+        'qrModal.returnHop': 'Devolución al remitente.',
+        'qrModal.hop': 'Traspaso {hop} de {total}.',
+        'qrModal.expiry': 'Válido hasta {time}.',
+        'qrModal.alt': 'Código QR que {to} escanea al recibir el artículo de {from}',
+        'qrModal.scanFrom': 'debe escanear este código QR al recibir el artículo de',
+        'qrModal.singleUse': 'Este código QR solo se puede usar una vez.',
+        'qrModal.download': 'Descargar código QR',
+        'qrModal.printLabel': 'Imprimir etiqueta',
+
+        'password.reissuedTitle': 'Nueva contraseña de recogida',
+        'password.title': 'Contraseña de recogida',
+        'password.important': 'Importante:',
+        'password.shareWith': 'Comparte esta contraseña con',
+        'password.soTheyCollect': 'para que pueda recoger el artículo.',
+        'password.warning': 'La contraseña y el código de recuperación solo se muestran una vez. ¡Guárdalos!',
+        'password.item': 'Artículo:',
+        'password.recoveryCode': 'Código de recuperación',
+        'password.recoveryHint': 'Guárdalo tú. Si se pierde la contraseña, te permite emitir una nueva con <strong>Reemitir PIN</strong> en los detalles de la entrega.',
+        'password.copy': 'Copiar contraseña',
+        'password.copyRecovery': 'Copiar código de recuperación',
+
+        'common.copied': '¡Copiado!',
+        'common.edit': 'Editar',
+        'common.delete': 'Eliminar',
+        'common.remove': 'Quitar',
+        'common.moveUp': 'Subir',
+        'common.moveDown': 'Bajar',
+        'common.cancel': 'Cancelar',
+        'common.back': 'Volver',
+        'common.close': 'Cerrar',
+        'common.undo': 'Deshacer',
+
+        'collect.passwordPlaceholder': 'Introduce la contraseña de {format}',
+        'collect.handedOver': 'Entregados',
+        'collect.outstanding': 'Faltan {remaining} de {quantity}',
+        'collect.passwordRequired': 'Se necesita la contraseña de recogida',
+        'collect.badQuantities': 'Indica cuántas unidades de cada artículo se entregaron, hasta las que aún faltan',
+        'collect.passwordUsed': 'La contraseña ya se ha usado',
+        'collect.locked': 'La recogida está bloqueada tras demasiados intentos fallidos',
+        'collect.coolingDown': 'Demasiados intentos fallidos, espera antes de volver a intentarlo',
+        'collect.wrongPassword': 'Contraseña incorrecta',
+        'collect.lockCleared': 'Bloqueo de recogida quitado',
+        'collect.clearLockSenderOnly': 'Solo el {role} puede quitar el bloqueo de recogida',
+        'collect.codeRead': 'Código QR leído.',
+        'collect.enterPassword': 'Ahora introduce la contraseña de recogida.',
+        'collect.lockedNotice': { one: 'La recogida está bloqueada tras {count} intento fallido. Solo {sender} (Persona A) puede quitar el bloqueo.', other: 'La recogida está bloqueada tras {count} intentos fallidos. Solo {sender} (Persona A) puede quitar el bloqueo.' },
+        'collect.retryNotice': { one: 'Demasiados intentos fallidos. Vuelve a intentarlo después de {time} (queda {count} intento).', other: 'Demasiados intentos fallidos. Vuelve a intentarlo después de {time} (quedan {count} intentos).' },
+        'collect.attemptsLeft': { one: 'Queda {count} intento antes de que se bloquee la recogida.', other: 'Quedan {count} intentos antes de que se bloquee la recogida.' },
+        'collect.scanFirst': 'Entrega no encontrada. Escanea el código QR.',
+        'collect.success': '¡Autenticación correcta!',
+        'collect.verifiedFor': 'Persona C verificada para: {item}',
+        'collect.partialRecorded': { one: 'Recogida parcial registrada, {count} artículo sigue en tránsito', other: 'Recogida parcial registrada, {count} artículos siguen en tránsito' },
+        'collect.confirmed': 'Recogida del artículo confirmada',
+        'collect.failed': 'Error de autenticación:',
+        'collect.title': 'Recoger artículo: autenticación en dos pasos',
+        'collect.mustProvide': 'debe presentar <strong>a la vez</strong> el código QR y la contraseña para recoger el artículo.',
+        'collect.code': 'Código de entrega (del QR)',
+        'collect.codePlaceholder': 'p. ej., FUL-XXXXX-XXXXX',
+        'collect.signature': 'Firma (opcional)',
+        'collect.signatureHint': 'La Persona C firma con el dedo, un lápiz o el ratón',
+        'collect.clearSignature': 'Borrar',
+        'collect.photos': 'Fotos (opcional)',
+        'collect.submit': 'Verificar y recoger',
+
+        'pinFormat.digits': '{length} dígitos',
+        'pinFormat.alphanumeric': '{length} caracteres',
+
+        'role.sender': 'Remitente (Persona A)',
+        'role.intermediary': 'Intermediario',
+        'role.recipient': 'Destinatario (Persona C)',
+        'role.admin': 'Administrador',
+
+        'transition.drop-off.button': 'Escanear QR de entrega',
+        'transition.drop-off.cardButton': 'Entregar',
+        'transition.drop-off.description': 'confirmar una entrega',
+        'transition.drop-off.statusMessage': 'Esta entrega ya está completada',
+        'transition.drop-off.successMessage': '¡Recepción del artículo confirmada!',
+        'transition.collect.button': 'Recoger artículo',
+        'transition.collect.cardButton': 'Recoger',
+        'transition.collect.description': 'recoger el artículo',
+        'transition.collect.statusMessage': 'El artículo aún no se ha entregado',
+        'transition.collect.successMessage': '¡Artículo recogido correctamente!',
+        'transition.cancel.button': 'Cancelar entrega',
+        'transition.cancel.reasonHint': 'El artículo aún no se ha entregado. Todos los códigos QR de entrega dejan de funcionar.',
+        'transition.cancel.description': 'cancelar la entrega',
+        'transition.cancel.statusMessage': 'Solo se pueden cancelar las entregas que aún no se han entregado',
+        'transition.cancel.successMessage': 'Entrega cancelada',
+        'transition.request-return.button': 'Devolver al remitente',
+        'transition.request-return.reasonHint': 'El intermediario que tiene el artículo recibe un código QR de devolución, que el remitente escanea cuando el artículo vuelve.',
+        'transition.request-return.description': 'iniciar una devolución',
+        'transition.request-return.statusMessage': 'Solo se pueden devolver artículos en tránsito',
+        'transition.request-return.successMessage': 'Devolución solicitada',
+        'transition.return.button': 'Escanear QR de devolución',
+        'transition.return.cardButton': 'Recibir devolución',
+        'transition.return.description': 'confirmar la devolución',
+        'transition.return.statusMessage': 'Solo se pueden devolver artículos en tránsito',
+        'transition.return.successMessage': 'Artículo devuelto al remitente',
+        'transition.dispute.button': 'Informar de un problema',
+        'transition.dispute.reasonHint': 'Describe qué faltaba o estaba dañado. La entrega se marca como en disputa.',
+        'transition.dispute.description': 'disputar la recogida',
+        'transition.dispute.statusMessage': 'Solo se pueden disputar las entregas completadas',
+        'transition.dispute.successMessage': 'Disputa registrada',
+        'transition.override.button': 'Cambio manual',
+        'transition.override.cardButton': 'Cambiar',
+        'transition.override.description': 'cambiar el estado manualmente',
+        'transition.override.statusMessage': 'Esta entrega no se puede cambiar manualmente',
+        'transition.override.successMessage': 'Estado cambiado manualmente',
+        'transition.notAtLastHop': 'El artículo aún no ha llegado al último intermediario',
+        'transition.noReturn': 'No se ha solicitado ninguna devolución',
+        'transition.scanDropOff': 'Escanea el código QR de entrega para confirmar la recepción',
+        'transition.scanReturn': 'Escanea el código QR de devolución para confirmar que el artículo ha vuelto',
+        'transition.reasonRequired': 'Se necesita un motivo',
+        'transition.unsupportedProof': 'Comprobación no admitida',
+        'transition.beingReturned': 'El artículo se está devolviendo a {sender}',
+        'transition.collectOnly': 'El artículo está con el último intermediario y solo lo puede recoger {recipient}',
+        'transition.unknown': 'Acción desconocida: {action}',
+        'transition.notAllowed': 'Solo el {allowed} puede {action}',
+
+        'store.logAppendOnly': 'El registro de auditoría solo admite añadir entradas. Las existentes no se pueden cambiar ni eliminar',
+        'store.conflict': 'Esta entrega acaba de cambiar en otra pestaña o en otro dispositivo. Revisa su estado más reciente y vuelve a intentarlo',
+        'store.saveFailed': 'No se pudo guardar el cambio: {error}',
+        'store.notFound': 'Entrega no encontrada',
+        'store.inTrash': 'Esta entrega está en la papelera',
+        'store.isStatus': 'Esta entrega está {status}',
+
+        'verify.migrated': 'Traída del historial anterior y aún sin sellar',
+        'verify.unsealed': 'La entrada no está sellada',
+        'verify.sequence': 'La entrada está fuera de secuencia',
+        'verify.brokenLink': 'El enlace con la entrada anterior está roto',
+        'verify.changed': 'La entrada se modificó después de registrarse',
+        'verify.statusMismatch': 'El estado «{status}» no coincide con la última entrada del registro',
+        'verify.intact': { one: 'Se ha verificado {count} entrada del registro. La cadena de hashes está intacta.', other: 'Se han verificado las {count} entradas del registro. La cadena de hashes está intacta.' },
+        'verify.failed': 'La comprobación de integridad ha fallado',
+        'verify.entry': 'Entrada {n}: ',
+
+        'log.qrRegenerated.title': 'Código QR regenerado',
+        'log.qrRegenerated.description': '{sender} emitió un nuevo código QR de entrega para {holder} y revocó el anterior',
+        'log.created.title': 'Entrega creada',
+        'log.created.description': '{sender} inició el envío',
+        'log.routeChanged.title': 'Ruta cambiada',
+        'log.routeChanged.description': '{sender} cambió la ruta a {route}',
+        'log.overdue.title': 'Plazo vencido',
+        'log.overdue.description': '{deadline} está vencida ({source})',
+        'log.collected.title': 'Artículo recogido',
+        'log.collected.description': '{to} recoge de {from}{confirmation}',
+        'log.droppedOff.title': 'Entregado a {to}',
+        'log.droppedOff.description': '{from} entrega a {to}',
+        'log.returnDue.title': 'Devuelto al remitente',
+        'log.returnDue.description': '{holder} devuelve el artículo a {sender}',
+        'log.confirmedBy': ' (confirmado por {name})',
+        'log.remainingCollected.title': 'Artículos restantes recogidos',
+        'log.remainingCollected.description': '{recipient} recogió {items}{confirmation}',
+        'log.partialCollection.title': 'Recogida parcial',
+        'log.partialCollection.description': '{recipient} recogió {items}{confirmation}. Aún en tránsito: {outstanding}',
+        'log.override.title': 'Cambio manual',
+        'log.override.description': 'El administrador cambió el estado de {from} a {to}. Motivo: {reason}',
+        'log.cancelled.title': 'Entrega cancelada',
+        'log.cancelled.description': '{sender} canceló el envío. Motivo: {reason}',
+        'log.returnRequested.title': 'Devolución solicitada',
+        'log.returnRequested.description': '{requester} pidió que el artículo vuelva de {holder} a {sender}. Motivo: {reason}',
+        'log.returned.title': 'Devuelto al remitente',
+        'log.returned.description': '{holder} devolvió el artículo a {sender}',
+        'log.disputed.title': 'Recogida en disputa',
+        'log.disputed.description': '{recipient} informó de un problema con los artículos recogidos: {reason}',
+        'log.failedAttempt.title': 'Intento de recogida fallido',
+        'log.failedAttempt.description': 'Contraseña incorrecta (intento {attempt} de {max})',
+        'log.failedAttemptLocked.title': 'Intento de recogida fallido',
+        'log.failedAttemptLocked.description': 'Contraseña incorrecta (intento {attempt} de {max}). La recogida queda bloqueada hasta que {sender} la desbloquee.',
+        'log.failedAttemptDelayed.title': 'Intento de recogida fallido',
+        'log.failedAttemptDelayed.description': { one: 'Contraseña incorrecta (intento {attempt} de {max}). El siguiente intento se permite dentro de {count} segundo.', other: 'Contraseña incorrecta (intento {attempt} de {max}). El siguiente intento se permite dentro de {count} segundos.' },
+        'log.lockCleared.title': 'Bloqueo de recogida quitado',
+        'log.lockCleared.description': '{sender} restableció los intentos de contraseña fallidos',
+        'log.pinReissued.title': 'PIN de recogida reemitido',
+        'log.pinReissued.description': '{sender} emitió un nuevo PIN de recogida. El PIN y el código de recuperación anteriores ya no funcionan',
+        'log.deleted.title': 'Movida a la papelera',
+        'log.deleted.description': '{role} eliminó la entrega',
+        'log.restored.title': 'Restaurada de la papelera',
+        'log.restored.description': '{role} restauró la entrega',
+
+        'deadline.collection': 'Recogida por {name}',
+        'deadline.dropOff': 'Entrega a {name}',
+        'deadline.fromSla': 'plazo predeterminado',
+        'deadline.fromCreation': 'plazo fijado al crearla',
+        'deadline.due': '{label} vence {due}',
+        'deadline.overdue': 'Vencido',
+        'deadline.due-soon': 'Vence pronto',
+        'deadline.by': '{label} antes de {due}',
+        'deadline.byFromSla': '{label} antes de {due} (plazo predeterminado)',
+        'deadline.next': 'Próximo plazo',
+
+        'holder.state': '{status} con {name}',
+
+        'qr.idNotToken': 'Los ID de entrega no sirven para entregar. Escanea en su lugar el código QR del remitente',
+        'qr.invalid': 'Este no es un código QR de entrega válido',
+        'qr.notIssued': 'No se ha emitido ningún código QR para este traspaso',
+        'qr.badSignature': 'El código QR no lo firmó este dispositivo ni uno de confianza',
+        'qr.badTrustedKey': '{key} no es una clave QR válida',
+        'qr.roleMismatch': 'Este código QR no coincide con el emitido para este traspaso',
+        'qr.used': 'El código QR ya se ha usado',
+        'qr.revoked': 'Este código QR se ha revocado. Pide el nuevo al remitente',
+        'qr.expired': 'Este código QR ha caducado. Pide al remitente que genere uno nuevo',
+        'qr.notQRHop': 'Este traspaso no usa código QR',
+        'qr.hopPassed': 'Este traspaso ya se ha realizado',
+        'qr.regenerated': 'Nuevo código QR emitido',
+        'qr.otherFulfillment': 'Este código QR pertenece a otra entrega',
+        'qr.isReturnCode': 'Es un código de devolución. Lo escanea el remitente cuando vuelve el artículo',
+        'qr.isDropOffCode': 'Es un código de entrega. Escanea en su lugar el código de devolución',
+        'qr.senderOnly': 'Solo el {role} puede regenerar el código QR',
+        'qr.tooEarly': 'Este código QR es para el traspaso a {receiver}. Antes el artículo tiene que llegar a {expected}',
+
+        'create.noItems': 'Añade al menos un artículo',
+        'create.badItem': 'Cada artículo necesita un nombre y una cantidad de al menos 1',
+        'create.noIntermediary': 'Añade al menos un intermediario',
+        'create.unnamedCustodian': 'Cada custodio necesita un nombre',
+        'create.badDeadline': 'Los plazos deben ser fechas válidas en el futuro',
+        'create.deadlineOrder': 'El plazo de recogida debe ser posterior al de entrega',
+        'create.deadlineHint': 'Sin plazo, cada entrega vence {dropOff} y la recogida {collection} después del traspaso anterior.',
+        'create.itemPlaceholder': 'p. ej., paquete, documento, equipo',
+        'create.quantity': 'Cantidad',
+        'create.skuPlaceholder': 'SKU / n.º de serie (opcional)',
+        'create.hopPlaceholder': 'Nombre del intermediario',
+        'create.submit': 'Crear entrega',
+        'create.addItem': 'Añadir artículo',
+        'create.sender': 'Persona A (remitente)',
+        'create.senderPlaceholder': 'Nombre del remitente',
+        'create.intermediaries': 'Intermediarios (en orden de traspaso)',
+        'create.addIntermediary': 'Añadir intermediario',
+        'create.recipient': 'Persona C (destinatario)',
+        'create.recipientPlaceholder': 'Nombre del destinatario',
+        'create.dropOffDeadline': 'Plazo de entrega (opcional)',
+        'create.collectionDeadline': 'Plazo de recogida (opcional)',
+        'create.contactsHint': 'Los nombres se asocian a los contactos guardados; los nuevos se guardan como contactos.',
+
+        'route.needsIntermediary': 'La ruta necesita al menos un intermediario',
+        'route.unchanged': 'La ruta no ha cambiado',
+        'route.updated': 'Ruta actualizada',
+        'route.senderOnly': 'Solo el {role} puede cambiar la ruta',
+        'route.edit': 'Editar ruta',
+        'route.intermediaryN': 'Intermediario {n}',
+        'route.waiting': 'En espera',
+        'route.handedOver': 'Traspasado {time}',
+        'route.collectedAt': 'Recogido {time}',
+        'route.hasItem': 'Tiene el artículo',
+        'route.copyLinkTitle': 'Copiar un enlace que abre el paso de {name}',
+        'route.link': 'Enlace',
+        'route.showQr': 'Mostrar código QR',
+        'route.qr': 'QR',
+        'route.newQrTitle': 'Emitir un código QR nuevo',
+        'route.newQr': 'Nuevo QR',
+        'route.addPlaceholder': 'Añadir un intermediario antes del destinatario',
+        'route.addStop': 'Añadir parada',
+        'route.arrow': '→',
+        'route.confirmNewQr': '¿Emitir un nuevo código QR de entrega? El actual dejará de funcionar y {name} necesitará el nuevo.',
+        'route.linkCopied': 'Enlace para {name} copiado',
+        'route.copyFailed': 'No se pudo copiar el enlace. Cópialo desde aquí:\n{link}',
+
+        'override.reasonRequired': 'Un cambio manual necesita un motivo',
+        'override.chooseHolder': 'Elige quién tiene ahora el artículo',
+        'override.title': 'Cambio manual',
+        'override.skipsChecks': 'Los cambios manuales omiten las comprobaciones de código QR y contraseña de',
+        'override.holder': 'El artículo está ahora con',
+        'override.reasonPlaceholder': 'p. ej., el intermediario perdió el teléfono, entrega confirmada por llamada',
+        'override.submit': 'Aplicar cambio',
+        'override.adminPin': 'PIN de administrador',
+        'override.adminPinRequired': 'Introduce el PIN de administrador',
+        'override.wrongAdminPin': 'PIN de administrador incorrecto',
+        'override.noAdminPin': 'Define un PIN de administrador en Ajustes antes de hacer cambios manuales',
+
+        'reissue.alreadyCollected': 'El artículo ya se ha recogido',
+        'reissue.codeRequired': 'Introduce el código de recuperación emitido con la entrega',
+        'reissue.wrongCode': 'Código de recuperación incorrecto',
+        'reissue.issued': 'Nuevo PIN de recogida emitido',
+        'reissue.senderOnly': 'Solo el {role} puede reemitir el PIN de recogida',
+        'reissue.replaces': 'un nuevo PIN de recogida sustituye al actual, que deja de funcionar de inmediato. Comparte el nuevo PIN con',
+        'reissue.codeHint': 'Se mostró junto al PIN al crear la entrega.',
+        'reissue.submit': 'Emitir nuevo PIN',
+
+        'trash.alreadyInTrash': 'Esta entrega ya está en la papelera',
+        'trash.moved': 'Entrega movida a la papelera',
+        'trash.notInTrash': 'Esta entrega no está en la papelera',
+        'trash.restored': 'Entrega restaurada',
+        'trash.onlyTrashed': 'Solo se pueden eliminar definitivamente las entregas de la papelera',
+        'trash.purged': 'Entrega eliminada definitivamente',
+        'trash.deleteNotAllowed': 'Solo el {sender} o un {admin} pueden eliminar una entrega',
+        'trash.restoreNotAllowed': 'Solo el {sender} o un {admin} pueden restaurar una entrega',
+        'trash.purgeNotAllowed': 'Solo el {sender} o un {admin} pueden eliminar una entrega definitivamente',
+        'trash.hint': { one: 'Las entregas eliminadas se guardan aquí {count} día y después se borran definitivamente. Puedes cambiarlo en Ajustes.', other: 'Las entregas eliminadas se guardan aquí {count} días y después se borran definitivamente. Puedes cambiarlo en Ajustes.' },
+        'trash.empty': 'La papelera está vacía.',
+        'trash.dates': 'eliminada {deleted}, se borra {purged}',
+        'trash.details': 'Detalles',
+        'trash.restore': 'Restaurar',
+        'trash.purge': 'Eliminar para siempre',
+        'trash.inTrash': 'En la papelera',
+        'trash.since': 'Desde {deleted}, se borra definitivamente {purged}',
+        'trash.movedItem': '«{item}» movido a la papelera',
+        'trash.confirmPurge': '¿Eliminar «{item}» definitivamente? Su historial, PIN y fotos no se podrán recuperar.',
+        'trash.confirmDelete': { one: '¿Mover «{item}» a la papelera? Se puede restaurar durante {count} día.', other: '¿Mover «{item}» a la papelera? Se puede restaurar durante {count} días.' },
+        'trash.confirmInTransit': 'Este artículo está en tránsito: ahora lo tiene {name}. Mientras esté en la papelera no se puede registrar ninguna entrega ni recogida. ¿Eliminarlo de todos modos?',
+
+        'contacts.notFound': 'Contacto no encontrado',
+        'contacts.deleted': 'Contacto eliminado',
+        'contacts.nameRequired': 'Un contacto necesita un nombre',
+        'contacts.duplicate': '{name} ya es un contacto',
+        'contacts.badEmail': 'Introduce un correo electrónico válido',
+        'contacts.badPhone': 'Introduce un número de teléfono válido',
+        'contacts.roleRequired': 'Elige un rol predeterminado',
+        'contacts.added': '{name} añadido',
+        'contacts.updated': '{name} actualizado',
+        'contacts.save': 'Guardar cambios',
+        'contacts.add': 'Añadir contacto',
+        'contacts.empty': 'Aún no hay contactos. Los nombres que se introducen al crear una entrega también se guardan aquí.',
+        'contacts.fulfillments': 'Entregas',
+        'contacts.confirmDelete': '¿Eliminar a {name}? Las entregas conservan el nombre, pero dejan de estar vinculadas al contacto.',
+        'contacts.defaultRole': 'Rol predeterminado',
+        'contacts.email': 'Correo',
+        'contacts.phone': 'Teléfono',
+        'contacts.showFulfillments': 'Mostrar las entregas de {name}',
+        'contacts.name': 'Nombre',
+        'contacts.namePlaceholder': 'Nombre completo',
+        'contacts.emailOptional': 'Correo (opcional)',
+        'contacts.emailPlaceholder': 'nombre@ejemplo.com',
+        'contacts.phoneOptional': 'Teléfono (opcional)',
+        'contacts.phonePlaceholder': '+34 600 000 000',
+        'contacts.defaultRoleLabel': 'Rol predeterminado',
+        'contacts.roleHint': 'Los contactos con este rol se sugieren primero en el campo correspondiente del formulario de creación.',
+        'contacts.new': 'Nuevo contacto',
+
+        'validate.missingId': 'Falta el ID',
+        'validate.badId': 'ID no válido "{id}"; se esperaba uno como FUL-…',
+        'validate.unknownStatus': 'Estado desconocido «{status}»',
+        'validate.passwordHash': 'El hash de la contraseña no es un resumen SHA-256 en hexadecimal',
+        'validate.recoveryHash': 'El hash del código de recuperación no es un resumen SHA-256 en hexadecimal',
+        'validate.createdAt': 'Fecha de creación no válida',
+        'validate.deletedAt': 'Fecha de eliminación no válida',
+        'validate.deadline': 'Plazo no válido',
+        'validate.items': 'Los artículos necesitan un nombre, una cantidad de al menos 1 y no más recogidos que la cantidad',
+        'validate.route': 'La ruta necesita un remitente, al menos un intermediario y un destinatario',
+        'validate.holder': 'Quien tiene el artículo no forma parte de la ruta',
+        'validate.holderStatus': 'El estado «{status}» no coincide con quién tiene el artículo',
+        'validate.missingLog': 'Falta el registro de auditoría',
+        'validate.entryStage': 'La entrada {entry} del registro tiene una etapa desconocida «{stage}»',
+        'validate.entryText': 'A la entrada {entry} del registro le falta el título o la descripción',
+        'validate.entryMessage': 'La entrada {entry} del registro tiene un mensaje mal formado',
+        'validate.entryHash': 'La entrada {entry} del registro tiene un hash mal formado',
+        'validate.entryAttachment': 'La entrada {entry} del registro tiene un adjunto mal formado',
+        'validate.notObject': 'El registro no es un objeto',
+
+        'backup.notJson': 'El archivo no es JSON válido',
+        'backup.wrongFormat': 'Este archivo no es una copia de seguridad de Entrega de artículos',
+        'backup.unsupportedVersion': 'Esta versión de la aplicación no admite la versión {version} de la copia de seguridad',
+        'backup.unreadable': 'No se pudo leer el registro',
+        'backup.duplicateId': 'El mismo ID aparece antes en el archivo',
+        'backup.chooseFile': 'Elige primero un archivo de copia de seguridad',
+        'backup.record': 'Registro {index}',
+        'backup.recordWithId': 'Registro {index} ({id})',
+        'backup.nothing': 'No hay nada que importar.',
+        'backup.confirmReplace': { one: '¿Sustituir las {current} entregas de este navegador por la {count} válida de la copia de seguridad?', other: '¿Sustituir las {current} entregas de este navegador por las {count} válidas de la copia de seguridad?' },
+        'backup.imported': { one: 'Importado {count} de {total} registros.', other: 'Importados {count} de {total} registros.' },
+        'backup.summary': '{added} añadidas, {updated} actualizadas, {kept} sin cambios.',
+        'backup.summaryReplace': '{added} añadidas, {updated} actualizadas, {kept} sin cambios, {removed} eliminadas.',
+        'backup.conflicts': '{count} tenían aquí un estado distinto al de la copia de seguridad.',
+        'backup.skipped': 'Omitidos:',
+        'backup.failed': 'No se pudieron guardar:',
+        'backup.logInvalid': 'Su registro de auditoría no se verifica. {problem}',
+        'backup.logDiverged': { one: 'Su registro de auditoría no continúa la {count} entrada registrada aquí', other: 'Su registro de auditoría no continúa las {count} entradas registradas aquí' },
+        'backup.rejected': 'Rechazados por la comprobación del registro de auditoría (se conservó la copia de aquí):',
+        'backup.title': 'Copia de seguridad y restauración',
+        'backup.hint': 'Las copias de seguridad contienen todas las entregas con su registro de auditoría y el hash de la contraseña. Los PIN de recogida nunca se exportan.',
+        'backup.export': 'Exportar copia',
+        'backup.file': 'Archivo de copia',
+        'backup.mode': 'Modo de importación',
+        'backup.merge': 'Combinar por ID',
+        'backup.replace': 'Sustituir todo',
+        'backup.conflictLabel': 'Si una entrega ya existe aquí con otro estado',
+        'backup.newest': 'Conservar la copia actualizada más recientemente',
+        'backup.keepLocal': 'Conservar la copia de este navegador',
+        'backup.useImported': 'Usar la copia de la copia de seguridad',
+        'backup.import': 'Importar copia',
+
+        'person.sent': 'Enviadas',
+        'person.sentEmpty': 'No ha enviado nada.',
+        'person.holding': 'En su poder como intermediario',
+        'person.holdingEmpty': 'Ahora no tiene nada en su poder.',
+        'person.receiving': 'Pendientes de recibir',
+        'person.receivingEmpty': 'No espera nada.',
+
+        'scanner.cameraDenied': 'Se denegó el acceso a la cámara. Sube una foto del código QR o escribe el código.',
+        'scanner.noCamera': 'No se encontró ninguna cámara en este dispositivo. Sube una foto del código QR.',
+        'scanner.cameraFailed': 'No se pudo iniciar la cámara. Sube una foto del código QR.',
+        'scanner.noImage': 'No se ha seleccionado ninguna imagen',
+        'scanner.badImageType': 'Elige una imagen PNG o JPEG del código QR',
+        'scanner.unreadable': 'No se pudo leer ningún código QR en esta imagen. Prueba con una foto más nítida y bien iluminada.',
+        'scanner.notAnImage': 'Este archivo no se pudo abrir como imagen',
+        'scanner.cameraUnsupported': 'Este navegador no puede acceder a la cámara. Sube una foto del código QR o escribe el código.',
+        'scanner.stopCamera': 'Detener cámara',
+        'scanner.useCamera': 'Usar cámara',
+        'scanner.inTrash': 'Esta entrega está en la papelera. Pide al remitente que la restaure',
+        'scanner.item': 'Artículo: {item}',
+        'scanner.alreadyStatus': 'Esta entrega ya está {status}',
+        'scanner.noDecoder': 'Este navegador no puede descodificar códigos QR. Escribe el código.',
+        'scanner.title': 'Escanear código QR',
+        'scanner.intro': 'Escanea el código QR con la cámara, sube una foto o pega su contenido para confirmar la recepción:',
+        'scanner.upload': 'Subir foto del QR',
+        'scanner.contents': 'Contenido del código QR',
+        'scanner.contentsPlaceholder': 'Pega el texto codificado en el código QR',
+        'scanner.photo': 'Foto del estado (opcional)',
+        'scanner.photoHint': 'Se toma antes de confirmar, como constancia del estado del artículo a su llegada',
+        'scanner.confirm': 'Confirmar recepción',
+
+        'sync.httpError': 'El servidor de sincronización respondió con {status}',
+        'sync.badResponse': 'El servidor de sincronización no respondió con JSON',
+        'sync.unreachable': 'No se pudo conectar con el servidor de sincronización ({error}). Se muestran las entregas guardadas en este navegador, solo lectura hasta que el servidor vuelva.',
+        'sync.readOnly': 'No se pueden guardar cambios mientras el servidor de sincronización no está disponible',
+        'sync.loadFailed': 'No se pudieron cargar las entregas ({error}). Recarga la página para volver a intentarlo.',
+
+        'notifications.overdueTitle': 'Vencido: {item}',
+        'notifications.overdueBody': '{deadline} vencía {due}',
+        'notifications.unsupported': 'Este navegador no admite notificaciones.',
+        'notifications.granted': 'Recibirás un aviso cuando venza un plazo mientras la aplicación esté abierta.',
+        'notifications.denied': 'Las notificaciones están bloqueadas. Permítelas en la configuración del sitio del navegador para recibir avisos de vencimiento.',
+        'notifications.default': 'Recibe una notificación del navegador cuando venza un plazo mientras la aplicación esté abierta.',
+
+        'routes.contactGone': 'Este contacto ya no existe.',
+        'routes.unknown': 'Este enlace no lleva a ninguna página de la aplicación.',
+        'routes.fulfillmentGone': 'No se encontró la entrega {id}. Puede que se haya eliminado o que aún no se haya sincronizado con este dispositivo.',
+        'routes.badDropOffLink': 'Este enlace de entrega no es válido. Pide uno nuevo al remitente.',
+
+        'result.error': 'Error:',
+        'result.success': '¡Hecho!',
+
+        'settings.badRetention': 'Conserva las entregas eliminadas entre 1 y {max} días',
+        'settings.badPinLength': 'Los PIN pueden tener entre {min} y {max} caracteres',
+        'settings.syncFailed': 'No se pudo conectar con el servidor de sincronización: {error}',
+        'settings.syncUrl': 'URL del servidor de sincronización',
+        'settings.syncUrlPlaceholder': 'p. ej., http://localhost:8787',
+        'settings.syncHint': 'Comparte las entregas entre dispositivos con un servidor de sincronización. Déjalo vacío para guardarlas solo en este navegador. Las entregas ya guardadas aquí no se suben.',
+        'settings.pinLength': 'Longitud del PIN de recogida',
+        'settings.pinCharset': 'Caracteres del PIN',
+        'settings.pinHint': 'Se aplica a los PIN que se emitan a partir de ahora. Los PIN existentes siguen funcionando.',
+        'settings.retention': 'Conservar entregas eliminadas (días)',
+        'settings.retentionHint': 'Las entregas de la papelera se borran definitivamente, con su historial y fotos, cuando llevan ese tiempo en ella.',
+        'settings.notifications': 'Avisos de vencimiento',
+        'settings.enableNotifications': 'Activar notificaciones',
+        'settings.qrKey': 'Clave QR de este dispositivo',
+        'settings.copyQrKey': 'Copiar clave',
+        'settings.trustedKeys': 'Claves QR de confianza',
+        'settings.trustedKeysPlaceholder': 'Una clave por línea',
+        'settings.trustedKeysHint': 'Solo se aceptan códigos QR firmados por este dispositivo o por un dispositivo cuya clave figure aquí. Pega la clave de cada dispositivo que muestra códigos en los dispositivos que los escanean.',
+        'settings.adminPin': 'PIN de administrador',
+        'settings.adminPinHint': 'Necesario para los cambios manuales en este dispositivo. Déjalo vacío para conservar el actual.',
+        'settings.adminPinCurrent': 'PIN de administrador actual',
+        'settings.badAdminPin': 'El PIN de administrador necesita al menos {min} caracteres',
+        'settings.save': 'Guardar ajustes',
+
+        'deliveries.queueEmpty': 'No hay nada pendiente de enviar.',
+        'deliveries.failedAfter': { one: 'Falló tras {count} intento: {error}', other: 'Falló tras {count} intentos: {error}' },
+        'deliveries.sending': 'Enviando…',
+        'deliveries.retrying': 'El intento {attempt} falló ({error}). Se reintenta {time}',
+        'deliveries.retry': 'Reintentar ahora',
+        'deliveries.discard': 'Descartar',
+        'deliveries.logEmpty': 'Aún no hay envíos.',
+        'deliveries.attempt': 'intento {attempt}',
+        'deliveries.outcome.delivered': 'Entregado',
+        'deliveries.outcome.retrying': 'Se reintentará',
+        'deliveries.outcome.failed': 'Fallido',
+        'deliveries.waiting': 'Pendientes y fallidos',
+        'deliveries.history': 'Historial',
+        'deliveries.historyHint': 'Los últimos {count} intentos, los más recientes primero.',
+        'deliveries.title': 'Registro de envíos',
+
+        'dashboard.count': { one: '{count} entrega', other: '{count} entregas' },
+        'dashboard.filteredCount': { one: 'Mostrando {count} de {total} entregas', other: 'Mostrando {count} de {total} entregas' },
+        'dashboard.noMatches': 'Ninguna entrega coincide con estos filtros.',
+
+        'card.sender': 'Remitente:',
+        'card.via': 'Vía:',
+        'card.recipient': 'Destinatario:',
+
+        'detail.information': 'Información',
+        'detail.reason': 'Motivo',
+        'detail.returnRequested': 'Devolución solicitada',
+        'detail.verify': 'Verificar integridad',
+        'detail.purge': 'Eliminar para siempre',
+        'detail.showReturnQr': 'Mostrar QR de devolución',
+        'detail.viewQr': 'Ver código QR',
+        'detail.clearLock': 'Quitar bloqueo de recogida',
+        'detail.reissuePin': 'Reemitir PIN',
+        'detail.collectionInstruction': 'Solo el {recipient} o el último intermediario pueden registrar la recogida, con el código QR y la contraseña.',
+        'clearLock.intro': 'se introdujo un PIN incorrecto demasiadas veces. Al quitar el bloqueo puede volver a intentarlo:',
+
+        'lock.attempts': '{count} de {max}',
+        'lock.attemptsLocked': '{count} de {max} (bloqueado)',
+        'lock.attemptsRetry': '{count} de {max} (reintentar después de {time})',
+        'lock.failedAttempts': 'Intentos de PIN fallidos',
+
+        'timeline.pending': 'Pendiente',
+        'timeline.by': 'Por {role}',
+        'timeline.statusChange': '{from} → {to}',
+
+        'app.title': 'Seguimiento de entregas de artículos',
+
+        'header.logo': 'Entrega de artículos',
+        'header.actingAs': 'Actuando como',
+        'header.language': 'Idioma',
+        'header.scan': 'Escanear QR',
+        'header.analytics': 'Estadísticas',
+        'header.contacts': 'Contactos',
+        'header.trash': 'Papelera',
+        'header.settings': 'Ajustes',
+        'header.newFulfillment': 'Nueva entrega',
+
+        'update.available': 'Hay una nueva versión de la aplicación.',
+        'update.reload': 'Recargar',
+
+        'filters.searchPlaceholder': 'Buscar artículos, ID y personas',
+        'filters.search': 'Buscar entregas',
+        'filters.byStatus': 'Filtrar por estado',
+        'filters.from': 'Desde',
+        'filters.to': 'Hasta',
+        'filters.sort': 'Ordenar',
+        'filters.groupBy': 'Agrupar por',
+        'filters.overdueOnly': 'Solo vencidas',
+        'filters.clear': 'Quitar filtros',
+
+        'empty.title': 'Aún no hay entregas',
+        'empty.hint': 'Crea tu primera entrega de artículos para empezar',
+
+        'reason.recorded': 'El motivo queda registrado en el historial.'
+    }
+};
@@ -0,0 +1,143 @@
+// Stand-in webhook receiver and email relay for the Item Fulfillment Tracker.
+//
+// Accepts what the app's notification outbox sends, prints it and keeps the last
+// deliveries in memory, so webhooks and email can be tried without outside
+// services. Nothing is emailed; messages for the relay are only printed.
+//
+// Usage: node server/mock-receiver.js
+//   PORT            Port to listen on (default 8788)
+//   ALLOWED_ORIGIN  Value for Access-Control-Allow-Origin (default *)
+//   FAIL_RATE       Share of requests answered with 503, from 0 to 1 (default 0),
+//                   to watch the outbox retry
+//
+// Endpoints:
+//   POST   /webhook   body: the event                       -> 200 { received, duplicate }
+//   POST   /email     body { to, subject, text, event }     -> 202 { received, duplicate }
+//   GET    /received  -> { received: [...] }, newest first
+//   DELETE /received  -> 204
+
+'use strict';
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8788;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const FAIL_RATE = Math.min(Math.max(Number(process.env.FAIL_RATE) || 0, 0), 1);
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_KEPT = 500;
+
+let received = [];
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Retries carry the same delivery ID; they are acknowledged but not kept twice
+function record(kind, req, body) {
+    const deliveryId = req.headers['x-delivery-id'] || null;
+    const duplicate = Boolean(deliveryId) && received.some(r => r.deliveryId === deliveryId);
+    if (!duplicate) {
+        received = [{ kind, deliveryId, receivedAt: new Date().toISOString(), body }, ...received].slice(0, MAX_KEPT);
+    }
+    return duplicate;
+}
+
+async function receiveWebhook(req, res) {
+    const event = await readBody(req);
+    if (!event.type || !event.fulfillment) {
+        sendJson(res, 400, { error: 'Body must be an event with a type and a fulfillment' });
+        return;
+    }
+
+    const duplicate = record('webhook', req, event);
+    console.log(`${duplicate ? '(duplicate) ' : ''}webhook ${event.type} ${event.fulfillment.id}${event.entry ? `: ${event.entry.title}` : ''}`);
+    sendJson(res, 200, { received: true, duplicate });
+}
+
+async function receiveEmail(req, res) {
+    const message = await readBody(req);
+    if (!message.to || !message.subject) {
+        sendJson(res, 400, { error: 'Body must contain to and subject' });
+        return;
+    }
+
+    const duplicate = record('email', req, message);
+    if (duplicate) {
+        console.log(`(duplicate) email to ${message.to}: ${message.subject}`);
+    } else {
+        console.log(`email to ${message.to}\nSubject: ${message.subject}\n\n${message.text || ''}\n`);
+    }
+    sendJson(res, 202, { received: true, duplicate });
+}
+
+async function handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Delivery-Id, X-Event-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'POST' && FAIL_RATE > 0 && Math.random() < FAIL_RATE) {
+        console.log(`failing ${pathname} on purpose (FAIL_RATE=${FAIL_RATE})`);
+        sendJson(res, 503, { error: 'Failing on purpose' });
+        return;
+    }
+
+    if (pathname === '/webhook' && req.method === 'POST') {
+        await receiveWebhook(req, res);
+    } else if (pathname === '/email' && req.method === 'POST') {
+        await receiveEmail(req, res);
+    } else if (pathname === '/received' && req.method === 'GET') {
+        sendJson(res, 200, { received });
+    } else if (pathname === '/received' && req.method === 'DELETE') {
+        received = [];
+        res.writeHead(204);
+        res.end();
+    } else {
+        sendJson(res, 404, { error: 'Not found' });
+    }
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+        if (!res.headersSent) {
+            sendJson(res, error.status || 500, { error: error.message });
+        }
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock receiver listening on http://localhost:${PORT} (webhook: /webhook, email relay: /email)`);
+});
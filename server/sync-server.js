@@ -0,0 +1,210 @@
+// Reference sync server for the Item Fulfillment Tracker.
+//
+// Keeps fulfillments in a JSON file and hands out a version number per
+// fulfillment. Every write must name the version it was based on; stale writes
+// are rejected with 409 so two devices scanning at once cannot both win.
+//
+// Usage: node server/sync-server.js
+//   PORT          Port to listen on (default 8787)
+//   DATA_FILE     JSON file to persist to (default server/data.json)
+//   ALLOWED_ORIGIN  Value for Access-Control-Allow-Origin (default *)
+//
+// Endpoints:
+//   GET    /fulfillments                       -> { fulfillments: [...] }
+//   GET    /fulfillments/:id                   -> { fulfillment }
+//   PUT    /fulfillments/:id                   body { expectedVersion, fulfillment } -> { fulfillment }
+//   DELETE /fulfillments/:id?expectedVersion=n -> 204
+//   GET    /events                             -> server-sent "change" events { id, fulfillment }
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data.json');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const eventClients = new Set();
+let fulfillments = loadData();
+
+function loadData() {
+    if (!fs.existsSync(DATA_FILE)) {
+        return {};
+    }
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    return data.fulfillments || {};
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file behind
+function saveData() {
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ fulfillments }, null, 2));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+function broadcast(id, fulfillment) {
+    const message = `event: change\ndata: ${JSON.stringify({ id, fulfillment })}\n\n`;
+    eventClients.forEach(client => client.write(message));
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function listFulfillments(req, res) {
+    const list = Object.values(fulfillments)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    sendJson(res, 200, { fulfillments: list });
+}
+
+function getFulfillment(req, res, id) {
+    const fulfillment = fulfillments[id];
+    if (!fulfillment) {
+        sendJson(res, 404, { error: 'Fulfillment not found' });
+        return;
+    }
+    sendJson(res, 200, { fulfillment });
+}
+
+async function putFulfillment(req, res, id) {
+    const { expectedVersion, fulfillment } = await readBody(req);
+
+    if (!fulfillment || fulfillment.id !== id) {
+        sendJson(res, 400, { error: 'Body must contain the fulfillment with a matching id' });
+        return;
+    }
+    if (!Number.isInteger(expectedVersion)) {
+        sendJson(res, 400, { error: 'expectedVersion must be an integer' });
+        return;
+    }
+
+    // Check and write happen in the same tick, so no other request can slip in between
+    const current = fulfillments[id] || null;
+    const currentVersion = current ? current.version || 0 : 0;
+    if (expectedVersion !== currentVersion) {
+        sendJson(res, 409, { error: 'Version conflict', current });
+        return;
+    }
+
+    const saved = { ...fulfillment, version: currentVersion + 1 };
+    fulfillments[id] = saved;
+    saveData();
+    broadcast(id, saved);
+    sendJson(res, 200, { fulfillment: saved });
+}
+
+function deleteFulfillment(req, res, id, query) {
+    const current = fulfillments[id];
+    if (!current) {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const expectedVersion = Number(query.get('expectedVersion'));
+    if (expectedVersion !== (current.version || 0)) {
+        sendJson(res, 409, { error: 'Version conflict', current });
+        return;
+    }
+
+    delete fulfillments[id];
+    saveData();
+    broadcast(id, null);
+    res.writeHead(204);
+    res.end();
+}
+
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    eventClients.add(res);
+    req.on('close', () => eventClients.delete(res));
+}
+
+async function handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const match = url.pathname.match(/^\/fulfillments(?:\/([^/]+))?\/?$/);
+
+    if (url.pathname === '/events' && req.method === 'GET') {
+        openEventStream(req, res);
+        return;
+    }
+    if (!match) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const id = match[1] ? decodeURIComponent(match[1]) : null;
+    if (!id && req.method === 'GET') {
+        listFulfillments(req, res);
+    } else if (id && req.method === 'GET') {
+        getFulfillment(req, res, id);
+    } else if (id && req.method === 'PUT') {
+        await putFulfillment(req, res, id);
+    } else if (id && req.method === 'DELETE') {
+        deleteFulfillment(req, res, id, url.searchParams);
+    } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+        if (!res.headersSent) {
+            sendJson(res, error.status || 500, { error: error.message });
+        }
+    });
+});
+
+// Keep proxies from closing idle event streams
+setInterval(() => {
+    eventClients.forEach(client => client.write(': keep-alive\n\n'));
+}, 25000).unref();
+
+server.listen(PORT, () => {
+    console.log(`Sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
@@ -0,0 +1,99 @@
+// Service worker for the Item Fulfillment Tracker.
+//
+// Caches the app shell so the app installs to a home screen and works without a
+// connection, including the QR libraries a courier needs at a handoff. Bump
+// CACHE_VERSION whenever a cached file changes: the browser then installs the new
+// worker next to the old one and the page offers to reload onto it.
+
+const CACHE_VERSION = 'v24';
+const SHELL_CACHE = `item-fulfillment-shell-${CACHE_VERSION}`;
+const FONT_CACHE = 'item-fulfillment-fonts';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'index.css',
+    'app.js',
+    'locales/en.js',
+    'locales/es.js',
+    'locales/ar.js',
+    'manifest.webmanifest',
+    'vendor/qrcode.min.js',
+    'vendor/jsQR.js',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' so a new version never precaches stale files from the HTTP cache
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache =>
+            cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('item-fulfillment-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Filters are kept in the query string, so every navigation gets the cached page
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(
+            caches.match('index.html', { cacheName: SHELL_CACHE })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(
+            caches.match(request, { cacheName: SHELL_CACHE })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Fonts: serve the cached copy straight away and refresh it in the background.
+    // Everything else cross-origin (e.g. the sync server) goes to the network untouched.
+    if (FONT_ORIGINS.includes(url.origin)) {
+        event.respondWith(
+            caches.open(FONT_CACHE).then(cache => cache.match(request).then(cached => {
+                const network = fetch(request)
+                    .then(response => {
+                        if (response.ok || response.type === 'opaque') {
+                            cache.put(request, response.clone());
+                        }
+                        return response;
+                    })
+                    .catch(() => cached || Response.error());
+                if (cached) {
+                    event.waitUntil(network);
+                    return cached;
+                }
+                return network;
+            }))
+        );
+    }
+});